@@ -1,12 +1,20 @@
-const { app, BrowserWindow, Menu, shell, ipcMain, nativeTheme } = require('electron');
+const { app, BrowserWindow, Menu, shell, ipcMain, nativeTheme, dialog } = require('electron');
 const path = require('path');
 const http = require('http');
 const express = require('express');
 const { Server } = require('socket.io');
 const cors = require('cors');
-const { Client } = require('ssh2');
-const { VertexAI } = require('@google-cloud/vertexai');
 const os = require('os');
+const { getProvider, listModels, listProviders, normalizeProviderError } = require('./server/providers');
+const { AGENT_TOOLS } = require('./server/agent-tools');
+const { CHAT_SYSTEM_PROMPT, AGENT_SYSTEM_PROMPT } = require('./server/prompts');
+const { openEventStream } = require('./server/sse');
+const { createServerAuth } = require('./server/auth');
+const { createKnownHostsStore } = require('./server/known-hosts');
+const { createSessionManager } = require('./server/sessions');
+const { listRecordings, recordingPath } = require('./server/recording');
+const { createAuditLog } = require('./server/audit-log');
+const sshConfig = require('./server/ssh-config');
 let pty;
 try {
   pty = require('node-pty');
@@ -14,7 +22,6 @@ try {
   console.warn('[proton] node-pty not available:', err.message);
 }
 
-const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1'];
 
 /* ── Environment ──────────────────────────────────────────── */
 
@@ -36,76 +43,76 @@ dotenv.config({ path: path.join(__dirname, '.env') });
 
 const DEFAULT_PROJECT = process.env.GCP_PROJECT_ID || '';
 const DEFAULT_LOCATION = process.env.GCP_LOCATION || 'us-central1';
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY || '';
-const GENAI_MODELS = ['gemini-3-flash-preview'];
 
-/* ── Vertex AI Client Cache ───────────────────────────────── */
-
-const clientCache = new Map();
-
-function getVertexClient(project, location) {
-  const key = `${project}::${location}`;
-  if (!clientCache.has(key)) {
-    clientCache.set(key, new VertexAI({ project, location }));
-  }
-  return clientCache.get(key);
-}
-
-/* ── Generative Language API (Google AI) Helper ───────────── */
-
-async function callGenAI(model, apiKey, requestBody) {
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
-  const res = await fetch(url, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(requestBody),
-  });
-
-  if (!res.ok) {
-    const err = await res.json().catch(() => ({}));
-    throw new Error(err?.error?.message || `Google AI API error: HTTP ${res.status}`);
-  }
-
-  return res.json();
-}
-
-function convertSchemaToGenAI(schema) {
-  if (!schema) return schema;
-  const result = { ...schema };
-  if (result.type) {
-    result.type = result.type.toLowerCase();
-  }
-  if (result.properties) {
-    result.properties = Object.fromEntries(
-      Object.entries(result.properties).map(([key, val]) => [key, convertSchemaToGenAI(val)])
-    );
-  }
-  if (result.items) {
-    result.items = convertSchemaToGenAI(result.items);
-  }
-  return result;
-}
+const DEV_SERVER_URL = 'http://localhost:5173';
 
 /* ── Embedded Express Server ──────────────────────────────── */
 
 let serverPort = 3001;
 let expressServer = null;
+// Terminal sessions outlive renderer reloads; see server/sessions.js
+let sessions = null;
+let serverAuth = null;
+
+// Origins the renderer loads from. Packaged builds load from file://, which
+// Chromium reports as "file://" or "null" depending on the request type.
+function getAppOrigins() {
+  return getIsDev() ? [DEV_SERVER_URL, 'http://127.0.0.1:5173'] : ['file://', 'null'];
+}
+
+function isAppUrl(url = '') {
+  return getIsDev() ? url.startsWith(DEV_SERVER_URL) : url.startsWith('file://');
+}
 
 function startServer() {
   return new Promise((resolve, reject) => {
     const expressApp = express();
     const server = http.createServer(expressApp);
 
+    const allowedOrigins = getAppOrigins();
+    serverAuth = createServerAuth({ allowedOrigins });
+
     const io = new Server(server, {
       cors: {
-        origin: '*',
+        origin: allowedOrigins,
         methods: ['GET', 'POST'],
       },
+      allowRequest: serverAuth.allowRequest,
     });
+    io.use(serverAuth.socketMiddleware);
 
-    expressApp.use(cors());
+    expressApp.use(cors({ origin: allowedOrigins }));
+    expressApp.use(serverAuth.httpMiddleware);
     expressApp.use(express.json({ limit: '2mb' }));
 
+    const knownHosts = createKnownHostsStore({
+      file: path.join(app.getPath('userData'), 'known_hosts'),
+      readOnlyFiles: [path.join(os.homedir(), '.ssh', 'known_hosts')],
+    });
+
+    const recordingsDir = path.join(app.getPath('userData'), 'recordings');
+    const auditLog = createAuditLog({ file: path.join(app.getPath('userData'), 'agent-audit.jsonl') });
+
+    sessions = createSessionManager({
+      pty,
+      knownHosts,
+      recordingsDir,
+      pickUploadFiles: async () => {
+        const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+          title: 'Upload files',
+          properties: ['openFile', 'multiSelections'],
+        });
+        return canceled ? [] : filePaths;
+      },
+      pickDownloadPath: async (fileName) => {
+        const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+          title: 'Download file',
+          defaultPath: path.join(app.getPath('downloads'), fileName),
+        });
+        return canceled ? null : filePath;
+      },
+    });
+
     /* ── Health Check ──────────────────────────────────── */
 
     expressApp.get('/api/health', (_req, res) => {
@@ -118,514 +125,249 @@ function startServer() {
       });
     });
 
-    /* ── Gemini Chat Endpoint ──────────────────────────── */
+    /* ── Model Listing ─────────────────────────────────── */
+
+    expressApp.get('/api/models', (_req, res) => {
+      res.json({ models: listModels(), providers: listProviders() });
+    });
+
+    /* ── Chat Endpoint ─────────────────────────────────── */
 
-    expressApp.post('/api/gemini/chat', async (req, res) => {
+    expressApp.post('/api/chat', async (req, res) => {
+      let provider;
       try {
-        const {
-          model = 'gemini-3-flash-preview',
-          messages = [],
-          project,
-          location,
-          apiKey,
-        } = req.body;
+        const { model, messages = [], config = {} } = req.body;
 
+        if (!model) {
+          return res.status(400).json({ error: 'model is required' });
+        }
         if (!Array.isArray(messages) || messages.length === 0) {
           return res.status(400).json({ error: 'messages array is required' });
         }
 
-        const contents = messages.map((m) => ({
-          role: m.role === 'model' ? 'model' : 'user',
-          parts: [{ text: m.text }],
-        }));
-
-        let text;
-
-        if (GENAI_MODELS.includes(model)) {
-          const resolvedKey = apiKey || GEMINI_API_KEY;
-          if (!resolvedKey) {
-            return res.status(400).json({
-              error: 'Gemini API key is required for this model. Add it in Settings or set GEMINI_API_KEY.',
-            });
-          }
-
-          const data = await callGenAI(model, resolvedKey, {
-            contents,
-            systemInstruction: {
-              parts: [{ text: 'You are a Linux/macOS expert. Every time you mention a terminal command, you must wrap it in <cmd> and </cmd> tags. Example: Use <cmd>ls -la</cmd> to list files.' }],
-            },
-            generationConfig: {
-              temperature: 0.7,
-              maxOutputTokens: 4096,
-            },
-          });
-
-          text = data?.candidates?.[0]?.content?.parts?.[0]?.text ?? 'No response generated.';
-        } else {
-          const resolvedProject = project || DEFAULT_PROJECT;
-          const resolvedLocation = location || DEFAULT_LOCATION;
-
-          if (!resolvedProject) {
-            return res.status(400).json({
-              error: 'GCP project ID is required. Set GCP_PROJECT_ID in Settings.',
-            });
-          }
-
-          const vertexAI = getVertexClient(resolvedProject, resolvedLocation);
-          const generativeModel = vertexAI.getGenerativeModel({
-            model,
-            systemInstruction: 'You are a Linux/macOS expert. Every time you mention a terminal command, you must wrap it in <cmd> and </cmd> tags. Example: Use <cmd>ls -la</cmd> to list files.',
-            generationConfig: {
-              temperature: 0.7,
-              maxOutputTokens: 4096,
-            },
-          });
-
-          const result = await generativeModel.generateContent({ contents });
-          text = result.response?.candidates?.[0]?.content?.parts?.[0]?.text ?? 'No response generated.';
-        }
+        provider = getProvider(model);
+        const reply = await provider.chat({
+          model,
+          messages,
+          system: CHAT_SYSTEM_PROMPT,
+          config: provider.resolveConfig(config[provider.id]),
+        });
 
-        res.json({ reply: text });
+        res.json({ reply });
       } catch (err) {
-        console.error('[gemini] Chat error:', err);
-        const message = err instanceof Error ? err.message : 'Internal server error';
-        res.status(500).json({ error: message });
+        const { status, message } = normalizeProviderError(provider, err);
+        if (status >= 500) console.error(`[${provider?.id ?? 'chat'}] Chat error:`, err);
+        res.status(status).json({ error: message });
       }
     });
 
-    /* ── Gemini Agent Endpoint (Function Calling) ──────── */
-
-    const AGENT_TOOLS = [
-      {
-        functionDeclarations: [
-          {
-            name: 'run_command',
-            description:
-              'Execute a shell command on the user\'s remote SSH terminal. ' +
-              'Use this to run any Linux/macOS command. The output of the command will be returned to you. ' +
-              'Run one command at a time. For multi-step tasks, run commands sequentially and inspect output between each.',
-            parameters: {
-              type: 'OBJECT',
-              properties: {
-                command: {
-                  type: 'STRING',
-                  description: 'The shell command to execute',
-                },
-                reasoning: {
-                  type: 'STRING',
-                  description: 'Brief explanation of why you are running this command',
-                },
-              },
-              required: ['command', 'reasoning'],
-            },
-          },
-          {
-            name: 'send_keys',
-            description:
-              'Send raw keystrokes or text directly to the terminal. ' +
-              'Use this to interact with interactive programs, respond to prompts (y/n, passwords, etc.), ' +
-              'send control sequences (Ctrl+C to cancel, Ctrl+D for EOF), or type text into running programs. ' +
-              'Unlike run_command, this does NOT wait for a command to complete — it just sends the keystrokes and captures a brief snapshot of what appears. ' +
-              'Special key names you can use in the keys field: Enter, Ctrl+C, Ctrl+D, Ctrl+Z, Ctrl+L, Tab, Escape, Up, Down, Left, Right, Backspace, Delete.',
-            parameters: {
-              type: 'OBJECT',
-              properties: {
-                keys: {
-                  type: 'STRING',
-                  description:
-                    'The text or keystrokes to send. For regular text, just type it. ' +
-                    'For special keys, use names like "Enter", "Ctrl+C", "Tab". ' +
-                    'You can combine text and special keys by separating with a space, e.g. "y Enter" to type y then press Enter. ' +
-                    'To send just Enter (newline), use "Enter". To send Ctrl+C, use "Ctrl+C".',
-                },
-                reasoning: {
-                  type: 'STRING',
-                  description: 'Brief explanation of why you are sending these keystrokes',
-                },
-              },
-              required: ['keys', 'reasoning'],
-            },
-          },
-          {
-            name: 'task_complete',
-            description:
-              'Signal that the task is finished. Call this when you have completed the user\'s request or determined it cannot be completed.',
-            parameters: {
-              type: 'OBJECT',
-              properties: {
-                summary: {
-                  type: 'STRING',
-                  description: 'A concise summary of what was accomplished',
-                },
-              },
-              required: ['summary'],
-            },
-          },
-          {
-            name: 'ask_user',
-            description:
-              'Ask the user a clarifying question and wait for their response. ' +
-              'Use this when you need more information before proceeding, when there are multiple valid approaches and you want the user to choose, ' +
-              'or before performing a potentially destructive action that requires explicit confirmation.',
-            parameters: {
-              type: 'OBJECT',
-              properties: {
-                question: {
-                  type: 'STRING',
-                  description: 'The question to ask the user',
-                },
-                reasoning: {
-                  type: 'STRING',
-                  description: 'Brief explanation of why you need to ask this question',
-                },
-              },
-              required: ['question', 'reasoning'],
-            },
-          },
-          {
-            name: 'read_terminal',
-            description:
-              'Read the current content visible in the terminal buffer without running any command. ' +
-              'Use this to inspect the terminal state after sending keys, check on a long-running process, ' +
-              'or see what is currently displayed. Returns the full terminal buffer text.',
-            parameters: {
-              type: 'OBJECT',
-              properties: {
-                reasoning: {
-                  type: 'STRING',
-                  description: 'Brief explanation of why you need to read the terminal',
-                },
-              },
-              required: ['reasoning'],
-            },
-          },
-        ],
-      },
-    ];
-
-    const AGENT_SYSTEM_PROMPT =
-      'You are an expert Linux/macOS system administrator agent with full access to the user\'s terminal via SSH. ' +
-      'When the user asks you to do something, use the run_command tool to execute commands on their terminal. ' +
-      'Inspect the output of each command before deciding the next step. ' +
-      'Break complex tasks into small, sequential steps. ' +
-      'If a command fails, analyze the error and try to fix it. ' +
-      'When the task is complete, call task_complete with a summary. ' +
-      'If the user asks a question that does not require running commands, respond with plain text. ' +
-      '\n\nTOOLS:\n' +
-      '- run_command: Execute a shell command and get its full output. Best for non-interactive commands. ' +
-      'Always prefer this for standard commands.\n' +
-      '- send_keys: Send raw keystrokes/text to the terminal. Use this when you need to:\n' +
-      '  * Respond to an interactive prompt (e.g. type "y" and press Enter)\n' +
-      '  * Send Ctrl+C to cancel a stuck or long-running process\n' +
-      '  * Send Ctrl+D for EOF\n' +
-      '  * Interact with a running program that expects input\n' +
-      '  * Type text into a TUI or interactive application\n' +
-      'Note: send_keys only captures a brief snapshot of terminal output (~3 seconds), not strict command-completion output.\n' +
-  '- ask_user: Ask the user a clarifying question and wait for their text response. Use when you need clarification, ' +
-  'when there are multiple valid approaches, or before destructive actions.\n' +
-  '- read_terminal: Read the current terminal buffer content without running a command. Use to inspect terminal state, ' +
-  'check on long-running processes, or see what is displayed after sending keys.\n' +
-  '\n\nCRITICAL RULES:\n' +
-  '1. Prefer run_command over send_keys for standard commands — send_keys is for interactive situations only. ' +
-      '2. NEVER run interactive commands that wait for user input via run_command (vim, nano, vi, less, more, top, htop, python, node, ssh, mysql, psql, irb, etc). ' +
-      'If you must interact with such programs, prefer non-interactive alternatives. If absolutely necessary, use send_keys. ' +
-      '3. Always use non-interactive flags: use -y for apt/yum/dnf, use DEBIAN_FRONTEND=noninteractive, use -f for commands that prompt. ' +
-      '4. For file editing, use echo/printf/cat with heredocs or sed/awk — NEVER use text editors. ' +
-      '5. For writing multi-line files, use: cat > filename << \'EOF\'\n...content...\nEOF ' +
-      '6. When running scripts, ensure they are non-interactive (no read commands, no prompts). ' +
-      '7. If a command might produce paged output, pipe through cat (e.g. git log | cat, man cmd | cat). ' +
-      '8. Never run destructive commands (rm -rf /, mkfs, etc.) without the user explicitly confirming. ' +
-      '9. Keep individual commands short and focused. Avoid long command chains. ' +
-      '10. If you need to check if a program is installed, use "which" or "command -v", not the program itself. ' +
-      '11. If a run_command times out or reports "waiting for input", use send_keys with Ctrl+C to cancel it, then try a different approach.';
-
-    expressApp.post('/api/gemini/agent', async (req, res) => {
+    /* ── Chat Streaming Endpoint (SSE) ─────────────────── */
+
+    expressApp.post('/api/chat/stream', async (req, res) => {
+      const { model, messages = [], config = {} } = req.body;
+
+      if (!model) {
+        return res.status(400).json({ error: 'model is required' });
+      }
+      if (!Array.isArray(messages) || messages.length === 0) {
+        return res.status(400).json({ error: 'messages array is required' });
+      }
+
+      let provider;
+      let resolvedConfig;
       try {
-        const {
-          model = 'gemini-3-flash-preview',
-          history = [],
-          project,
-          location,
-          apiKey,
-        } = req.body;
+        provider = getProvider(model);
+        resolvedConfig = provider.resolveConfig(config[provider.id]);
+      } catch (err) {
+        const { status, message } = normalizeProviderError(provider, err);
+        return res.status(status).json({ error: message });
+      }
 
-        const contents = history.map((entry) => ({
-          role: entry.role,
-          parts: entry.parts,
-        }));
+      const stream = openEventStream(res);
 
-        if (contents.length === 0) {
-          return res.status(400).json({ error: 'history is required' });
-        }
+      try {
+        const deltas = provider.streamChat({
+          model,
+          messages,
+          system: CHAT_SYSTEM_PROMPT,
+          config: resolvedConfig,
+          signal: stream.signal,
+        });
 
-        let parts;
-
-        if (GENAI_MODELS.includes(model)) {
-          const resolvedKey = apiKey || GEMINI_API_KEY;
-          if (!resolvedKey) {
-            return res.status(400).json({
-              error: 'Gemini API key is required for this model. Add it in Settings or set GEMINI_API_KEY.',
-            });
-          }
-
-          const genaiTools = AGENT_TOOLS.map((toolGroup) => ({
-            functionDeclarations: toolGroup.functionDeclarations.map((fn) => ({
-              ...fn,
-              parameters: fn.parameters ? convertSchemaToGenAI(fn.parameters) : undefined,
-            })),
-          }));
-
-          const data = await callGenAI(model, resolvedKey, {
-            contents,
-            systemInstruction: {
-              parts: [{ text: AGENT_SYSTEM_PROMPT }],
-            },
-            tools: genaiTools,
-            generationConfig: {
-              temperature: 0.3,
-              maxOutputTokens: 4096,
-            },
-          });
-
-          const candidate = data?.candidates?.[0];
-          parts = candidate?.content?.parts ?? [{ text: 'No response generated.' }];
-        } else {
-          const resolvedProject = project || DEFAULT_PROJECT;
-          const resolvedLocation = location || DEFAULT_LOCATION;
-
-          if (!resolvedProject) {
-            return res.status(400).json({
-              error: 'GCP project ID is required. Set GCP_PROJECT_ID in Settings.',
-            });
-          }
-
-          const vertexAI = getVertexClient(resolvedProject, resolvedLocation);
-          const generativeModel = vertexAI.getGenerativeModel({
-            model,
-            systemInstruction: AGENT_SYSTEM_PROMPT,
-            tools: AGENT_TOOLS,
-            generationConfig: {
-              temperature: 0.3,
-              maxOutputTokens: 4096,
-            },
-          });
-
-          const result = await generativeModel.generateContent({ contents });
-          const response = result.response;
-          const candidate = response?.candidates?.[0];
-          parts = candidate?.content?.parts ?? [{ text: 'No response generated.' }];
+        for await (const delta of deltas) {
+          stream.send({ delta });
         }
 
-        res.json({ parts });
+        stream.send({ done: true });
       } catch (err) {
-        console.error('[gemini-agent] Error:', err);
-        const message = err instanceof Error ? err.message : 'Internal server error';
-        res.status(500).json({ error: message });
+        if (!stream.signal.aborted) {
+          const { status, message } = normalizeProviderError(provider, err);
+          if (status >= 500) console.error(`[${provider.id}] Stream error:`, err);
+          stream.send({ error: message });
+        }
+      } finally {
+        stream.end();
       }
     });
 
-    /* ── Claude Chat Endpoint ──────────────────────────── */
+    /* ── Agent Endpoint (Function Calling) ─────────────── */
+
+    expressApp.post('/api/agent', async (req, res) => {
+      // Aborts when the renderer hangs up (the agent was stopped), so the
+      // upstream model request is cancelled instead of running on
+      const controller = new AbortController();
+      res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+      });
 
-    expressApp.post('/api/claude/chat', async (req, res) => {
+      let provider;
       try {
-        const {
-          model = 'claude-sonnet-4-20250514',
-          messages = [],
-          apiKey,
-        } = req.body;
-
-        const resolvedKey = apiKey || process.env.ANTHROPIC_API_KEY;
-
-        if (!resolvedKey) {
-          return res.status(400).json({
-            error: 'Anthropic API key is required. Add it in Settings or set ANTHROPIC_API_KEY.',
-          });
-        }
+        const { model, history = [], config = {} } = req.body;
 
-        if (!Array.isArray(messages) || messages.length === 0) {
-          return res.status(400).json({ error: 'messages array is required' });
+        if (!model) {
+          return res.status(400).json({ error: 'model is required' });
+        }
+        if (!Array.isArray(history) || history.length === 0) {
+          return res.status(400).json({ error: 'history is required' });
         }
 
-        const { default: Anthropic } = await import('@anthropic-ai/sdk');
-        const client = new Anthropic({ apiKey: resolvedKey });
-
-        const anthropicMessages = messages.map((m) => ({
-          role: m.role === 'model' ? 'assistant' : 'user',
-          content: m.text,
+        const contents = history.map((entry) => ({
+          role: entry.role,
+          parts: entry.parts,
         }));
 
-        const result = await client.messages.create({
+        provider = getProvider(model);
+        const parts = await provider.agent({
           model,
-          max_tokens: 4096,
-          system: 'You are a Linux/macOS expert. Every time you mention a terminal command, you must wrap it in <cmd> and </cmd> tags. Example: Use <cmd>ls -la</cmd> to list files.',
-          messages: anthropicMessages,
+          history: contents,
+          system: AGENT_SYSTEM_PROMPT,
+          tools: AGENT_TOOLS,
+          config: provider.resolveConfig(config[provider.id]),
+          signal: controller.signal,
         });
 
-        const text = result.content?.[0]?.text ?? 'No response generated.';
-        res.json({ reply: text });
+        res.json({ parts });
       } catch (err) {
-        console.error('[claude] Chat error:', err);
-        const message = err instanceof Error ? err.message : 'Internal server error';
-        res.status(500).json({ error: message });
+        if (controller.signal.aborted) return;
+        const { status, message } = normalizeProviderError(provider, err);
+        if (status >= 500) console.error(`[${provider?.id ?? 'agent'}] Agent error:`, err);
+        res.status(status).json({ error: message });
       }
     });
 
-    /* ── Socket.io connection handler ──────────────────── */
+    /* ── Known Hosts ─────────────────────────────────────── */
 
-    io.on('connection', (socket) => {
-      console.log(`[socket] client connected  id=${socket.id}`);
+    expressApp.get('/api/known-hosts', (_req, res) => {
+      res.json({ hosts: knownHosts.list() });
+    });
 
-      let sshClient = null;
-      let sshStream = null;
-      let ptyProcess = null;
-      let pendingSize = { rows: 24, cols: 80 };
-
-      /* ── Helper: write to whichever backend is active ── */
-      const writeToBackend = (data) => {
-        if (ptyProcess) ptyProcess.write(data);
-        else if (sshStream) sshStream.write(data);
-      };
-
-      const resizeBackend = (cols, rows) => {
-        pendingSize = { rows, cols };
-        if (ptyProcess) ptyProcess.resize(cols, rows);
-        else if (sshStream) sshStream.setWindow(rows, cols, 0, 0);
-      };
-
-      const cleanupBackend = () => {
-        if (ptyProcess) {
-          ptyProcess.kill();
-          ptyProcess = null;
-        }
-        if (sshStream) sshStream.end();
-        if (sshClient) sshClient.end();
-        sshStream = null;
-        sshClient = null;
-      };
-
-      socket.on('ssh:connect', (credentials) => {
-        const { host, port = 22, username, password, privateKey, local } = credentials;
-        const isLocal = local || LOCAL_HOSTS.includes(host);
-
-        /* ── Local terminal (no login required) ────────── */
-        if (isLocal) {
-          if (!pty) {
-            socket.emit('ssh:error', { message: 'node-pty is not available. Cannot open local terminal.' });
-            return;
-          }
-
-          console.log('[local] spawning local shell');
-          socket.emit('ssh:status', { status: 'authenticated' });
-
-          const shellPath = process.env.SHELL || '/bin/zsh';
-          const homeDir = os.homedir();
-
-          ptyProcess = pty.spawn(shellPath, ['-l'], {
-            name: 'xterm-256color',
-            cols: pendingSize.cols,
-            rows: pendingSize.rows,
-            cwd: homeDir,
-            env: {
-              ...process.env,
-              TERM: 'xterm-256color',
-              HOME: homeDir,
-              LANG: process.env.LANG || 'en_US.UTF-8',
-            },
-          });
-
-          socket.emit('ssh:status', { status: 'ready' });
-
-          ptyProcess.onData((data) => {
-            socket.emit('ssh:output', data);
-          });
-
-          ptyProcess.onExit(({ exitCode, signal }) => {
-            console.log(`[local] shell exited  code=${exitCode} signal=${signal}`);
-            socket.emit('ssh:status', { status: 'disconnected' });
-            ptyProcess = null;
-          });
-
-          return;
+    expressApp.delete('/api/known-hosts', (req, res) => {
+      const { host, keyType } = req.query;
+      if (!host || !keyType) {
+        return res.status(400).json({ error: 'host and keyType are required' });
+      }
+      try {
+        if (!knownHosts.remove(host, keyType)) {
+          return res.status(404).json({ error: `No trusted ${keyType} key for ${host}` });
         }
+        res.json({ hosts: knownHosts.list() });
+      } catch (err) {
+        console.error('[known-hosts] revoke failed:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
 
-        /* ── Remote SSH connection ──────────────────────── */
-        console.log(`[ssh] connecting to ${username}@${host}:${port}`);
-        sshClient = new Client();
-
-        sshClient.on('ready', () => {
-          console.log(`[ssh] authenticated  ${username}@${host}`);
-          socket.emit('ssh:status', { status: 'authenticated' });
-
-          sshClient.shell(
-            { term: 'xterm-256color', rows: pendingSize.rows, cols: pendingSize.cols },
-            (err, stream) => {
-              if (err) {
-                socket.emit('ssh:error', { message: err.message });
-                return;
-              }
-
-              sshStream = stream;
-              socket.emit('ssh:status', { status: 'ready' });
-
-              stream.on('data', (data) => {
-                socket.emit('ssh:output', data.toString('utf-8'));
-              });
-
-              stream.stderr.on('data', (data) => {
-                socket.emit('ssh:output', data.toString('utf-8'));
-              });
-
-              stream.on('close', () => {
-                console.log(`[ssh] shell closed  ${username}@${host}`);
-                socket.emit('ssh:status', { status: 'disconnected' });
-                if (sshClient) sshClient.end();
-              });
-            });
-        });
+    /* ── ~/.ssh/config Hosts ────────────────────────────── */
 
-        sshClient.on('error', (err) => {
-          console.error(`[ssh] error: ${err.message}`);
-          socket.emit('ssh:error', { message: err.message });
-        });
+    // Re-read on every request so edits to the config show up immediately.
+    expressApp.get('/api/ssh-config/hosts', (_req, res) => {
+      try {
+        res.json({ hosts: sshConfig.listHosts(), agentAvailable: Boolean(process.env.SSH_AUTH_SOCK) });
+      } catch (err) {
+        console.error('[ssh-config] parse failed:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
 
-        sshClient.on('close', () => {
-          console.log('[ssh] connection closed');
-          socket.emit('ssh:status', { status: 'disconnected' });
-          sshClient = null;
-          sshStream = null;
-        });
+    /* ── Terminal sessions ─────────────────────────────── */
 
-        const connectConfig = {
-          host,
-          port: Number(port),
-          username,
-          tryKeyboard: true,
-          readyTimeout: 10000,
-        };
-        if (privateKey) {
-          connectConfig.privateKey = privateKey;
-        } else if (password) {
-          connectConfig.password = password;
-        }
+    // Live sessions, so a reloaded renderer can restore its tabs.
+    expressApp.get('/api/sessions', (_req, res) => {
+      res.json({ sessions: sessions.list() });
+    });
 
-        sshClient.on('keyboard-interactive', (_name, _instructions, _lang, _prompts, finish) => {
-          finish([password || '']);
-        });
+    // Closing a tab is the only thing that ends its session.
+    expressApp.delete('/api/sessions/:id', (req, res) => {
+      if (!sessions.close(req.params.id)) {
+        return res.status(404).json({ error: 'No such session' });
+      }
+      res.json({ ok: true });
+    });
 
-        sshClient.connect(connectConfig);
-      });
+    /* ── Recordings ────────────────────────────────────── */
+
+    expressApp.get('/api/recordings', (_req, res) => {
+      try {
+        res.json({ recordings: listRecordings(recordingsDir) });
+      } catch (err) {
+        console.error('[recording] list failed:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
 
-      socket.on('ssh:data', (data) => {
-        writeToBackend(data);
+    expressApp.get('/api/recordings/:name', (req, res) => {
+      const file = recordingPath(recordingsDir, req.params.name);
+      if (!file) return res.status(400).json({ error: 'Invalid recording name' });
+      res.type('text/plain').sendFile(file, (err) => {
+        if (err && !res.headersSent) res.status(404).json({ error: 'No such recording' });
       });
+    });
 
-      socket.on('ssh:resize', ({ cols, rows }) => {
-        resizeBackend(cols, rows);
+    /* ── Agent audit log ───────────────────────────────── */
+
+    expressApp.post('/api/agent-log', async (req, res) => {
+      try {
+        await auditLog.append(req.body);
+        res.json({ ok: true });
+      } catch (err) {
+        res.status(400).json({ error: err.message });
+      }
+    });
+
+    expressApp.get('/api/agent-log/runs', async (req, res) => {
+      const { host, from, to } = req.query;
+      try {
+        res.json({ runs: await auditLog.listRuns({ host, from: Number(from) || 0, to: Number(to) || 0 }) });
+      } catch (err) {
+        console.error('[audit-log] list failed:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    expressApp.get('/api/agent-log/runs/:id', async (req, res) => {
+      try {
+        const events = await auditLog.getRun(req.params.id);
+        if (!events) return res.status(404).json({ error: 'No such run' });
+        res.json({ events });
+      } catch (err) {
+        console.error('[audit-log] read failed:', err);
+        res.status(500).json({ error: err.message });
+      }
+    });
+
+    /* ── Socket.io connection handler ──────────────────── */
+
+    io.on('connection', (socket) => {
+      console.log(`[socket] client connected  id=${socket.id}`);
+
+      socket.on('session:open', (payload) => {
+        sessions.open(socket, payload);
       });
 
+      // The session keeps running; only its tab closing ends it.
       socket.on('disconnect', () => {
         console.log(`[socket] client disconnected  id=${socket.id}`);
-        cleanupBackend();
+        sessions.detach(socket);
       });
     });
 
@@ -669,7 +411,7 @@ function createWindow() {
   });
 
   if (getIsDev()) {
-    mainWindow.loadURL(`http://localhost:5173`);
+    mainWindow.loadURL(DEV_SERVER_URL);
     // Open DevTools in development
     mainWindow.webContents.openDevTools({ mode: 'detach' });
   } else {
@@ -682,6 +424,14 @@ function createWindow() {
     return { action: 'deny' };
   });
 
+  // Never let the window (and its server token) wander off to another page
+  mainWindow.webContents.on('will-navigate', (event, url) => {
+    if (!isAppUrl(url)) {
+      event.preventDefault();
+      shell.openExternal(url);
+    }
+  });
+
   mainWindow.on('closed', () => {
     mainWindow = null;
   });
@@ -750,9 +500,27 @@ function buildMenu() {
 function setupIPC() {
   ipcMain.handle('get-server-port', () => serverPort);
 
+  // Only the app's own pages get the server secret.
+  ipcMain.handle('get-server-token', (event) => {
+    if (!isAppUrl(event.senderFrame?.url)) {
+      throw new Error('get-server-token is only available to the app window');
+    }
+    return serverAuth?.token ?? null;
+  });
+
   ipcMain.handle('get-platform', () => process.platform);
 
   ipcMain.handle('get-app-version', () => app.getVersion());
+
+  // Native picker for SSH private keys; resolves to a path or null.
+  ipcMain.handle('select-private-key', async () => {
+    const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+      title: 'Select SSH private key',
+      defaultPath: path.join(os.homedir(), '.ssh'),
+      properties: ['openFile', 'showHiddenFiles'],
+    });
+    return canceled ? null : filePaths[0];
+  });
 }
 
 /* ── App Lifecycle ─────────────────────────────────────────── */
@@ -781,8 +549,15 @@ app.whenReady().then(async () => {
 });
 
 app.on('window-all-closed', () => {
+  // On macOS the app stays alive with live sessions; reopening the window
+  // reattaches to them.
+  if (process.platform === 'darwin' && sessions?.size > 0) return;
   if (expressServer) {
     expressServer.close();
   }
   app.quit();
 });
+
+app.on('before-quit', () => {
+  sessions?.closeAll();
+});
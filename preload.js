@@ -1,8 +1,12 @@
-const { contextBridge, ipcRenderer } = require('electron');
+const { contextBridge, ipcRenderer, webUtils } = require('electron');
 
 contextBridge.exposeInMainWorld('proton', {
   getServerPort: () => ipcRenderer.invoke('get-server-port'),
+  getServerToken: () => ipcRenderer.invoke('get-server-token'),
   getPlatform: () => ipcRenderer.invoke('get-platform'),
   getAppVersion: () => ipcRenderer.invoke('get-app-version'),
+  selectPrivateKey: () => ipcRenderer.invoke('select-private-key'),
+  // Local path of a dropped File (File.path is gone since Electron 32)
+  getPathForFile: (file) => webUtils.getPathForFile(file),
   isProton: true,
 });
@@ -1,18 +1,25 @@
-import { useState, useCallback, useRef, useEffect } from 'react';
-import ConnectionForm from './components/ConnectionForm';
+import { useState, useCallback, useRef, useEffect, useMemo } from 'react';
+import ConnectionForm, { loadHistory, historyCredentials } from './components/ConnectionForm';
 import Terminal from './components/Terminal';
 import GeminiChat from './components/GeminiChat';
 import ClaudeChat from './components/ClaudeChat';
+import KnownHostsSettings from './components/KnownHostsSettings';
+import AgentPolicySettings from './components/AgentPolicySettings';
+import CastPlayer from './components/CastPlayer';
+import RecordingsLibrary from './components/RecordingsLibrary';
+import AgentHistory from './components/AgentHistory';
+import CommandPalette from './components/CommandPalette';
+import { useCommands } from './hooks/useCommands';
+import { fetchModels, setServerToken, fetchSessions, closeSession } from './utils/api';
+import { loadPolicyRules, savePolicyRules } from './utils/agentPolicy';
 
 import './App.css';
 
 let nextId = 1;
 const SPLIT_GEMINI_ID = '__split_gemini__';
-
-const GEMINI_MODELS = [
-  { id: 'gemini-3-flash-preview', label: 'Gemini 3 Flash' },
-  { id: 'gemini-2.5-flash', label: 'Gemini 2.5 Flash' },
-];
+// Lines of history per terminal tab, i.e. what Cmd/Ctrl+F can search
+const DEFAULT_SCROLLBACK = 5000;
+const SCROLLBACK_OPTIONS = [1000, 5000, 10000, 50000, 100000];
 
 const MONO_FONTS = [
   { id: 'Ubuntu Mono', label: 'Ubuntu Mono', google: true },
@@ -61,9 +68,17 @@ function App() {
   const [selectedModel, setSelectedModel] = useState('gemini-3-flash-preview');
   const [autoExecute, setAutoExecute] = useState(true);
   const [showSettings, setShowSettings] = useState(false);
+  const [showPalette, setShowPalette] = useState(false);
+  // History entry the connection form opens with (from the palette)
+  const [formEntry, setFormEntry] = useState(null);
   const [agentMode, setAgentMode] = useState(false);
   const [stepThrough, setStepThrough] = useState(false);
+  // Broadcast mode: keystrokes in any grouped terminal go to the whole group
+  const [broadcasting, setBroadcasting] = useState(false);
+  const [broadcastGroup, setBroadcastGroup] = useState([]);
   const [serverUrl, setServerUrl] = useState('');
+  const [models, setModels] = useState([]);
+  const [providers, setProviders] = useState([]);
 
   const saved = loadSettings();
   const [fontFamily, setFontFamily] = useState(saved.fontFamily || 'Ubuntu Mono');
@@ -72,6 +87,12 @@ function App() {
   const [claudeEnabled, setClaudeEnabled] = useState(saved.claudeEnabled ?? false);
   const [geminiApiKey, setGeminiApiKey] = useState(saved.geminiApiKey || '');
   const [showApiKey, setShowApiKey] = useState(false);
+  const [localBaseUrl, setLocalBaseUrl] = useState(saved.localBaseUrl || '');
+  const [localModel, setLocalModel] = useState(saved.localModel || '');
+  const [recordInput, setRecordInput] = useState(saved.recordInput ?? false);
+  const [agentExec, setAgentExec] = useState(saved.agentExec ?? false);
+  const [policyRules, setPolicyRules] = useState(loadPolicyRules);
+  const [scrollback, setScrollback] = useState(saved.scrollback || DEFAULT_SCROLLBACK);
 
   const terminalRefs = useRef({});
   const splitGeminiRef = useRef(null);
@@ -83,7 +104,11 @@ function App() {
   useEffect(() => {
     async function discoverServer() {
       if (window.proton?.isProton) {
-        const port = await window.proton.getServerPort();
+        const [port, token] = await Promise.all([
+          window.proton.getServerPort(),
+          window.proton.getServerToken(),
+        ]);
+        setServerToken(token);
         setServerUrl(`http://127.0.0.1:${port}`);
       } else {
         // Dev mode fallback
@@ -93,14 +118,77 @@ function App() {
     discoverServer();
   }, []);
 
+  useEffect(() => {
+    if (!serverUrl) return;
+    fetchModels(serverUrl)
+      .then((list) => {
+        setModels(list.models);
+        setProviders(list.providers);
+      })
+      .catch((err) => console.warn('[proton] Could not load model list:', err.message));
+  }, [serverUrl]);
+
+  // Terminal sessions outlive the renderer: reopen a tab for each one still
+  // running in the main process (after a reload, crash or reopened window).
+  useEffect(() => {
+    if (!serverUrl) return undefined;
+    let cancelled = false;
+    fetchSessions(serverUrl)
+      .then((sessions) => {
+        if (cancelled || sessions.length === 0) return;
+        const restored = sessions.map((session) => ({
+          id: nextId++,
+          type: 'ssh',
+          sessionId: session.id,
+          connection: session.connection,
+          status: session.status,
+          restored: true,
+        }));
+        setTabs((prev) => [...prev, ...restored]);
+        setActiveTab(restored[0].id);
+        setShowForm(false);
+      })
+      .catch((err) => console.warn('[proton] Could not restore sessions:', err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [serverUrl]);
+
+  // Per-provider settings sent with every model request, keyed by provider id.
+  const providerConfig = useMemo(() => ({
+    genai: { apiKey: geminiApiKey },
+    openai: { baseUrl: localBaseUrl },
+  }), [geminiApiKey, localBaseUrl]);
+
+  // The local model isn't known to the server until it's set in Settings.
+  const availableModels = useMemo(() => {
+    const name = localModel.trim();
+    if (!name) return models;
+    const providerLabel = providers.find((p) => p.id === 'openai')?.label ?? 'Local';
+    return [
+      ...models,
+      { id: `local:${name}`, label: name, provider: 'openai', providerLabel },
+    ];
+  }, [models, providers, localModel]);
+
+  const selectedModelInfo = availableModels.find((m) => m.id === selectedModel);
+  const modelGroups = useMemo(() => {
+    const groups = new Map();
+    for (const m of availableModels) {
+      if (!groups.has(m.providerLabel)) groups.set(m.providerLabel, []);
+      groups.get(m.providerLabel).push(m);
+    }
+    return [...groups.entries()];
+  }, [availableModels]);
+
   useEffect(() => {
     const font = MONO_FONTS.find((f) => f.id === fontFamily);
     if (font?.google) loadGoogleFont(fontFamily);
   }, [fontFamily]);
 
   useEffect(() => {
-    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ fontFamily, fontSize, bgColor, claudeEnabled, splitMode, geminiApiKey }));
-  }, [fontFamily, fontSize, bgColor, claudeEnabled, splitMode, geminiApiKey]);
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify({ fontFamily, fontSize, bgColor, claudeEnabled, splitMode, geminiApiKey, localBaseUrl, localModel, recordInput, scrollback, agentExec }));
+  }, [fontFamily, fontSize, bgColor, claudeEnabled, splitMode, geminiApiKey, localBaseUrl, localModel, recordInput, scrollback, agentExec]);
 
   useEffect(() => {
     document.documentElement.style.setProperty('--terminal-font', `'${fontFamily}', monospace`);
@@ -171,9 +259,22 @@ function App() {
     return () => window.removeEventListener('keydown', handleKeyDown, true);
   }, [splitMode, activeTab]);
 
+  // Cmd/Ctrl+Shift+P, caught before xterm or an input sees it
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if ((e.metaKey || e.ctrlKey) && e.shiftKey && e.key.toLowerCase() === 'p') {
+        e.preventDefault();
+        e.stopPropagation();
+        setShowPalette((prev) => !prev);
+      }
+    };
+    window.addEventListener('keydown', handleKeyDown, true);
+    return () => window.removeEventListener('keydown', handleKeyDown, true);
+  }, []);
+
   const handleConnect = useCallback((credentials) => {
     const id = nextId++;
-    const newTab = { id, type: 'ssh', connection: credentials, status: 'connecting' };
+    const newTab = { id, type: 'ssh', sessionId: crypto.randomUUID(), connection: credentials, status: 'connecting' };
     setTabs((prev) => [...prev, newTab]);
     setActiveTab(id);
     setShowForm(false);
@@ -184,6 +285,7 @@ function App() {
     const newTab = {
       id,
       type: 'ssh',
+      sessionId: crypto.randomUUID(),
       connection: { host: 'localhost', port: 0, username: '', local: true },
       status: 'connecting',
     };
@@ -208,6 +310,30 @@ function App() {
     setShowForm(false);
   }, []);
 
+  // Starts on the recordings library; `recording` is set once a cast is opened.
+  const handleOpenPlayer = useCallback(() => {
+    const id = nextId++;
+    const newTab = { id, type: 'player', status: 'ready', recording: null };
+    setTabs((prev) => [...prev, newTab]);
+    setActiveTab(id);
+    setShowForm(false);
+  }, []);
+
+  // Past agent runs from the audit log
+  const handleOpenHistory = useCallback(() => {
+    const id = nextId++;
+    const newTab = { id, type: 'history', status: 'ready' };
+    setTabs((prev) => [...prev, newTab]);
+    setActiveTab(id);
+    setShowForm(false);
+  }, []);
+
+  const handleOpenRecording = useCallback((tabId, recording) => {
+    setTabs((prev) =>
+      prev.map((t) => (t.id === tabId ? { ...t, recording } : t)),
+    );
+  }, []);
+
   const handleStatusChange = useCallback((tabId, newStatus) => {
     setTabs((prev) =>
       prev.map((t) => (t.id === tabId ? { ...t, status: newStatus } : t)),
@@ -216,6 +342,13 @@ function App() {
 
   const handleCloseTab = useCallback(
     (tabId) => {
+      // Ends the shell in the main process; reloads only detach from it.
+      const closing = tabs.find((t) => t.id === tabId);
+      if (closing?.sessionId) {
+        closeSession(serverUrl, closing.sessionId)
+          .catch((err) => console.warn('[proton] Could not close session:', err.message));
+      }
+      setBroadcastGroup((prev) => prev.filter((id) => id !== tabId));
       setTabs((prev) => {
         const updated = prev.filter((t) => t.id !== tabId);
         if (activeTab === tabId) {
@@ -230,14 +363,54 @@ function App() {
         return updated;
       });
     },
-    [activeTab],
+    [activeTab, tabs, serverUrl],
   );
 
+  /* ── Broadcast input ─────────────────────────────── */
+
+  // Turning broadcast on groups every remote terminal; tabs leave and join
+  // with the toggle on their tab.
+  const toggleBroadcast = useCallback(() => {
+    if (broadcasting) {
+      setBroadcasting(false);
+      setBroadcastGroup([]);
+      return;
+    }
+    setBroadcastGroup(tabs.filter((t) => t.type === 'ssh' && !t.connection.local).map((t) => t.id));
+    setBroadcasting(true);
+  }, [broadcasting, tabs]);
+
+  const toggleBroadcastMember = useCallback((tabId) => {
+    setBroadcastGroup((prev) => (prev.includes(tabId) ? prev.filter((id) => id !== tabId) : [...prev, tabId]));
+  }, []);
+
+  // Mirrors what was typed in one grouped terminal to the others
+  const handleTerminalInput = useCallback((tabId, data) => {
+    if (!broadcasting || !broadcastGroup.includes(tabId)) return;
+    for (const id of broadcastGroup) {
+      if (id !== tabId) terminalRefs.current[id]?.writeToTerminal(data);
+    }
+  }, [broadcasting, broadcastGroup]);
+
   const handleNewTab = useCallback(() => {
+    setFormEntry(null);
     setShowForm(true);
     setActiveTab(null);
   }, []);
 
+  // Saved hosts reconnect straight away; ones that need a password open
+  // the form filled in.
+  const connectFromHistory = useCallback((entry) => {
+    const credentials = historyCredentials(entry);
+    if (credentials) {
+      handleConnect(credentials);
+      return;
+    }
+    setFormEntry(entry);
+    setShowForm(true);
+    setActiveTab(null);
+  }, [handleConnect]);
+
   const switchTab = useCallback((tabId) => {
     setActiveTab(tabId);
     setShowForm(false);
@@ -278,38 +451,83 @@ function App() {
     termRef.focus();
   }, [activeTab, tabs, autoExecute]);
 
-  const handleRunAgentCommand = useCallback(async (command) => {
-    const sshTabId = activeTab && tabs.find((t) => t.id === activeTab && t.type === 'ssh')
-      ? activeTab
-      : tabs.find((t) => t.type === 'ssh')?.id;
-    if (!sshTabId) return '(No SSH terminal connected)';
-    const termRef = terminalRefs.current[sshTabId];
+  // Saved only on edits, so untouched policies follow the shipped defaults
+  const updatePolicyRules = useCallback((rules) => {
+    setPolicyRules(rules);
+    savePolicyRules(rules);
+  }, []);
+
+  /* ── Agent terminal targeting ── */
+
+  // Terminal tabs the agent can address, labelled like their tabs (a repeated
+  // label gets a #n suffix). Without a label it uses the active SSH tab,
+  // falling back to the first one.
+  const agentTerminals = useCallback(() => {
+    const sshTabs = tabs.filter((t) => t.type === 'ssh');
+    const defaultId = sshTabs.some((t) => t.id === activeTab) ? activeTab : sshTabs[0]?.id;
+    const seen = {};
+    return sshTabs.map((tab) => {
+      const base = getTabLabel(tab);
+      seen[base] = (seen[base] ?? 0) + 1;
+      return {
+        id: tab.id,
+        label: seen[base] > 1 ? `${base} #${seen[base]}` : base,
+        host: tab.connection.local ? null : tab.connection.host,
+        active: tab.id === activeTab,
+        default: tab.id === defaultId,
+      };
+    });
+  }, [tabs, activeTab]);
+
+  const agentTerminalRef = useCallback((label) => {
+    const terminals = agentTerminals();
+    const target = label ? terminals.find((t) => t.label === label) : terminals.find((t) => t.default);
+    return target ? terminalRefs.current[target.id] : undefined;
+  }, [agentTerminals]);
+
+  const handleListTerminals = useCallback(
+    () => agentTerminals().map(({ id: _id, ...terminal }) => terminal),
+    [agentTerminals],
+  );
+
+  const handleRunAgentCommand = useCallback(async (command, label) => {
+    if (!tabs.some((t) => t.type === 'ssh')) return '(No SSH terminal connected)';
+    const termRef = agentTerminalRef(label);
     if (!termRef) return '(Terminal ref not found)';
-    return termRef.runAgentCommand(command);
-  }, [activeTab, tabs]);
+    return agentExec ? termRef.runAgentExec(command) : termRef.runAgentCommand(command);
+  }, [tabs, agentTerminalRef, agentExec]);
 
-  const handleSendAgentKeys = useCallback(async (keys) => {
-    const sshTabId = activeTab && tabs.find((t) => t.id === activeTab && t.type === 'ssh')
-      ? activeTab
-      : tabs.find((t) => t.type === 'ssh')?.id;
-    if (!sshTabId) return '(No SSH terminal connected)';
-    const termRef = terminalRefs.current[sshTabId];
+  const handleSendAgentKeys = useCallback(async (keys, label) => {
+    if (!tabs.some((t) => t.type === 'ssh')) return '(No SSH terminal connected)';
+    const termRef = agentTerminalRef(label);
     if (!termRef) return '(Terminal ref not found)';
     return termRef.sendAgentKeys(keys);
-  }, [activeTab, tabs]);
+  }, [tabs, agentTerminalRef]);
+
+  const handleAgentFileRequest = useCallback(async (op, args, label) => {
+    const termRef = agentTerminalRef(label);
+    if (!termRef) return { error: 'No SSH terminal connected' };
+    return termRef.agentFileRequest(op, args);
+  }, [agentTerminalRef]);
 
+  // The agent may be waiting on any tab, so stop them all
   const handleAbortAgentCapture = useCallback(() => {
-    const sshTabId = activeTab && tabs.find((t) => t.id === activeTab && t.type === 'ssh')
-      ? activeTab
-      : tabs.find((t) => t.type === 'ssh')?.id;
-    if (!sshTabId) return;
-    const termRef = terminalRefs.current[sshTabId];
-    if (termRef) termRef.abortAgentCapture();
-  }, [activeTab, tabs]);
+    for (const tab of tabs) {
+      if (tab.type === 'ssh') terminalRefs.current[tab.id]?.abortAgentCapture();
+    }
+  }, [tabs]);
+
+  const handleReadTerminal = useCallback((label) => {
+    if (!tabs.some((t) => t.type === 'ssh')) return '(No terminal connected)';
+    const termRef = agentTerminalRef(label);
+    return termRef ? termRef.getBufferText() : '(Terminal ref not found)';
+  }, [tabs, agentTerminalRef]);
 
   const getTabLabel = (tab) => {
     if (tab.type === 'gemini') return 'Gemini';
     if (tab.type === 'claude') return 'Claude';
+    if (tab.type === 'player') return tab.recording?.name.replace(/\.cast$/, '') ?? 'Recordings';
+    if (tab.type === 'history') return 'Agent History';
     if (tab.connection?.local) return 'local';
     return `${tab.connection.username}@${tab.connection.host}`;
   };
@@ -322,6 +540,65 @@ function App() {
     : activeSession?.status || 'disconnected';
 
   const hasReadySSH = tabs.some((t) => t.type === 'ssh' && t.status === 'ready');
+  const terminalTabCount = tabs.filter((t) => t.type === 'ssh').length;
+
+  /* ── Command palette ─────────────────────────────── */
+
+  useCommands(() => {
+    const commands = [
+      { id: 'connection:new', group: 'Connection', title: 'New SSH connection…', run: handleNewTab },
+      { id: 'connection:local', group: 'Connection', title: 'Open local terminal', run: handleLocalConnect },
+      ...loadHistory().map((entry) => ({
+        id: `connection:history:${entry.host}:${entry.port}:${entry.username}`,
+        group: 'Connection',
+        title: `Connect to ${entry.alias ? `${entry.alias} (${entry.username}@${entry.host})` : `${entry.username}@${entry.host}`}`,
+        hint: entry.port !== 22 ? `port ${entry.port}` : undefined,
+        run: () => connectFromHistory(entry),
+      })),
+      ...tabs
+        .filter((t) => t.id !== activeTab || showForm)
+        .map((t) => ({
+          id: `tab:switch:${t.id}`,
+          group: 'Tab',
+          title: `Go to ${getTabLabel(t)}`,
+          hint: t.type === 'ssh' ? t.status : t.type,
+          run: () => switchTab(t.id),
+        })),
+      { id: 'player:open', group: 'Recordings', title: 'Play a terminal recording…', run: handleOpenPlayer },
+      { id: 'history:open', group: 'Agent', title: 'Open agent history', run: handleOpenHistory },
+      { id: 'settings:open', group: 'View', title: 'Open settings', run: () => setShowSettings(true) },
+    ];
+    if (activeSession && !showForm) {
+      commands.push({ id: 'tab:close', group: 'Tab', title: 'Close current tab', run: () => handleCloseTab(activeSession.id) });
+    }
+    if (broadcasting || terminalTabCount > 1) {
+      commands.push({ id: 'broadcast:toggle', group: 'View', title: broadcasting ? 'Stop broadcast input' : 'Broadcast input to all terminals', run: toggleBroadcast });
+    }
+    if (hasReadySSH) {
+      commands.push(
+        { id: 'split:toggle', group: 'View', title: splitMode ? 'Exit split screen' : 'Split screen: Terminal + Gemini', run: toggleSplit },
+        { id: 'chat:gemini', group: 'Chat', title: 'New Gemini chat', run: handleOpenGemini },
+        { id: 'agent:toggle', group: 'Agent', title: agentMode ? 'Turn agent mode off' : 'Turn agent mode on', run: () => setAgentMode((prev) => !prev) },
+        { id: 'autoexecute:toggle', group: 'Agent', title: autoExecute ? 'Turn auto-execute off' : 'Turn auto-execute on', run: () => setAutoExecute((prev) => !prev) },
+        ...availableModels
+          .filter((m) => m.id !== selectedModel)
+          .map((m) => ({
+            id: `model:${m.id}`,
+            group: 'Model',
+            title: `Use ${m.label}`,
+            hint: m.providerLabel,
+            run: () => setSelectedModel(m.id),
+          })),
+      );
+      if (claudeEnabled) {
+        commands.push({ id: 'chat:claude', group: 'Chat', title: 'New Claude chat', run: handleOpenClaude });
+      }
+      if (agentMode) {
+        commands.push({ id: 'step:toggle', group: 'Agent', title: stepThrough ? 'Turn step-through off' : 'Turn step-through on', run: () => setStepThrough((prev) => !prev) });
+      }
+    }
+    return commands;
+  });
   const activeIsGeminiTab = activeSession?.type === 'gemini';
 
   // Don't render until server URL is known
@@ -376,16 +653,32 @@ function App() {
               </button>
             </>
           )}
+          {(broadcasting || terminalTabCount > 1) && (
+            <button
+              className={`agent-toggle broadcast-toggle ${broadcasting ? 'broadcast-toggle--active' : ''}`}
+              onClick={toggleBroadcast}
+              title={broadcasting
+                ? 'Stop broadcasting input'
+                : 'Broadcast: keystrokes in one terminal are typed into every grouped terminal'}
+            >
+              <span className="agent-toggle-icon">📡</span>
+              {broadcasting ? `Broadcast ON · ${broadcastGroup.length}` : 'Broadcast'}
+            </button>
+          )}
           {hasReadySSH && (
             <>
               <select
                 className="model-selector"
                 value={selectedModel}
                 onChange={(e) => setSelectedModel(e.target.value)}
-                title="Select Gemini model"
+                title="Select model"
               >
-                {GEMINI_MODELS.map((m) => (
-                  <option key={m.id} value={m.id}>{m.label}</option>
+                {modelGroups.map(([providerLabel, groupModels]) => (
+                  <optgroup key={providerLabel} label={providerLabel}>
+                    {groupModels.map((m) => (
+                      <option key={m.id} value={m.id}>{m.label}</option>
+                    ))}
+                  </optgroup>
                 ))}
               </select>
               <label className="auto-execute-toggle" title="When enabled, clicking a command will execute it immediately">
@@ -399,7 +692,7 @@ function App() {
               <button
                 className={`agent-toggle ${agentMode ? 'agent-toggle--active' : ''}`}
                 onClick={() => setAgentMode((prev) => !prev)}
-                title={agentMode ? 'Disable agent mode' : 'Enable agent mode: Gemini can execute commands autonomously'}
+                title={agentMode ? 'Disable agent mode' : 'Enable agent mode: Gemini or Claude can execute commands autonomously'}
               >
                 <span className="agent-toggle-icon">⚡</span>
                 {agentMode ? 'Agent ON' : 'Agent'}
@@ -451,6 +744,18 @@ function App() {
                     onChange={(e) => setFontSize(Number(e.target.value))}
                   />
                 </div>
+                <div className="settings-group">
+                  <label className="settings-label">Scrollback</label>
+                  <select
+                    className="settings-select"
+                    value={scrollback}
+                    onChange={(e) => setScrollback(Number(e.target.value))}
+                  >
+                    {SCROLLBACK_OPTIONS.map((n) => (
+                      <option key={n} value={n}>{n.toLocaleString()} lines</option>
+                    ))}
+                  </select>
+                </div>
                 <div className="settings-group">
                   <label className="settings-label">Background Color</label>
                   <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
@@ -484,6 +789,22 @@ function App() {
                   />
                   <span className="settings-toggle-label">Enable Claude</span>
                 </label>
+                <label className="settings-toggle" title="Recordings then contain everything typed, including passwords">
+                  <input
+                    type="checkbox"
+                    checked={recordInput}
+                    onChange={(e) => setRecordInput(e.target.checked)}
+                  />
+                  <span className="settings-toggle-label">Record keystrokes in recordings</span>
+                </label>
+                <label className="settings-toggle" title="The agent gets stdout, stderr and the exit code separately; output stays in the agent steps, not the terminal, and commands can't prompt for input">
+                  <input
+                    type="checkbox"
+                    checked={agentExec}
+                    onChange={(e) => setAgentExec(e.target.checked)}
+                  />
+                  <span className="settings-toggle-label">Run agent commands on a separate exec channel</span>
+                </label>
 
                 <div className="settings-group">
                   <label className="settings-label">Gemini API Key (GenAI)</label>
@@ -512,6 +833,37 @@ function App() {
                   </div>
                 </div>
 
+                <div className="settings-group">
+                  <label className="settings-label">Local Model (OpenAI-compatible)</label>
+                  <input
+                    className="settings-input"
+                    type="text"
+                    value={localBaseUrl}
+                    onChange={(e) => setLocalBaseUrl(e.target.value)}
+                    placeholder="http://localhost:11434/v1"
+                    spellCheck="false"
+                    autoComplete="off"
+                    style={{ fontFamily: 'monospace', marginBottom: '6px' }}
+                  />
+                  <input
+                    className="settings-input"
+                    type="text"
+                    value={localModel}
+                    onChange={(e) => setLocalModel(e.target.value)}
+                    placeholder="Model name, e.g. llama3.1"
+                    spellCheck="false"
+                    autoComplete="off"
+                    style={{ fontFamily: 'monospace' }}
+                  />
+                  <div style={{ fontSize: '11px', color: 'var(--text-muted)', marginTop: '6px', lineHeight: 1.4 }}>
+                    Ollama, llama.cpp server, vLLM… Needs function calling for agent mode.
+                  </div>
+                </div>
+
+                <AgentPolicySettings rules={policyRules} onChange={updatePolicyRules} />
+
+                <KnownHostsSettings serverUrl={serverUrl} />
+
                 <div className="settings-preview" style={{ fontFamily: `'${fontFamily}', monospace`, fontSize: `${fontSize}px` }}>
                   The quick brown fox jumps over the lazy dog
                 </div>
@@ -538,12 +890,28 @@ function App() {
                 <span className="tab-gemini-icon">✦</span>
               ) : tab.type === 'claude' ? (
                 <span className="tab-gemini-icon" style={{ color: '#d4a574' }}>◈</span>
+              ) : tab.type === 'player' ? (
+                <span className="tab-gemini-icon tab-player-icon">▶</span>
+              ) : tab.type === 'history' ? (
+                <span className="tab-gemini-icon tab-history-icon">☰</span>
               ) : (
                 <span className={`tab-status-dot ${tab.status}`} />
               )}
               <span className="tab-label">
                 {getTabLabel(tab)}
               </span>
+              {broadcasting && tab.type === 'ssh' && (
+                <button
+                  className={`tab-broadcast ${broadcastGroup.includes(tab.id) ? 'tab-broadcast--on' : ''}`}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    toggleBroadcastMember(tab.id);
+                  }}
+                  title={broadcastGroup.includes(tab.id) ? 'Leave broadcast group' : 'Join broadcast group'}
+                >
+                  📡
+                </button>
+              )}
               <button
                 className="tab-close"
                 onClick={(e) => {
@@ -580,6 +948,20 @@ function App() {
                 ◈
               </button>
             )}
+            <button
+              className="tab-new tab-new--player"
+              onClick={handleOpenPlayer}
+              title="Play a terminal recording"
+            >
+              ▶
+            </button>
+            <button
+              className="tab-new tab-new--history"
+              onClick={handleOpenHistory}
+              title="Agent history"
+            >
+              ☰
+            </button>
           </div>
         </div>
       )}
@@ -588,7 +970,7 @@ function App() {
       <main className={`app-main ${splitMode ? 'app-main--split' : ''}`} ref={mainRef} style={splitMode ? { '--split-left-width': `${splitRatio}%` } : undefined}>
         {/* Left panel (or full panel when not split) */}
         <div className={`split-panel split-panel--left ${splitMode ? '' : 'split-panel--full'}`}>
-          {showForm && <ConnectionForm onConnect={handleConnect} onLocalConnect={handleLocalConnect} />}
+          {showForm && <ConnectionForm onConnect={handleConnect} onLocalConnect={handleLocalConnect} serverUrl={serverUrl} initialEntry={formEntry} />}
 
           {tabs.map((tab) =>
             tab.type === 'ssh' ? (
@@ -599,6 +981,8 @@ function App() {
                   else delete terminalRefs.current[tab.id];
                 }}
                 tabId={tab.id}
+                sessionId={tab.sessionId}
+                restored={tab.restored}
                 connection={tab.connection}
                 isActive={tab.id === activeTab && !showForm}
                 onStatusChange={(status) => handleStatusChange(tab.id, status)}
@@ -606,7 +990,39 @@ function App() {
                 fontFamily={fontFamily}
                 fontSize={fontSize}
                 bgColor={bgColor}
+                scrollback={scrollback}
+                serverUrl={serverUrl}
+                recordInput={recordInput}
+                broadcastCount={broadcasting && broadcastGroup.includes(tab.id) ? broadcastGroup.length : 0}
+                onInput={(data) => handleTerminalInput(tab.id, data)}
+                onLeaveBroadcast={() => toggleBroadcastMember(tab.id)}
+              />
+            ) : tab.type === 'player' ? (
+              tab.recording ? (
+                <CastPlayer
+                  key={tab.id}
+                  recording={tab.recording}
+                  isActive={tab.id === activeTab && !showForm}
+                  onClose={() => handleCloseTab(tab.id)}
+                  fontFamily={fontFamily}
+                  fontSize={fontSize}
+                  bgColor={bgColor}
+                />
+              ) : (
+                <RecordingsLibrary
+                  key={tab.id}
+                  serverUrl={serverUrl}
+                  isActive={tab.id === activeTab && !showForm}
+                  onOpen={(recording) => handleOpenRecording(tab.id, recording)}
+                  onClose={() => handleCloseTab(tab.id)}
+                />
+              )
+            ) : tab.type === 'history' ? (
+              <AgentHistory
+                key={tab.id}
                 serverUrl={serverUrl}
+                isActive={tab.id === activeTab && !showForm}
+                onClose={() => handleCloseTab(tab.id)}
               />
             ) : tab.type === 'gemini' ? (
               !splitMode && (
@@ -621,15 +1037,14 @@ function App() {
                   onRunAgentCommand={handleRunAgentCommand}
                   onSendAgentKeys={handleSendAgentKeys}
                   onAbortAgentCapture={handleAbortAgentCapture}
-                    onReadTerminal={() => {
-                      const sshTabId = activeTab && tabs.find((t) => t.id === activeTab && t.type === 'ssh') ? activeTab : tabs.find((t) => t.type === 'ssh')?.id;
-                      if (!sshTabId) return '(No terminal connected)';
-                      const termRef = terminalRefs.current[sshTabId];
-                      return termRef ? termRef.getBufferText() : '(Terminal ref not found)';
-                    }}
-                    stepThrough={stepThrough}
+                  onReadTerminal={handleReadTerminal}
+                  onListTerminals={handleListTerminals}
+                  onAgentFileRequest={handleAgentFileRequest}
+                  stepThrough={stepThrough}
+                  agentPolicy={policyRules}
                   serverUrl={serverUrl}
-                    apiKey={geminiApiKey}
+                  providerConfig={providerConfig}
+                  providerLabel={selectedModelInfo?.providerLabel}
                 />
               )
             ) : tab.type === 'claude' ? (
@@ -640,7 +1055,17 @@ function App() {
                   onStatusChange={(status) => handleStatusChange(tab.id, status)}
                   onClose={() => handleCloseTab(tab.id)}
                   onRunCommand={handleRunCommand}
+                  agentMode={agentMode}
+                  onRunAgentCommand={handleRunAgentCommand}
+                  onSendAgentKeys={handleSendAgentKeys}
+                  onAbortAgentCapture={handleAbortAgentCapture}
+                  onReadTerminal={handleReadTerminal}
+                  onListTerminals={handleListTerminals}
+                  onAgentFileRequest={handleAgentFileRequest}
+                  stepThrough={stepThrough}
+                  agentPolicy={policyRules}
                   serverUrl={serverUrl}
+                  providerConfig={providerConfig}
                 />
               )
             ) : null,
@@ -664,20 +1089,21 @@ function App() {
                 onRunAgentCommand={handleRunAgentCommand}
                 onSendAgentKeys={handleSendAgentKeys}
                 onAbortAgentCapture={handleAbortAgentCapture}
-                onReadTerminal={() => {
-                  const sshTabId = activeTab && tabs.find((t) => t.id === activeTab && t.type === 'ssh') ? activeTab : tabs.find((t) => t.type === 'ssh')?.id;
-                  if (!sshTabId) return '(No terminal connected)';
-                  const termRef = terminalRefs.current[sshTabId];
-                  return termRef ? termRef.getBufferText() : '(Terminal ref not found)';
-                }}
+                onReadTerminal={handleReadTerminal}
+                onListTerminals={handleListTerminals}
+                onAgentFileRequest={handleAgentFileRequest}
                 stepThrough={stepThrough}
+                agentPolicy={policyRules}
                 serverUrl={serverUrl}
-                apiKey={geminiApiKey}
+                providerConfig={providerConfig}
+                providerLabel={selectedModelInfo?.providerLabel}
               />
             </div>
           </>
         )}
       </main>
+
+      {showPalette && <CommandPalette onClose={() => setShowPalette(false)} />}
     </div>
   );
 }
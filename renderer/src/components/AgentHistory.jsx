@@ -0,0 +1,197 @@
+import { useState, useEffect, useCallback } from 'react';
+import { fetchAgentRuns, fetchAgentRun } from '../utils/api';
+import { DiffView } from './AgentSteps';
+
+/* ── Agent history ────────────────────────────────────── */
+
+// Browses the agent audit log (server/audit-log.js): past runs filtered by
+// host and date, and the full transcript of one run.
+
+const OUTCOME_LABELS = {
+  complete: '✓ complete',
+  answered: '✓ answered',
+  stopped: '■ stopped',
+  error: '✕ error',
+  'max-steps': '… step limit',
+};
+
+// <input type="date"> value → local start or end of that day in ms
+function dayBound(value, end) {
+  if (!value) return undefined;
+  return new Date(`${value}T${end ? '23:59:59.999' : '00:00:00'}`).getTime();
+}
+
+const formatTime = (ms) => (ms ? new Date(ms).toLocaleString() : '');
+
+function formatDuration(startedAt, finishedAt) {
+  if (!startedAt || !finishedAt) return '';
+  const ms = finishedAt - startedAt;
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+// The interesting argument of a tool call, shown as its title
+function describeArgs(event) {
+  const args = event.args ?? {};
+  return args.command ?? args.keys ?? args.path ?? args.question ?? args.reasoning ?? '';
+}
+
+function OutcomeBadge({ outcome }) {
+  const key = outcome ?? 'running';
+  return <span className={`agent-history-outcome agent-history-outcome--${key}`}>{OUTCOME_LABELS[key] ?? key}</span>;
+}
+
+function ToolEvent({ event }) {
+  const { args = {} } = event;
+  return (
+    <div className={`agent-history-event agent-history-event--${event.status}`}>
+      <div className="agent-history-event-head">
+        <span className="agent-history-tool">{event.tool}</span>
+        {event.terminal && <span className="agent-step-terminal">{event.terminal}</span>}
+        {event.approval && event.approval !== 'auto' && (
+          <span className={`agent-history-approval agent-history-approval--${event.approval}`}>{event.approval}</span>
+        )}
+        {event.exitCode !== undefined && event.exitCode !== null && (
+          <span className={`agent-history-exit ${event.exitCode === 0 ? '' : 'agent-history-exit--fail'}`}>
+            exit {event.exitCode}
+          </span>
+        )}
+        <span className="agent-history-time">
+          {formatTime(event.startedAt ?? event.ts)}
+          {event.finishedAt ? ` · ${formatDuration(event.startedAt, event.finishedAt)}` : ''}
+        </span>
+      </div>
+      <div className="agent-history-args">{describeArgs(event)}</div>
+      {args.reasoning && describeArgs(event) !== args.reasoning && (
+        <div className="agent-step-reasoning">{args.reasoning}</div>
+      )}
+      {event.policy && <div className="agent-step-policy agent-step-policy--deny">policy: {event.policy}</div>}
+      {event.diff && <DiffView diff={event.diff} />}
+      {event.output && <pre className="agent-step-output">{event.output}</pre>}
+    </div>
+  );
+}
+
+function Transcript({ events }) {
+  return events.map((event, i) => {
+    if (event.type === 'run') {
+      return (
+        <div key={i} className="agent-history-prompt">
+          <div className="agent-history-time">
+            {formatTime(event.ts)}{event.model ? ` · ${event.model}` : ''}{event.host ? ` · ${event.host}` : ''}
+          </div>
+          <div>{event.prompt}</div>
+        </div>
+      );
+    }
+    if (event.type === 'end') {
+      return (
+        <div key={i} className="agent-history-end">
+          <OutcomeBadge outcome={event.outcome} />
+          <span className="agent-history-time">{formatTime(event.ts)}</span>
+          {(event.summary || event.text || event.error) && (
+            <div className="agent-history-summary">{event.summary ?? event.text ?? event.error}</div>
+          )}
+        </div>
+      );
+    }
+    return <ToolEvent key={i} event={event} />;
+  });
+}
+
+export default function AgentHistory({ serverUrl, isActive, onClose }) {
+  const [host, setHost] = useState('');
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const [runs, setRuns] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [events, setEvents] = useState(null);
+  const [error, setError] = useState('');
+
+  const loadRuns = useCallback(() => {
+    setError('');
+    return fetchAgentRuns(serverUrl, { host: host.trim(), from: dayBound(from, false), to: dayBound(to, true) });
+  }, [serverUrl, host, from, to]);
+
+  // Reloaded whenever the tab is shown, so runs made meanwhile appear
+  useEffect(() => {
+    if (!serverUrl || !isActive) return undefined;
+    let cancelled = false;
+    loadRuns()
+      .then((list) => {
+        if (!cancelled) setRuns(list);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [serverUrl, isActive, loadRuns]);
+
+  const openRun = async (runId) => {
+    setSelected(runId);
+    setEvents(null);
+    setError('');
+    try {
+      setEvents(await fetchAgentRun(serverUrl, runId));
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="terminal-container agent-history" style={{ display: isActive ? 'flex' : 'none' }}>
+      <div className="terminal-toolbar">
+        <div className="toolbar-left">
+          <span className="terminal-title">Agent History</span>
+        </div>
+        <div className="toolbar-right-group">
+          <div className="cast-search agent-history-filters">
+            <input
+              type="text"
+              value={host}
+              onChange={(e) => setHost(e.target.value)}
+              placeholder="Host"
+              aria-label="Filter by host"
+              spellCheck="false"
+            />
+            <input type="date" value={from} onChange={(e) => setFrom(e.target.value)} aria-label="From date" />
+            <span className="cast-search-count">–</span>
+            <input type="date" value={to} onChange={(e) => setTo(e.target.value)} aria-label="To date" />
+          </div>
+          <button className="disconnect-btn" onClick={onClose}>✕</button>
+        </div>
+      </div>
+
+      <div className="agent-history-body">
+        <div className="cast-library-list agent-history-runs">
+          {error && <div className="sftp-error">{error}</div>}
+          {runs?.length === 0 && (
+            <div className="tunnels-empty">
+              {host || from || to ? 'No agent runs match these filters.' : 'No agent runs yet.'}
+            </div>
+          )}
+          {runs?.map((run) => (
+            <button
+              key={run.runId}
+              className={`cast-library-item agent-history-run ${run.runId === selected ? 'agent-history-run--active' : ''}`}
+              onClick={() => openRun(run.runId)}
+            >
+              <span className="agent-history-run-prompt">{run.prompt || '(no prompt)'}</span>
+              <span className="cast-library-meta">
+                {formatTime(run.startedAt)} · {run.hosts.join(', ') || 'no host'} · {run.toolCalls} tool
+                {run.toolCalls === 1 ? '' : 's'} · <OutcomeBadge outcome={run.outcome} />
+              </span>
+            </button>
+          ))}
+        </div>
+
+        <div className="agent-history-transcript">
+          {!selected && <div className="tunnels-empty">Select a run to see its transcript.</div>}
+          {selected && !events && !error && <div className="tunnels-empty">Loading…</div>}
+          {events && <Transcript events={events} />}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+import {
+  POLICY_ACTIONS,
+  POLICY_MATCHES,
+  newPolicyRule,
+  defaultPolicyRules,
+  patternError,
+} from '../utils/agentPolicy';
+
+/* ── Settings section: agent command policy ──────────── */
+
+// Edits the rules in utils/agentPolicy.js. Order matters: the first matching
+// rule wins, host-specific rules before the rest.
+export default function AgentPolicySettings({ rules, onChange }) {
+  const update = (id, changes) => {
+    onChange(rules.map((rule) => (rule.id === id ? { ...rule, ...changes } : rule)));
+  };
+
+  const move = (index, delta) => {
+    const next = [...rules];
+    const [rule] = next.splice(index, 1);
+    next.splice(index + delta, 0, rule);
+    onChange(next);
+  };
+
+  const resetToDefaults = () => {
+    if (!window.confirm('Replace your agent policy rules with the defaults?')) return;
+    onChange(defaultPolicyRules());
+  };
+
+  return (
+    <div className="settings-group">
+      <label className="settings-label">Agent Command Policy</label>
+      <div className="policy-hint">
+        Checked before every agent command, keystroke and file write (matched as write_file or edit_file
+        followed by the path; file reads are not checked). Ask needs your approval even with step-through off;
+        deny blocks the command and tells the model. First match wins; rules with hosts go first.
+      </div>
+      <div className="policy-list">
+        {rules.map((rule, i) => {
+          const error = patternError(rule);
+          return (
+            <div key={rule.id} className={`policy-rule policy-rule--${rule.action} ${error ? 'policy-rule--broken' : ''}`}>
+              <div className="policy-rule-row">
+                <select
+                  className="settings-select policy-select"
+                  value={rule.action}
+                  onChange={(e) => update(rule.id, { action: e.target.value })}
+                  aria-label="Action"
+                >
+                  {POLICY_ACTIONS.map((action) => <option key={action} value={action}>{action}</option>)}
+                </select>
+                <select
+                  className="settings-select policy-select"
+                  value={rule.match}
+                  onChange={(e) => update(rule.id, { match: e.target.value })}
+                  aria-label="Match by"
+                >
+                  {POLICY_MATCHES.map((match) => <option key={match} value={match}>{match}</option>)}
+                </select>
+                <button className="policy-rule-btn" onClick={() => move(i, -1)} disabled={i === 0} title="Move up">↑</button>
+                <button className="policy-rule-btn" onClick={() => move(i, 1)} disabled={i === rules.length - 1} title="Move down">↓</button>
+                <button
+                  className="policy-rule-btn"
+                  onClick={() => onChange(rules.filter((r) => r.id !== rule.id))}
+                  title="Remove rule"
+                >
+                  ✕
+                </button>
+              </div>
+              <input
+                className="settings-input policy-input"
+                type="text"
+                value={rule.pattern}
+                onChange={(e) => update(rule.id, { pattern: e.target.value })}
+                placeholder={rule.match === 'regex' ? 'Regular expression' : 'Command prefix, e.g. kubectl delete'}
+                title={rule.note}
+                spellCheck="false"
+              />
+              <input
+                className="settings-input policy-input"
+                type="text"
+                value={rule.hosts}
+                onChange={(e) => update(rule.id, { hosts: e.target.value })}
+                placeholder="All hosts (or e.g. prod-*, *.example.com)"
+                spellCheck="false"
+              />
+              {error && (
+                <div className="known-hosts-error">
+                  {error}. {rule.action === 'allow'
+                    ? 'This rule never matches until fixed.'
+                    : `Until fixed, this rule ${rule.action === 'deny' ? 'blocks' : 'asks about'} every command.`}
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+      <div className="policy-actions">
+        <button className="settings-reset-btn" onClick={() => onChange([...rules, newPolicyRule()])}>+ Rule</button>
+        <button className="settings-reset-btn" onClick={resetToDefaults}>Reset to defaults</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,276 @@
+/* ── Agent step list, approvals and questions ────────── */
+
+// Renders the transcript of an agent run driven by useAgentLoop, plus the
+// interactive step-through approval, ask_user and paused indicators.
+
+// The terminal tab a step ran on
+function TerminalTag({ label }) {
+  return label ? <span className="agent-step-terminal" title="Terminal">{label}</span> : null;
+}
+
+// Unified diff from edit_file / write_file, coloured by line
+export function DiffView({ diff }) {
+  return (
+    <pre className="agent-step-output agent-step-diff">
+      {diff.split('\n').map((line, i) => {
+        let kind = 'context';
+        if (line.startsWith('+++') || line.startsWith('---')) kind = 'file';
+        else if (line.startsWith('@@')) kind = 'hunk';
+        else if (line.startsWith('+')) kind = 'add';
+        else if (line.startsWith('-')) kind = 'del';
+        return <div key={i} className={`agent-diff-line agent-diff-line--${kind}`}>{line || ' '}</div>;
+      })}
+    </pre>
+  );
+}
+
+// The command policy rule that blocked a step or asked for approval
+function PolicyNote({ policy }) {
+  if (!policy || policy.action === 'allow') return null;
+  return (
+    <div className={`agent-step-policy agent-step-policy--${policy.action}`}>
+      {policy.action === 'deny' ? '⛔ blocked by policy' : '⚠ policy asks for approval'}: {policy.note}
+    </div>
+  );
+}
+
+export default function AgentSteps({ agent }) {
+  const {
+    agentSteps,
+    agentPaused,
+    agentQuestion,
+    agentQuestionInput,
+    setAgentQuestionInput,
+    pendingApproval,
+    handleApprove,
+    handleSkip,
+    handleQuestionSubmit,
+  } = agent;
+
+  return (
+    <>
+      {agentSteps.map((step, i) => (
+        <div key={`agent-${i}`} className={`agent-step agent-step--${step.type}`}>
+          {step.type === 'command' && (
+            <>
+              <div className="agent-step-header">
+                <TerminalTag label={step.terminal} />
+                [{['running', 'timeout', 'skipped', 'denied'].includes(step.status) ? step.status : 'done'}] {step.reasoning}
+              </div>
+              <div className="agent-step-command">
+                {'> '}{step.command}
+              </div>
+              <PolicyNote policy={step.policy} />
+              {step.output && (
+                <pre className="agent-step-output">
+                  {step.output}
+                </pre>
+              )}
+              {step.status === 'timeout' && (
+                <div className="agent-step-timeout-msg">
+                  command may need input — check the terminal
+                </div>
+              )}
+              {step.status === 'skipped' && (
+                <div className="agent-step-skipped-msg">
+                  skipped by user
+                </div>
+              )}
+            </>
+          )}
+          {step.type === 'send_keys' && (
+            <>
+              <div className="agent-step-header">
+                <TerminalTag label={step.terminal} />
+                [{step.status === 'running' ? 'sending' : step.status === 'skipped' || step.status === 'denied' ? step.status : 'sent'}] {step.reasoning}
+              </div>
+              <div className="agent-step-command agent-step-keys">
+                {'⌨ '}{step.keys}
+              </div>
+              <PolicyNote policy={step.policy} />
+              {step.output && (
+                <pre className="agent-step-output">
+                  {step.output}
+                </pre>
+              )}
+              {step.status === 'skipped' && (
+                <div className="agent-step-skipped-msg">
+                  skipped by user
+                </div>
+              )}
+            </>
+          )}
+          {step.type === 'ask_user' && (
+            <>
+              <div className="agent-step-header agent-step-header--question">
+                [{step.status === 'waiting' ? 'waiting for answer' : 'answered'}] {step.reasoning}
+              </div>
+              <div className="agent-step-question">
+                {'? '}{step.question}
+              </div>
+              {step.answer && (
+                <div className="agent-step-answer">
+                  {'→ '}{step.answer}
+                </div>
+              )}
+            </>
+          )}
+          {step.type === 'read_terminal' && (
+            <>
+              <div className="agent-step-header">
+                <TerminalTag label={step.terminal} />
+                [read] {step.reasoning}
+              </div>
+              {step.output && (
+                <pre className="agent-step-output">
+                  {step.output}
+                </pre>
+              )}
+            </>
+          )}
+          {step.type === 'file' && (
+            <>
+              <div className="agent-step-header">
+                <TerminalTag label={step.terminal} />
+                [{step.status}] {step.reasoning}
+              </div>
+              <div className="agent-step-command agent-step-file">
+                {'📄 '}{step.tool} {step.path}
+              </div>
+              <PolicyNote policy={step.policy} />
+              {step.diff && <DiffView diff={step.diff} />}
+              {step.output && (
+                <pre className="agent-step-output">
+                  {step.output}
+                </pre>
+              )}
+              {step.status === 'skipped' && (
+                <div className="agent-step-skipped-msg">
+                  skipped by user
+                </div>
+              )}
+            </>
+          )}
+          {step.type === 'list_terminals' && (
+            <>
+              <div className="agent-step-header">
+                [terminals] {step.reasoning}
+              </div>
+              <pre className="agent-step-output">
+                {step.output}
+              </pre>
+            </>
+          )}
+          {step.type === 'complete' && (
+            <div className="agent-step-complete">
+              [complete] {step.summary}
+            </div>
+          )}
+          {step.type === 'aborted' && (
+            <div className="agent-step-aborted">
+              [stopped] agent stopped by user.
+            </div>
+          )}
+          {step.type === 'error' && (
+            <div className="agent-step-error">
+              [error] {step.text}
+            </div>
+          )}
+        </div>
+      ))}
+
+      {/* Pending approval (step-through mode) */}
+      {pendingApproval && (
+        <div className="gemini-term-line agent-approval-indicator">
+          <div className="agent-approval-header">
+            <TerminalTag label={pendingApproval.terminal} />
+            {{ command: '>', file: '📄' }[pendingApproval.type] ?? '⌨'} {pendingApproval.detail}
+          </div>
+          <PolicyNote policy={pendingApproval.policy} />
+          {pendingApproval.diff && <DiffView diff={pendingApproval.diff} />}
+          <div className="agent-approval-reason">{pendingApproval.reasoning}</div>
+          <div className="agent-approval-buttons">
+            <button className="agent-approve-btn" onClick={handleApprove}>✓ Approve</button>
+            <button className="agent-skip-btn" onClick={handleSkip}>✗ Skip</button>
+          </div>
+        </div>
+      )}
+
+      {/* Agent question (ask_user) */}
+      {agentQuestion && (
+        <div className="gemini-term-line agent-question-indicator">
+          <div className="agent-question-text">? {agentQuestion}</div>
+          <div className="agent-question-form">
+            <input
+              className="agent-question-input"
+              type="text"
+              value={agentQuestionInput}
+              onChange={(e) => setAgentQuestionInput(e.target.value)}
+              onKeyDown={(e) => { if (e.key === 'Enter') handleQuestionSubmit(); }}
+              placeholder="Type your answer…"
+              autoFocus
+            />
+            <button className="agent-question-submit" onClick={handleQuestionSubmit}>Send</button>
+          </div>
+        </div>
+      )}
+
+      {/* Paused indicator */}
+      {agentPaused && (
+        <div className="gemini-term-line agent-paused-indicator">
+          <span className="agent-paused-icon">⏸</span>
+          <span className="agent-paused-text">agent paused — click Resume to continue</span>
+        </div>
+      )}
+    </>
+  );
+}
+
+/* ── Toolbar controls for a running agent ────────────── */
+
+export function AgentControls({ agent, agentMode }) {
+  const {
+    agentRunning,
+    agentPaused,
+    agentStopping,
+    canRetry,
+    pauseAgent,
+    resumeAgent,
+    stopAgent,
+    retryAgent,
+  } = agent;
+
+  return (
+    <>
+      {agentRunning && (
+        <>
+          {agentPaused ? (
+            <button className="disconnect-btn agent-resume-btn" onClick={resumeAgent}>
+              ▶ Resume
+            </button>
+          ) : (
+            <button className="disconnect-btn agent-pause-btn" onClick={pauseAgent}>
+              ⏸ Pause
+            </button>
+          )}
+          <button
+            className={`disconnect-btn agent-stop-btn ${agentStopping ? 'agent-stop-btn--stopping' : ''}`}
+            onClick={stopAgent}
+            disabled={agentStopping}
+          >
+            {agentStopping ? (
+              <><span className="agent-stop-spinner" />Stopping…</>
+            ) : (
+              '■ Stop'
+            )}
+          </button>
+        </>
+      )}
+      {canRetry && agentMode && (
+        <button className="disconnect-btn agent-retry-btn" onClick={retryAgent}>
+          ↻ Retry
+        </button>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,265 @@
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { Terminal as XTerm } from '@xterm/xterm';
+import { parseCast, compressIdle, searchCast } from '../utils/asciicast';
+import { formatDuration } from '../utils/format';
+import { TERMINAL_THEME } from '../utils/terminalTheme';
+import '@xterm/xterm/css/xterm.css';
+
+/* ── asciicast player ────────────────────────────────── */
+
+// Replays a recording into a read-only xterm. Seeking back resets the
+// terminal and writes every event up to the new position. Resets and
+// resizes go through the write queue so they land between the right chunks.
+
+const SPEEDS = [0.5, 1, 1.5, 2, 4, 8];
+// Pauses longer than this are cut short when "Skip idle" is on
+const IDLE_LIMIT = 2;
+
+export default function CastPlayer({ recording, isActive, fontFamily, fontSize, bgColor, onClose }) {
+  const viewportRef = useRef(null);
+  const xtermRef = useRef(null);
+  const indexRef = useRef(0);
+  const positionRef = useRef(0);
+  const [playing, setPlaying] = useState(false);
+  const [position, setPosition] = useState(0);
+  const [speed, setSpeed] = useState(1);
+  const [skipIdle, setSkipIdle] = useState(true);
+  const [query, setQuery] = useState('');
+  const [matches, setMatches] = useState(null);
+  const [matchIndex, setMatchIndex] = useState(0);
+
+  const parsed = useMemo(() => {
+    try {
+      return { cast: parseCast(recording.content) };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [recording]);
+
+  const header = parsed.cast?.header;
+  const events = useMemo(() => {
+    if (!parsed.cast) return [];
+    return skipIdle ? compressIdle(parsed.cast.events, IDLE_LIMIT) : parsed.cast.events;
+  }, [parsed, skipIdle]);
+  const duration = events.length ? events[events.length - 1].time : 0;
+
+  const resizeInOrder = (cols, rows) => {
+    const term = xtermRef.current;
+    term.write('', () => term.resize(cols, rows));
+  };
+
+  // Writes events [from, to) in as few xterm writes as possible
+  const writeEvents = (from, to) => {
+    const term = xtermRef.current;
+    let pending = '';
+    for (let i = from; i < to; i++) {
+      const { code, data } = events[i];
+      if (code === 'o') {
+        pending += data;
+      } else if (code === 'r') {
+        const [cols, rows] = data.split('x').map(Number);
+        if (cols > 0 && rows > 0) {
+          if (pending) term.write(pending);
+          pending = '';
+          resizeInOrder(cols, rows);
+        }
+      }
+    }
+    if (pending) term.write(pending);
+  };
+
+  const seek = (time) => {
+    const term = xtermRef.current;
+    if (!term) return;
+    const target = Math.min(Math.max(time, 0), duration);
+    let index = 0;
+    while (index < events.length && events[index].time <= target) index++;
+
+    if (index < indexRef.current) {
+      term.write('\x1bc');
+      resizeInOrder(header.width, header.height);
+      writeEvents(0, index);
+    } else {
+      writeEvents(indexRef.current, index);
+    }
+    indexRef.current = index;
+    positionRef.current = target;
+    setPosition(target);
+  };
+
+  /* ── Terminal ── */
+  useEffect(() => {
+    if (!header) return undefined;
+    const term = new XTerm({
+      cols: header.width,
+      rows: header.height,
+      disableStdin: true,
+      cursorBlink: false,
+      fontFamily: fontFamily ? `'${fontFamily}', monospace` : '"Ubuntu Mono", monospace',
+      fontSize: fontSize || 14,
+      lineHeight: 1.35,
+      theme: { ...TERMINAL_THEME, background: bgColor || TERMINAL_THEME.background },
+    });
+    term.open(viewportRef.current);
+    xtermRef.current = term;
+    indexRef.current = 0;
+    positionRef.current = 0;
+    setPosition(0);
+    setPlaying(true);
+    return () => {
+      xtermRef.current = null;
+      term.dispose();
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [header]);
+
+  useEffect(() => {
+    const term = xtermRef.current;
+    if (!term) return;
+    if (fontFamily) term.options.fontFamily = `'${fontFamily}', monospace`;
+    if (fontSize) term.options.fontSize = fontSize;
+    if (bgColor) term.options.theme = { ...term.options.theme, background: bgColor };
+  }, [fontFamily, fontSize, bgColor]);
+
+  /* ── Playback ── */
+  useEffect(() => {
+    if (!playing || !isActive) return undefined;
+    let frame;
+    let last = performance.now();
+    const tick = (now) => {
+      const next = positionRef.current + ((now - last) / 1000) * speed;
+      last = now;
+      seek(next);
+      if (next >= duration) {
+        setPlaying(false);
+        return;
+      }
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+    return () => cancelAnimationFrame(frame);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [playing, isActive, speed, events]);
+
+  // Keeps the place (by event, not by time) when idle skipping changes
+  const toggleSkipIdle = () => {
+    const index = indexRef.current;
+    const nextEvents = skipIdle ? parsed.cast.events : compressIdle(parsed.cast.events, IDLE_LIMIT);
+    positionRef.current = index > 0 ? nextEvents[index - 1].time : 0;
+    setPosition(positionRef.current);
+    setSkipIdle((v) => !v);
+    setMatches(null);
+  };
+
+  const togglePlay = () => {
+    if (!playing && positionRef.current >= duration) seek(0);
+    setPlaying((v) => !v);
+  };
+
+  /* ── Search ── */
+  const runSearch = (e) => {
+    e.preventDefault();
+    if (!query.trim()) {
+      setMatches(null);
+      return;
+    }
+    // Repeated Enter walks through the matches
+    if (matches) {
+      if (matches.length === 0) return;
+      const next = (matchIndex + 1) % matches.length;
+      setMatchIndex(next);
+      seek(matches[next]);
+      return;
+    }
+    const found = searchCast(events, query);
+    setMatches(found);
+    if (found.length === 0) return;
+    const first = Math.max(0, found.findIndex((t) => t >= positionRef.current));
+    setMatchIndex(first);
+    setPlaying(false);
+    seek(found[first]);
+  };
+
+  const onKeyDown = (e) => {
+    if (e.target.tagName === 'INPUT' || e.target.tagName === 'SELECT') return;
+    if (e.key === ' ') {
+      e.preventDefault();
+      togglePlay();
+    } else if (e.key === 'ArrowLeft') {
+      seek(positionRef.current - 5);
+    } else if (e.key === 'ArrowRight') {
+      seek(positionRef.current + 5);
+    }
+  };
+
+  return (
+    <div
+      className="terminal-container cast-player"
+      style={{ display: isActive ? 'flex' : 'none' }}
+      onKeyDown={onKeyDown}
+      tabIndex={-1}
+    >
+      <div className="terminal-toolbar">
+        <div className="toolbar-left">
+          <span className="terminal-title">{header?.title || recording.name}</span>
+          {header?.timestamp && (
+            <span className="cast-meta">{new Date(header.timestamp * 1000).toLocaleString()}</span>
+          )}
+        </div>
+        <div className="toolbar-right-group">
+          <button className="disconnect-btn" onClick={onClose}>✕</button>
+        </div>
+      </div>
+
+      {parsed.error ? (
+        <div className="cast-error">Could not open {recording.name}: {parsed.error}</div>
+      ) : (
+        <>
+          <div className="cast-viewport" ref={viewportRef} />
+          <div className="cast-controls">
+            <button className="cast-play" onClick={togglePlay} title={playing ? 'Pause (Space)' : 'Play (Space)'}>
+              {playing ? '❚❚' : '▶'}
+            </button>
+            <span className="cast-time">{formatDuration(position)} / {formatDuration(duration)}</span>
+            <input
+              type="range"
+              className="cast-seek"
+              min="0"
+              max={duration}
+              step="0.1"
+              value={position}
+              onChange={(e) => seek(Number(e.target.value))}
+              aria-label="Seek"
+            />
+            <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))} aria-label="Speed">
+              {SPEEDS.map((s) => (
+                <option key={s} value={s}>{s}×</option>
+              ))}
+            </select>
+            <label className="cast-skip-idle" title={`Shorten pauses to ${IDLE_LIMIT}s`}>
+              <input type="checkbox" checked={skipIdle} onChange={toggleSkipIdle} />
+              Skip idle
+            </label>
+            <form className="cast-search" onSubmit={runSearch}>
+              <input
+                type="text"
+                placeholder="Search output…"
+                value={query}
+                onChange={(e) => {
+                  setQuery(e.target.value);
+                  setMatches(null);
+                }}
+                spellCheck="false"
+              />
+              {matches && (
+                <span className="cast-search-count">
+                  {matches.length ? `${matchIndex + 1}/${matches.length}` : 'No matches'}
+                </span>
+              )}
+            </form>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
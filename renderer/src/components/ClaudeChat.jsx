@@ -1,39 +1,28 @@
 import { useState, useCallback, useRef, useEffect, forwardRef, useImperativeHandle } from 'react';
-
-/* ── API helpers ─────────────────────────────────────── */
-
-async function callClaude(serverUrl, model, messages) {
-  const res = await fetch(`${serverUrl}/api/claude/chat`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ model, messages }),
-  });
-
-  if (!res.ok) {
-    const err = await res.json().catch(() => ({}));
-    throw new Error(err?.error || `HTTP ${res.status}`);
-  }
-
-  const data = await res.json();
-  return data.reply ?? 'No response generated.';
-}
-
-/* ── Simple markdown → terminal rendering ── */
-
-function renderForTerminal(text) {
-  return text
-    .replace(/```(\w*)\n([\s\S]*?)```/g, (_m, _lang, code) => code)
-    .replace(/`([^`]+)`/g, '$1')
-    .replace(/\*\*(.+?)\*\*/g, '$1')
-    .replace(/\*(.+?)\*/g, '$1')
-    .replace(/^### (.+)$/gm, '  $1')
-    .replace(/^## (.+)$/gm, '  $1')
-    .replace(/^# (.+)$/gm, '  $1');
-}
+import { streamChat, callAgent as requestAgentTurn } from '../utils/api';
+import useAgentLoop from '../hooks/useAgentLoop';
+import { renderForTerminal, upsertStreamingReply, finishStreamingReply } from '../utils/streamingReply';
+import AgentSteps, { AgentControls } from './AgentSteps';
 
 /* ── Component ────────────────────────────────────────── */
 
-const ClaudeChat = forwardRef(function ClaudeChat({ model = 'claude-sonnet-4-20250514', isActive, onStatusChange, onRunCommand, serverUrl }, ref) {
+const ClaudeChat = forwardRef(function ClaudeChat({
+  model = 'claude-sonnet-4-20250514',
+  isActive,
+  onStatusChange,
+  onRunCommand,
+  agentMode = false,
+  onRunAgentCommand,
+  onSendAgentKeys,
+  onAbortAgentCapture,
+  onReadTerminal,
+  onListTerminals,
+  onAgentFileRequest,
+  stepThrough = false,
+  agentPolicy,
+  serverUrl,
+  providerConfig,
+}, ref) {
   useImperativeHandle(ref, () => ({
     focus: () => inputRef.current?.focus(),
     pasteText: (text) => {
@@ -47,31 +36,67 @@ const ClaudeChat = forwardRef(function ClaudeChat({ model = 'claude-sonnet-4-202
   const [isLoading, setIsLoading] = useState(false);
   const [commandHistory, setCommandHistory] = useState([]);
   const [historyIndex, setHistoryIndex] = useState(-1);
+  const chatAbortRef = useRef(null);
   const scrollRef = useRef(null);
   const inputRef = useRef(null);
 
+  const isStreaming = messages[messages.length - 1]?.streaming === true;
+
   useEffect(() => {
     onStatusChange('ready');
   }, [onStatusChange]);
 
-  useEffect(() => {
-    if (scrollRef.current) {
-      scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
-    }
-  }, [messages, input]);
-
   useEffect(() => {
     if (isActive) {
       requestAnimationFrame(() => inputRef.current?.focus());
     }
   }, [isActive]);
 
+  /* ── Agent loop ──────────────────────────────────────── */
+
+  const callAgent = useCallback(
+    (history, signal) => requestAgentTurn(serverUrl, { model, history, config: providerConfig }, signal),
+    [serverUrl, model, providerConfig],
+  );
+
+  const appendAgentMessage = useCallback((entry) => {
+    setMessages((prev) => [
+      ...prev,
+      entry.type === 'model' ? { ...entry, text: renderForTerminal(entry.text) } : entry,
+    ]);
+  }, []);
+
+  const agent = useAgentLoop({
+    callAgent,
+    onMessage: appendAgentMessage,
+    onRunAgentCommand,
+    onSendAgentKeys,
+    onAbortAgentCapture,
+    onReadTerminal,
+    onListTerminals,
+    onAgentFileRequest,
+    stepThrough,
+    agentPolicy,
+    serverUrl,
+    model,
+  });
+  const { agentSteps, agentThinking, agentRunning, pendingApproval, agentQuestion, startAgentLoop, resetAgent } = agent;
+
+  useEffect(() => {
+    if (scrollRef.current) {
+      scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
+    }
+  }, [messages, input, agentSteps, pendingApproval, agentQuestion]);
+
+  /* ── Regular chat send ───────────────────────────────── */
+
   const handleSend = useCallback(async () => {
     const text = input.trim();
-    if (!text || isLoading) return;
+    if (!text || isLoading || agentRunning) return;
 
     if (text === 'clear') {
       setMessages([]);
+      resetAgent({ keepLastPrompt: true });
       setInput('');
       return;
     }
@@ -84,7 +109,11 @@ const ClaudeChat = forwardRef(function ClaudeChat({ model = 'claude-sonnet-4-202
         { type: 'system', text: '  help      — Show this help message' },
         { type: 'system', text: '  model     — Show current model info' },
         { type: 'system', text: '' },
-        { type: 'system', text: 'Type any message to chat with Claude.' },
+        {
+          type: 'system', text: agentMode
+            ? 'Agent mode ON — commands will be auto-executed on your terminal.'
+            : 'Type any message to chat with Claude.'
+        },
       ]);
       setInput('');
       return;
@@ -94,6 +123,7 @@ const ClaudeChat = forwardRef(function ClaudeChat({ model = 'claude-sonnet-4-202
       setMessages((prev) => [
         ...prev,
         { type: 'system', text: `Model: ${model} (via Anthropic API)` },
+        { type: 'system', text: `Agent mode: ${agentMode ? 'ON' : 'OFF'}` },
       ]);
       setInput('');
       return;
@@ -105,25 +135,54 @@ const ClaudeChat = forwardRef(function ClaudeChat({ model = 'claude-sonnet-4-202
     const userEntry = { type: 'user', text };
     setMessages((prev) => [...prev, userEntry]);
     setInput('');
+
+    if (agentMode) {
+      await startAgentLoop(text);
+      requestAnimationFrame(() => inputRef.current?.focus());
+      return;
+    }
+
     setIsLoading(true);
 
+    const controller = new AbortController();
+    chatAbortRef.current = controller;
+    let partial = '';
+
     try {
       const apiMessages = [...messages, userEntry]
         .filter((m) => m.type === 'user' || m.type === 'model')
         .map((m) => ({ role: m.type === 'user' ? 'user' : 'model', text: m.text }));
 
-      const reply = await callClaude(serverUrl, model, apiMessages);
-      setMessages((prev) => [...prev, { type: 'model', text: renderForTerminal(reply) }]);
+      const reply = await streamChat(serverUrl, { model, messages: apiMessages, config: providerConfig }, {
+        signal: controller.signal,
+        onDelta: (_delta, text) => {
+          partial = text;
+          setMessages((prev) => upsertStreamingReply(prev, text));
+        },
+      });
+      setMessages((prev) => finishStreamingReply(prev, reply));
     } catch (err) {
-      setMessages((prev) => [
-        ...prev,
-        { type: 'error', text: err instanceof Error ? err.message : 'Unknown error' },
-      ]);
+      if (err?.name === 'AbortError') {
+        setMessages((prev) => [
+          ...finishStreamingReply(prev, partial),
+          { type: 'system', text: 'response stopped' },
+        ]);
+      } else {
+        setMessages((prev) => [
+          ...finishStreamingReply(prev, partial),
+          { type: 'error', text: err instanceof Error ? err.message : 'Unknown error' },
+        ]);
+      }
     } finally {
+      chatAbortRef.current = null;
       setIsLoading(false);
-      inputRef.current?.focus();
+      requestAnimationFrame(() => inputRef.current?.focus());
     }
-  }, [input, isLoading, messages, model, serverUrl]);
+  }, [input, isLoading, agentRunning, messages, model, agentMode, startAgentLoop, resetAgent, serverUrl, providerConfig]);
+
+  const stopResponse = useCallback(() => {
+    chatAbortRef.current?.abort();
+  }, []);
 
   const handleKeyDown = useCallback(
     (e) => {
@@ -159,8 +218,9 @@ const ClaudeChat = forwardRef(function ClaudeChat({ model = 'claude-sonnet-4-202
 
   const handleClear = useCallback(() => {
     setMessages([]);
+    resetAgent({ keepLastPrompt: true });
     inputRef.current?.focus();
-  }, []);
+  }, [resetAgent]);
 
   return (
     <div
@@ -171,10 +231,19 @@ const ClaudeChat = forwardRef(function ClaudeChat({ model = 'claude-sonnet-4-202
         <div className="toolbar-left">
           <span className="gemini-toolbar-icon" style={{ color: '#d4a574' }}>◈</span>
           <span className="terminal-title">claude — Anthropic API</span>
+          {agentMode && <span className="agent-mode-badge">AGENT</span>}
+        </div>
+        <div className="toolbar-right-group">
+          <AgentControls agent={agent} agentMode={agentMode} />
+          {isLoading && (
+            <button className="disconnect-btn agent-stop-btn" onClick={stopResponse} title="Stop generating">
+              ■ Stop
+            </button>
+          )}
+          <button className="disconnect-btn" onClick={handleClear}>
+            ⌫
+          </button>
         </div>
-        <button className="disconnect-btn" onClick={handleClear}>
-          ⌫
-        </button>
       </div>
 
       <div
@@ -190,13 +259,17 @@ const ClaudeChat = forwardRef(function ClaudeChat({ model = 'claude-sonnet-4-202
       >
 
         {/* Welcome banner */}
-        {messages.length === 0 && !isLoading && (
+        {messages.length === 0 && agentSteps.length === 0 && !isLoading && !agentRunning && (
           <div className="gemini-term-welcome">
             <div className="gemini-term-info">
               <span className="gemini-term-label claude-term-label">{model}</span> via Anthropic API
+              {agentMode && <span className="agent-welcome-badge">Agent Mode</span>}
             </div>
             <div className="gemini-term-hint">
-              Type a message to chat, or <span className="gemini-term-cmd">help</span> for commands.
+              {agentMode
+                ? <>Ask me to do something on your terminal.  e.g. <span className="gemini-term-cmd">install htop and check system load</span></>
+                : <>Type a message to chat, or <span className="gemini-term-cmd">help</span> for commands.</>
+              }
             </div>
           </div>
         )}
@@ -206,13 +279,15 @@ const ClaudeChat = forwardRef(function ClaudeChat({ model = 'claude-sonnet-4-202
           <div key={i} className={`gemini-term-line gemini-term-line--${entry.type}`}>
             {entry.type === 'user' && (
               <>
-                <span className="gemini-term-prompt-symbol claude-prompt-symbol">claude:/&gt;</span>
+                <span className="gemini-term-prompt-symbol claude-prompt-symbol">
+                  {agentMode ? 'agent:/>' : 'claude:/>'}
+                </span>
                 <span className="gemini-term-prompt-text">{entry.text}</span>
               </>
             )}
             {entry.type === 'model' && (
               <pre className="gemini-term-response">
-                {entry.text.split(/(<cmd>.*?<\/cmd>)/g).map((part, j) => {
+                {entry.text.split(/(<cmd>.*?<\/cmd>|<cmd>[^<]*$)/g).map((part, j) => {
                   const match = part.match(/^<cmd>(.*?)<\/cmd>$/);
                   if (match) {
                     const cmd = match[1];
@@ -230,6 +305,13 @@ const ClaudeChat = forwardRef(function ClaudeChat({ model = 'claude-sonnet-4-202
                       </span>
                     );
                   }
+                  if (entry.streaming && part.startsWith('<cmd>')) {
+                    return (
+                      <span key={j} className="gemini-cmd-tag gemini-cmd-tag--pending">
+                        {part.slice('<cmd>'.length)}
+                      </span>
+                    );
+                  }
                   return part;
                 })}
               </pre>
@@ -243,21 +325,27 @@ const ClaudeChat = forwardRef(function ClaudeChat({ model = 'claude-sonnet-4-202
           </div>
         ))}
 
+        <AgentSteps agent={agent} />
+
         {/* Loading indicator */}
-        {isLoading && (
+        {((isLoading && !isStreaming) || agentThinking) && (
           <div className="gemini-term-line gemini-term-line--loading">
             <span className="gemini-term-spinner claude-spinner" />
-            <span className="gemini-term-loading-text claude-loading-text">thinking…</span>
+            <span className="gemini-term-loading-text claude-loading-text">
+              {agentRunning ? 'agent thinking…' : 'thinking…'}
+            </span>
           </div>
         )}
 
         {/* Input line */}
-        {!isLoading && (
+        {!isLoading && !agentRunning && (
           <div
             className="gemini-term-input-line"
             onClick={() => inputRef.current?.focus()}
           >
-            <span className="gemini-term-prompt-symbol claude-prompt-symbol">claude:/&gt;</span>
+            <span className="gemini-term-prompt-symbol claude-prompt-symbol">
+              {agentMode ? 'agent:/>' : 'claude:/>'}
+            </span>
             <div className="gemini-term-input-wrapper">
               <input
                 ref={inputRef}
@@ -0,0 +1,112 @@
+import { useState, useMemo, useRef, useEffect } from 'react';
+import { listCommands } from '../hooks/useCommands';
+import { fuzzyMatch } from '../utils/fuzzy';
+
+/* ── Command palette ─────────────────────────────────── */
+
+const MAX_RESULTS = 50;
+
+const commandLabel = (command) => (command.group ? `${command.group}: ${command.title}` : command.title);
+
+// Wraps the fuzzy-matched characters in <mark>
+function Highlighted({ text, positions }) {
+  if (!positions.length) return text;
+  const hits = new Set(positions);
+  return text.split('').map((ch, i) => (hits.has(i) ? <mark key={i}>{ch}</mark> : ch));
+}
+
+export default function CommandPalette({ onClose }) {
+  // Snapshot of what every component offers at the moment the palette opens
+  const [commands] = useState(listCommands);
+  const [query, setQuery] = useState('');
+  const [selected, setSelected] = useState(0);
+  const listRef = useRef(null);
+  // Where focus goes back to when the palette is dismissed (e.g. a terminal)
+  const previousFocusRef = useRef(document.activeElement);
+
+  const results = useMemo(() => {
+    const matched = [];
+    for (const command of commands) {
+      const label = commandLabel(command);
+      const match = fuzzyMatch(query, label);
+      if (match) matched.push({ command, label, ...match });
+    }
+    // Array#sort is stable, so ties keep registration order
+    if (query) matched.sort((a, b) => b.score - a.score);
+    return matched.slice(0, MAX_RESULTS);
+  }, [commands, query]);
+
+  useEffect(() => {
+    setSelected(0);
+  }, [query]);
+
+  useEffect(() => {
+    listRef.current?.children[selected]?.scrollIntoView({ block: 'nearest' });
+  }, [selected]);
+
+  const dismiss = () => {
+    onClose();
+    previousFocusRef.current?.focus?.();
+  };
+
+  const run = (command) => {
+    onClose();
+    command.run();
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      setSelected((i) => Math.min(i + 1, results.length - 1));
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      setSelected((i) => Math.max(i - 1, 0));
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      if (results[selected]) run(results[selected].command);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      dismiss();
+    }
+  };
+
+  return (
+    <div className="proton-dialog-backdrop command-palette-backdrop" onMouseDown={dismiss}>
+      <div
+        className="command-palette"
+        role="dialog"
+        aria-label="Command palette"
+        onMouseDown={(e) => e.stopPropagation()}
+        onKeyDown={onKeyDown}
+      >
+        <input
+          className="command-palette-input"
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Type a command…"
+          spellCheck="false"
+          autoFocus
+        />
+        <div className="command-palette-list" ref={listRef} role="listbox">
+          {results.length === 0 && <div className="command-palette-empty">No matching commands</div>}
+          {results.map(({ command, label, positions }, i) => (
+            <div
+              key={command.id}
+              className={`command-palette-item ${i === selected ? 'command-palette-item--selected' : ''}`}
+              role="option"
+              aria-selected={i === selected}
+              onMouseMove={() => setSelected(i)}
+              onClick={() => run(command)}
+            >
+              <span className="command-palette-title">
+                <Highlighted text={label} positions={positions} />
+              </span>
+              {command.hint && <span className="command-palette-hint">{command.hint}</span>}
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,8 +1,14 @@
 import { useState, useEffect, useRef } from 'react';
+import { fetchSshConfigHosts } from '../utils/api';
+import { AUTH_METHODS, AUTH_METHOD_LABELS, authFromSshConfig } from '../utils/authMethods';
+import { describeTunnel } from '../utils/tunnels';
+import JumpHostsEditor from './JumpHostsEditor';
+import TunnelSpecRow from './TunnelSpecRow';
 
 const HISTORY_KEY = 'juni-cli-proton:connection-history';
 const MAX_HISTORY = 20;
 
+
 function loadHistory() {
   try {
     return JSON.parse(localStorage.getItem(HISTORY_KEY)) || [];
@@ -11,14 +17,23 @@ function loadHistory() {
   }
 }
 
-function saveToHistory({ host, port, username, password, savePassword }) {
+function saveToHistory({ alias, host, port, username, password, savePassword, authMethod, privateKeyPath, agentForward, jumpHosts, tunnels }) {
   const history = loadHistory();
   const key = `${host}:${port}:${username}`;
   const filtered = history.filter(
     (h) => `${h.host}:${h.port}:${h.username}` !== key,
   );
-  const entry = { host, port, username, lastUsed: Date.now() };
-  if (savePassword && password) {
+  const entry = { host, port, username, authMethod, agentForward, lastUsed: Date.now() };
+  if (alias) entry.alias = alias;
+  if (jumpHosts?.length) {
+    // Jump host passwords are never persisted
+    entry.jumpHosts = jumpHosts.map(({ password: _password, ...hop }) => hop);
+  }
+  if (tunnels?.length) entry.tunnels = tunnels;
+  if (authMethod === 'key' && privateKeyPath) {
+    entry.privateKeyPath = privateKeyPath;
+  }
+  if (authMethod === 'password' && savePassword && password) {
     entry.savedPassword = btoa(password);
   }
   filtered.unshift(entry);
@@ -28,17 +43,61 @@ function saveToHistory({ host, port, username, password, savePassword }) {
   );
 }
 
-export { saveToHistory };
+// Replaces the saved port forwards of an existing history entry.
+function saveTunnelsToHistory({ host, port, username }, tunnels) {
+  const key = `${host}:${port}:${username}`;
+  const updated = loadHistory().map((h) => (
+    `${h.host}:${h.port}:${h.username}` === key ? { ...h, tunnels } : h
+  ));
+  localStorage.setItem(HISTORY_KEY, JSON.stringify(updated));
+}
+
+// Credentials to reconnect from a history entry without the form, or null
+// when a password still has to be typed.
+function historyCredentials(entry) {
+  const { host, port, username, authMethod = 'password', agentForward, alias, jumpHosts, tunnels } = entry;
+  const credentials = { host, port: Number(port), username, authMethod, agentForward: agentForward === true };
+  if (alias) credentials.alias = alias;
+  if (jumpHosts?.length) {
+    // Hops that log in with a password need the form too
+    if (jumpHosts.some((hop) => (hop.authMethod || 'password') === 'password')) return null;
+    credentials.jumpHosts = jumpHosts;
+  }
+  if (tunnels?.length) credentials.tunnels = tunnels;
+  if (authMethod === 'key') {
+    if (!entry.privateKeyPath) return null;
+    credentials.privateKeyPath = entry.privateKeyPath;
+  }
+  if (authMethod === 'password') {
+    if (!entry.savedPassword) return null;
+    try {
+      credentials.password = atob(entry.savedPassword);
+    } catch {
+      return null;
+    }
+  }
+  return credentials;
+}
+
+export { loadHistory, saveToHistory, saveTunnelsToHistory, historyCredentials };
 
-export default function ConnectionForm({ onConnect, onLocalConnect }) {
+export default function ConnectionForm({ onConnect, onLocalConnect, serverUrl, initialEntry }) {
   const [host, setHost] = useState('');
   const [port, setPort] = useState('22');
   const [username, setUsername] = useState('');
   const [password, setPassword] = useState('');
   const [savePassword, setSavePassword] = useState(false);
+  const [authMethod, setAuthMethod] = useState('password');
+  const [privateKeyPath, setPrivateKeyPath] = useState('');
+  const [agentForward, setAgentForward] = useState(false);
   const [history, setHistory] = useState([]);
   const [showDropdown, setShowDropdown] = useState(false);
   const [filteredHistory, setFilteredHistory] = useState([]);
+  const [configHosts, setConfigHosts] = useState([]);
+  const [agentAvailable, setAgentAvailable] = useState(false);
+  const [alias, setAlias] = useState('');
+  const [jumpHosts, setJumpHosts] = useState([]);
+  const [tunnels, setTunnels] = useState([]);
   const dropdownRef = useRef(null);
   const hostRef = useRef(null);
 
@@ -46,18 +105,35 @@ export default function ConnectionForm({ onConnect, onLocalConnect }) {
     setHistory(loadHistory());
   }, []);
 
+  useEffect(() => {
+    if (!serverUrl) return;
+    fetchSshConfigHosts(serverUrl)
+      .then(({ hosts, agentAvailable: hasAgent }) => {
+        setConfigHosts(hosts);
+        setAgentAvailable(hasAgent);
+      })
+      .catch((err) => console.warn('[proton] Could not read ~/.ssh/config:', err.message));
+  }, [serverUrl]);
+
   useEffect(() => {
     if (!host) {
       setFilteredHistory(history);
     } else {
       setFilteredHistory(
         history.filter((h) =>
-          h.host.toLowerCase().includes(host.toLowerCase()),
+          h.host.toLowerCase().includes(host.toLowerCase())
+          || h.alias?.toLowerCase().includes(host.toLowerCase()),
         ),
       );
     }
   }, [host, history]);
 
+  const query = host.toLowerCase();
+  const filteredConfigHosts = configHosts.filter((h) =>
+    !query || h.alias.toLowerCase().includes(query) || h.host.toLowerCase().includes(query),
+  );
+  const hasSuggestions = history.length > 0 || configHosts.length > 0;
+
   useEffect(() => {
     const handleClickOutside = (e) => {
       if (
@@ -74,9 +150,15 @@ export default function ConnectionForm({ onConnect, onLocalConnect }) {
   }, []);
 
   const selectHistory = (entry) => {
+    setAlias(entry.alias || '');
     setHost(entry.host);
     setPort(String(entry.port));
     setUsername(entry.username);
+    setAuthMethod(entry.authMethod || 'password');
+    setPrivateKeyPath(entry.privateKeyPath || '');
+    setAgentForward(entry.agentForward === true);
+    setJumpHosts(entry.jumpHosts ?? []);
+    setTunnels(entry.tunnels ?? []);
     if (entry.savedPassword) {
       try {
         setPassword(atob(entry.savedPassword));
@@ -90,13 +172,43 @@ export default function ConnectionForm({ onConnect, onLocalConnect }) {
       setSavePassword(false);
     }
     setShowDropdown(false);
-    if (entry.savedPassword) {
+    if (entry.savedPassword || (entry.authMethod && entry.authMethod !== 'password')) {
       document.querySelector('.connect-btn')?.focus();
     } else {
       document.getElementById('password')?.focus();
     }
   };
 
+  // Opened from the command palette with a history entry to finish
+  useEffect(() => {
+    if (initialEntry) selectHistory(initialEntry);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [initialEntry]);
+
+  // Fills the form with the alias's effective ~/.ssh/config settings.
+  const selectConfigHost = (entry) => {
+    setAlias(entry.alias);
+    setHost(entry.host);
+    setPort(String(entry.port));
+    setUsername(entry.username);
+    setPassword('');
+    setSavePassword(false);
+    const auth = authFromSshConfig(entry, agentAvailable);
+    setAuthMethod(auth.authMethod);
+    setPrivateKeyPath(auth.privateKeyPath);
+    setAgentForward(entry.forwardAgent);
+    setTunnels([]);
+    setJumpHosts(entry.jumpHosts.map((hop) => ({
+      alias: hop.alias,
+      host: hop.host,
+      port: hop.port,
+      username: hop.username,
+      ...authFromSshConfig(hop, agentAvailable),
+    })));
+    setShowDropdown(false);
+    document.querySelector('.connect-btn')?.focus();
+  };
+
   const removeHistory = (e, entry) => {
     e.stopPropagation();
     const key = `${entry.host}:${entry.port}:${entry.username}`;
@@ -107,10 +219,24 @@ export default function ConnectionForm({ onConnect, onLocalConnect }) {
     setHistory(updated);
   };
 
+  const browsePrivateKey = async () => {
+    const filePath = await window.proton?.selectPrivateKey();
+    if (filePath) setPrivateKeyPath(filePath);
+  };
+
   const handleSubmit = (e) => {
     e.preventDefault();
     if (!host || !username) return;
-    const credentials = { host, port: Number(port), username, password };
+    if (authMethod === 'key' && !privateKeyPath) return;
+    if (jumpHosts.some((hop) => !hop.host || !hop.username)) return;
+    const credentials = { host, port: Number(port), username, authMethod, agentForward };
+    if (alias) credentials.alias = alias;
+    if (jumpHosts.length > 0) {
+      credentials.jumpHosts = jumpHosts.map((hop) => ({ ...hop, port: Number(hop.port) || 22 }));
+    }
+    if (tunnels.length > 0) credentials.tunnels = tunnels;
+    if (authMethod === 'password') credentials.password = password;
+    if (authMethod === 'key') credentials.privateKeyPath = privateKeyPath;
     saveToHistory({ ...credentials, savePassword });
     onConnect(credentials);
   };
@@ -148,12 +274,15 @@ export default function ConnectionForm({ onConnect, onLocalConnect }) {
                   type="text"
                   placeholder="192.168.1.1 or hostname"
                   value={host}
-                  onChange={(e) => setHost(e.target.value)}
-                  onFocus={() => history.length > 0 && setShowDropdown(true)}
+                  onChange={(e) => {
+                    setHost(e.target.value);
+                    setAlias('');
+                  }}
+                  onFocus={() => hasSuggestions && setShowDropdown(true)}
                   autoComplete="off"
                   required
                 />
-                {history.length > 0 && (
+                {hasSuggestions && (
                   <button
                     type="button"
                     className="dropdown-toggle"
@@ -164,7 +293,7 @@ export default function ConnectionForm({ onConnect, onLocalConnect }) {
                     ▾
                   </button>
                 )}
-                {showDropdown && filteredHistory.length > 0 && (
+                {showDropdown && (filteredHistory.length > 0 || filteredConfigHosts.length > 0) && (
                   <ul className="host-dropdown" ref={dropdownRef}>
                     {filteredHistory.map((entry) => (
                       <li
@@ -172,9 +301,18 @@ export default function ConnectionForm({ onConnect, onLocalConnect }) {
                         onClick={() => selectHistory(entry)}
                       >
                         <div className="history-entry">
-                          <span className="history-host">{entry.host}</span>
+                          <span className="history-host">{entry.alias || entry.host}</span>
                           <span className="history-detail">
                             {entry.username}@:{entry.port}
+                            {entry.authMethod && entry.authMethod !== 'password' && (
+                              <span className="history-auth"> · {AUTH_METHOD_LABELS[entry.authMethod]}</span>
+                            )}
+                            {entry.jumpHosts?.length > 0 && (
+                              <span className="history-auth"> · via {entry.jumpHosts.map((j) => j.alias || j.host).join(' → ')}</span>
+                            )}
+                            {entry.tunnels?.length > 0 && (
+                              <span className="history-auth"> · {entry.tunnels.length} {entry.tunnels.length === 1 ? 'tunnel' : 'tunnels'}</span>
+                            )}
                           </span>
                         </div>
                         <button
@@ -187,6 +325,22 @@ export default function ConnectionForm({ onConnect, onLocalConnect }) {
                         </button>
                       </li>
                     ))}
+                    {filteredConfigHosts.length > 0 && (
+                      <li className="host-dropdown-section">~/.ssh/config</li>
+                    )}
+                    {filteredConfigHosts.map((entry) => (
+                      <li key={`config:${entry.alias}`} onClick={() => selectConfigHost(entry)}>
+                        <div className="history-entry">
+                          <span className="history-host">{entry.alias}</span>
+                          <span className="history-detail">
+                            {entry.username}@{entry.host}:{entry.port}
+                            {entry.jumpHosts.length > 0 && (
+                              <span className="history-auth"> · via {entry.jumpHosts.map((j) => j.alias).join(' → ')}</span>
+                            )}
+                          </span>
+                        </div>
+                      </li>
+                    ))}
                   </ul>
                 )}
               </div>
@@ -218,24 +372,107 @@ export default function ConnectionForm({ onConnect, onLocalConnect }) {
             </div>
 
             <div className="form-group">
-              <label htmlFor="password">Password</label>
-              <input
-                id="password"
-                type="password"
-                placeholder="••••••••"
-                value={password}
-                onChange={(e) => setPassword(e.target.value)}
-              />
+              <label>Authentication</label>
+              <div className="auth-method-tabs" role="radiogroup" aria-label="Authentication method">
+                {AUTH_METHODS.map((m) => (
+                  <button
+                    key={m.id}
+                    type="button"
+                    role="radio"
+                    aria-checked={authMethod === m.id}
+                    className={`auth-method-tab ${authMethod === m.id ? 'auth-method-tab--active' : ''}`}
+                    onClick={() => setAuthMethod(m.id)}
+                  >
+                    {m.label}
+                  </button>
+                ))}
+              </div>
             </div>
 
-            <label className="save-password-toggle">
+            {authMethod === 'password' && (
+              <>
+                <div className="form-group">
+                  <label htmlFor="password">Password</label>
+                  <input
+                    id="password"
+                    type="password"
+                    placeholder="••••••••"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                  />
+                </div>
+
+                <label className="save-password-toggle">
+                  <input
+                    type="checkbox"
+                    checked={savePassword}
+                    onChange={(e) => setSavePassword(e.target.checked)}
+                  />
+                  <span className="save-password-label">Save password</span>
+                </label>
+              </>
+            )}
+
+            {authMethod === 'key' && (
+              <div className="form-group">
+                <label htmlFor="private-key">Private key</label>
+                <div className="key-file-row">
+                  <input
+                    id="private-key"
+                    type="text"
+                    placeholder="~/.ssh/id_ed25519"
+                    value={privateKeyPath}
+                    onChange={(e) => setPrivateKeyPath(e.target.value)}
+                    required
+                  />
+                  <button type="button" className="key-file-browse" onClick={browsePrivateKey}>
+                    Browse…
+                  </button>
+                </div>
+                <span className="form-hint">You&apos;ll be asked for the passphrase if the key is encrypted.</span>
+              </div>
+            )}
+
+            {authMethod === 'default-keys' && (
+              <span className="form-hint">
+                Tries ~/.ssh/id_ed25519, id_ecdsa and id_rsa, asking for passphrases as needed.
+              </span>
+            )}
+
+            {authMethod === 'agent' && (
+              <span className="form-hint">
+                Uses the keys loaded in your running ssh-agent (SSH_AUTH_SOCK), e.g. 1Password or a hardware key.
+              </span>
+            )}
+
+            <label className="save-password-toggle" title="Let the remote host use your local SSH agent, e.g. for git over SSH">
               <input
                 type="checkbox"
-                checked={savePassword}
-                onChange={(e) => setSavePassword(e.target.checked)}
+                checked={agentForward}
+                onChange={(e) => setAgentForward(e.target.checked)}
               />
-              <span className="save-password-label">Save password</span>
+              <span className="save-password-label">Forward SSH agent</span>
             </label>
+
+            <JumpHostsEditor jumpHosts={jumpHosts} onChange={setJumpHosts} />
+
+            <div className="form-group">
+              <label>Port forwards</label>
+              {tunnels.map((tunnel, index) => (
+                <div key={index} className="tunnel-row">
+                  <span className="tunnel-desc">{describeTunnel(tunnel)}</span>
+                  <button
+                    type="button"
+                    className="history-remove jump-host-remove"
+                    onClick={() => setTunnels(tunnels.filter((_, i) => i !== index))}
+                    title="Remove port forward"
+                  >
+                    ✕
+                  </button>
+                </div>
+              ))}
+              <TunnelSpecRow onAdd={(spec) => setTunnels([...tunnels, spec])} />
+            </div>
           </div>
 
           <button type="submit" className="connect-btn">
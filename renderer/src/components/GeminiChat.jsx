@@ -1,4 +1,8 @@
 import { useState, useCallback, useRef, useEffect, forwardRef, useImperativeHandle } from 'react';
+import { streamChat, callAgent as requestAgentTurn } from '../utils/api';
+import useAgentLoop from '../hooks/useAgentLoop';
+import { renderForTerminal, upsertStreamingReply, finishStreamingReply } from '../utils/streamingReply';
+import AgentSteps, { AgentControls } from './AgentSteps';
 
 const CHAT_HISTORY_KEY = 'juni-cli-proton:gemini-chat';
 const CMD_HISTORY_KEY = 'juni-cli-proton:gemini-cmd-history';
@@ -19,66 +23,6 @@ function loadCmdHistory() {
   }
 }
 
-/* ── API helpers ─────────────────────────────────────── */
-
-async function callGemini(serverUrl, model, messages, apiKey) {
-  const res = await fetch(`${serverUrl}/api/gemini/chat`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ model, messages, apiKey }),
-  });
-
-  if (!res.ok) {
-    const err = await res.json().catch(() => ({}));
-    throw new Error(err?.error || `HTTP ${res.status}`);
-  }
-
-  const data = await res.json();
-  return data.reply ?? 'No response generated.';
-}
-
-async function callGeminiAgent(serverUrl, model, history, apiKey, signal) {
-  const res = await fetch(`${serverUrl}/api/gemini/agent`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ model, history, apiKey }),
-    signal,
-  });
-
-  if (!res.ok) {
-    const err = await res.json().catch(() => ({}));
-    throw new Error(err?.error || `HTTP ${res.status}`);
-  }
-
-  const data = await res.json();
-  return data.parts ?? [{ text: 'No response generated.' }];
-}
-
-/* ── Smart truncation: keep first + last lines ───────── */
-
-function smartTruncate(text, maxChars = 2000, headLines = 30, tailLines = 30) {
-  if (text.length <= maxChars) return text;
-  const lines = text.split('\n');
-  if (lines.length <= headLines + tailLines) return text;
-  const head = lines.slice(0, headLines);
-  const tail = lines.slice(-tailLines);
-  const omitted = lines.length - headLines - tailLines;
-  return [...head, `\n--- (${omitted} lines omitted) ---\n`, ...tail].join('\n');
-}
-
-/* ── Simple markdown → ANSI-style terminal rendering ── */
-
-function renderForTerminal(text) {
-  return text
-    .replace(/```(\w*)\n([\s\S]*?)```/g, (_m, _lang, code) => code)
-    .replace(/`([^`]+)`/g, '$1')
-    .replace(/\*\*(.+?)\*\*/g, '$1')
-    .replace(/\*(.+?)\*/g, '$1')
-    .replace(/^### (.+)$/gm, '  $1')
-    .replace(/^## (.+)$/gm, '  $1')
-    .replace(/^# (.+)$/gm, '  $1');
-}
-
 /* ── Component ────────────────────────────────────────── */
 
 const GeminiChat = forwardRef(function GeminiChat({
@@ -91,9 +35,13 @@ const GeminiChat = forwardRef(function GeminiChat({
   onSendAgentKeys,
   onAbortAgentCapture,
   onReadTerminal,
+  onListTerminals,
+  onAgentFileRequest,
   stepThrough = false,
+  agentPolicy,
   serverUrl,
-  apiKey,
+  providerConfig,
+  providerLabel = 'Vertex AI',
 }, ref) {
   const pastedTextRef = useRef(null);
   const autoSendRef = useRef(false);
@@ -114,43 +62,27 @@ const GeminiChat = forwardRef(function GeminiChat({
   const [commandHistory, setCommandHistory] = useState(loadCmdHistory);
   const [historyIndex, setHistoryIndex] = useState(-1);
 
-  const [agentHistory, setAgentHistory] = useState([]);
-  const [agentSteps, setAgentSteps] = useState([]);
-  const [pendingCommand, setPendingCommand] = useState(null);
-  const [agentRunning, setAgentRunning] = useState(false);
-  const [agentPaused, setAgentPaused] = useState(false);
-  const [agentStopping, setAgentStopping] = useState(false);
-  const [agentQuestion, setAgentQuestion] = useState(null);
-  const [agentQuestionInput, setAgentQuestionInput] = useState('');
-  const [pendingApproval, setPendingApproval] = useState(null);
-  const abortAgentRef = useRef(false);
-  const abortControllerRef = useRef(null);
-  const pausedResolverRef = useRef(null);
-  const lastAgentPromptRef = useRef(null);
-  const questionResolverRef = useRef(null);
-  const approvalResolverRef = useRef(null);
+  const chatAbortRef = useRef(null);
 
   const scrollRef = useRef(null);
   const inputRef = useRef(null);
 
+  const isStreaming = messages[messages.length - 1]?.streaming === true;
+
   useEffect(() => {
     onStatusChange('ready');
   }, [onStatusChange]);
 
   useEffect(() => {
+    // Persist settled transcripts only — not every streamed token.
+    if (isStreaming) return;
     localStorage.setItem(CHAT_HISTORY_KEY, JSON.stringify(messages));
-  }, [messages]);
+  }, [messages, isStreaming]);
 
   useEffect(() => {
     localStorage.setItem(CMD_HISTORY_KEY, JSON.stringify(commandHistory));
   }, [commandHistory]);
 
-  useEffect(() => {
-    if (scrollRef.current) {
-      scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
-    }
-  }, [messages, input, agentSteps, pendingCommand]);
-
   useEffect(() => {
     if (isActive) {
       requestAnimationFrame(() => inputRef.current?.focus());
@@ -159,413 +91,39 @@ const GeminiChat = forwardRef(function GeminiChat({
 
   /* ── Agent loop ──────────────────────────────────────── */
 
-  const runAgentStep = useCallback(async (history, signal) => {
-    const parts = await callGeminiAgent(serverUrl, model, history, apiKey, signal);
-
-    const functionCall = parts.find((p) => p.functionCall);
-    const textPart = parts.find((p) => p.text);
-
-    if (functionCall) {
-      const { name, args } = functionCall.functionCall;
-
-      if (name === 'task_complete') {
-        return { type: 'complete', summary: args.summary, parts };
-      }
-
-      if (name === 'run_command') {
-        return { type: 'command', command: args.command, reasoning: args.reasoning, parts };
-      }
-
-      if (name === 'send_keys') {
-        return { type: 'send_keys', keys: args.keys, reasoning: args.reasoning, parts };
-      }
-
-      if (name === 'ask_user') {
-        return { type: 'ask_user', question: args.question, reasoning: args.reasoning, parts };
-      }
-
-      if (name === 'read_terminal') {
-        return { type: 'read_terminal', reasoning: args.reasoning, parts };
-      }
-    }
-
-    if (textPart) {
-      return { type: 'text', text: textPart.text, parts };
-    }
-
-    return { type: 'text', text: 'No response generated.', parts: [{ text: 'No response generated.' }] };
-  }, [serverUrl, model, apiKey]);
-
-  const executeAgentCommand = useCallback(async (command, reasoning, currentHistory) => {
-    setAgentSteps((prev) => [...prev, {
-      type: 'command',
-      command,
-      reasoning,
-      status: 'running',
-    }]);
-
-    let output = '';
-    if (onRunAgentCommand) {
-      output = await onRunAgentCommand(command);
-    } else {
-      output = '(No terminal connected for agent execution)';
-    }
-
-    const timedOut = output.includes('timed out') || output.includes('waiting for input');
-    const displayOutput = smartTruncate(output);
-
-    setAgentSteps((prev) => prev.map((s, i) =>
-      i === prev.length - 1
-        ? { ...s, output: displayOutput, status: timedOut ? 'timeout' : 'done' }
-        : s
-    ));
-
-    if (timedOut) {
-      setMessages((prev) => [...prev, {
-        type: 'system',
-        text: 'Command may be waiting for input. Check the terminal and resolve it, then try again.',
-      }]);
-      abortAgentRef.current = true;
-    }
-
-    const truncatedOutput = smartTruncate(output);
-    const modelEntry = {
-      role: 'model',
-      parts: [{ functionCall: { name: 'run_command', args: { command, reasoning } } }],
-    };
-    const functionResponseEntry = {
-      role: 'user',
-      parts: [{ functionResponse: { name: 'run_command', response: { output: truncatedOutput } } }],
-    };
-
-    return [...currentHistory, modelEntry, functionResponseEntry];
-  }, [onRunAgentCommand]);
-
-  const executeAgentSendKeys = useCallback(async (keys, reasoning, currentHistory) => {
-    setAgentSteps((prev) => [...prev, {
-      type: 'send_keys',
-      keys,
-      reasoning,
-      status: 'running',
-    }]);
-
-    let output = '';
-    if (onSendAgentKeys) {
-      output = await onSendAgentKeys(keys);
-    } else {
-      output = '(No terminal connected for sending keys)';
-    }
-
-    const displayOutput = smartTruncate(output);
-
-    setAgentSteps((prev) => prev.map((s, i) =>
-      i === prev.length - 1
-        ? { ...s, output: displayOutput, status: 'done' }
-        : s
-    ));
-
-    const truncatedOutput = smartTruncate(output);
-    const modelEntry = {
-      role: 'model',
-      parts: [{ functionCall: { name: 'send_keys', args: { keys, reasoning } } }],
-    };
-    const functionResponseEntry = {
-      role: 'user',
-      parts: [{ functionResponse: { name: 'send_keys', response: { output: truncatedOutput } } }],
-    };
-
-    return [...currentHistory, modelEntry, functionResponseEntry];
-  }, [onSendAgentKeys]);
-
-  const requestApproval = useCallback((type, detail, reasoning) => {
-    return new Promise((resolve) => {
-      setPendingApproval({ type, detail, reasoning });
-      approvalResolverRef.current = resolve;
-    });
-  }, []);
-
-  const handleApprove = useCallback(() => {
-    setPendingApproval(null);
-    if (approvalResolverRef.current) {
-      approvalResolverRef.current(true);
-      approvalResolverRef.current = null;
-    }
-  }, []);
+  const callAgent = useCallback(
+    (history, signal) => requestAgentTurn(serverUrl, { model, history, config: providerConfig }, signal),
+    [serverUrl, model, providerConfig],
+  );
 
-  const handleSkip = useCallback(() => {
-    setPendingApproval(null);
-    if (approvalResolverRef.current) {
-      approvalResolverRef.current(false);
-      approvalResolverRef.current = null;
-    }
+  const appendAgentMessage = useCallback((entry) => {
+    setMessages((prev) => [
+      ...prev,
+      entry.type === 'model' ? { ...entry, text: renderForTerminal(entry.text) } : entry,
+    ]);
   }, []);
 
-  const handleQuestionSubmit = useCallback(() => {
-    const answer = agentQuestionInput.trim();
-    if (!answer) return;
-    setAgentQuestion(null);
-    setAgentQuestionInput('');
-    if (questionResolverRef.current) {
-      questionResolverRef.current(answer);
-      questionResolverRef.current = null;
-    }
-  }, [agentQuestionInput]);
-
-  const startAgentLoop = useCallback(async (userText) => {
-    abortAgentRef.current = false;
-    setAgentPaused(false);
-    pausedResolverRef.current = null;
-    lastAgentPromptRef.current = userText;
-    setAgentRunning(true);
-    setAgentSteps([]);
-    setPendingCommand(null);
-    setPendingApproval(null);
-    setAgentQuestion(null);
-
-    const controller = new AbortController();
-    abortControllerRef.current = controller;
-
-    const userEntry = { role: 'user', parts: [{ text: userText }] };
-    let history = [...agentHistory, userEntry];
-    setAgentHistory(history);
-
-    const maxIterations = 20;
-
-    try {
-      for (let i = 0; i < maxIterations; i++) {
-        if (abortAgentRef.current) {
-          setAgentSteps((prev) => [...prev, { type: 'aborted', status: 'done' }]);
-          break;
-        }
-
-        if (pausedResolverRef.current === 'pending') {
-          setAgentPaused(true);
-          await new Promise((resolve) => {
-            pausedResolverRef.current = resolve;
-          });
-          setAgentPaused(false);
-          if (abortAgentRef.current) {
-            setAgentSteps((prev) => [...prev, { type: 'aborted', status: 'done' }]);
-            break;
-          }
-        }
-
-        setIsLoading(true);
-        const result = await runAgentStep(history, controller.signal);
-        setIsLoading(false);
-
-        if (result.type === 'text') {
-          const modelEntry = { role: 'model', parts: result.parts };
-          history = [...history, modelEntry];
-          setAgentHistory(history);
-          setMessages((prev) => [...prev, { type: 'model', text: renderForTerminal(result.text) }]);
-          break;
-        }
-
-        if (result.type === 'complete') {
-          const modelEntry = { role: 'model', parts: result.parts };
-          history = [...history, modelEntry];
-          setAgentHistory(history);
-          setAgentSteps((prev) => [...prev, { type: 'complete', summary: result.summary, status: 'done' }]);
-
-          const functionResponseEntry = {
-            role: 'user',
-            parts: [{ functionResponse: { name: 'task_complete', response: { acknowledged: true } } }],
-          };
-          history = [...history, functionResponseEntry];
-          setAgentHistory(history);
-          break;
-        }
-
-        if (result.type === 'ask_user') {
-          const modelEntry = { role: 'model', parts: result.parts };
-          history = [...history, modelEntry];
-          setAgentHistory(history);
-
-          setAgentSteps((prev) => [...prev, {
-            type: 'ask_user',
-            question: result.question,
-            reasoning: result.reasoning,
-            status: 'waiting',
-          }]);
-
-          setAgentQuestion(result.question);
-          const answer = await new Promise((resolve) => {
-            questionResolverRef.current = resolve;
-          });
-
-          if (abortAgentRef.current) {
-            setAgentSteps((prev) => [...prev, { type: 'aborted', status: 'done' }]);
-            break;
-          }
-
-          setAgentSteps((prev) => prev.map((s, idx) =>
-            idx === prev.length - 1 ? { ...s, answer, status: 'done' } : s
-          ));
-
-          const functionResponseEntry = {
-            role: 'user',
-            parts: [{ functionResponse: { name: 'ask_user', response: { answer } } }],
-          };
-          history = [...history, functionResponseEntry];
-          setAgentHistory(history);
-          continue;
-        }
-
-        if (result.type === 'read_terminal') {
-          const modelEntry = { role: 'model', parts: result.parts };
-          history = [...history, modelEntry];
-          setAgentHistory(history);
-
-          let terminalContent = '(No terminal connected)';
-          if (onReadTerminal) {
-            terminalContent = onReadTerminal();
-          }
-          const truncatedContent = smartTruncate(terminalContent);
-
-          setAgentSteps((prev) => [...prev, {
-            type: 'read_terminal',
-            reasoning: result.reasoning,
-            output: smartTruncate(terminalContent),
-            status: 'done',
-          }]);
-
-          const functionResponseEntry = {
-            role: 'user',
-            parts: [{ functionResponse: { name: 'read_terminal', response: { content: truncatedContent } } }],
-          };
-          history = [...history, functionResponseEntry];
-          setAgentHistory(history);
-          continue;
-        }
-
-        if (result.type === 'command') {
-          if (stepThrough) {
-            const approved = await requestApproval('command', result.command, result.reasoning);
-            if (abortAgentRef.current) {
-              setAgentSteps((prev) => [...prev, { type: 'aborted', status: 'done' }]);
-              break;
-            }
-            if (!approved) {
-              const modelEntry = { role: 'model', parts: result.parts };
-              const functionResponseEntry = {
-                role: 'user',
-                parts: [{ functionResponse: { name: 'run_command', response: { output: '(User declined to run this command. Try a different approach or ask the user.)' } } }],
-              };
-              history = [...history, modelEntry, functionResponseEntry];
-              setAgentHistory(history);
-              setAgentSteps((prev) => [...prev, {
-                type: 'command',
-                command: result.command,
-                reasoning: result.reasoning,
-                status: 'skipped',
-              }]);
-              continue;
-            }
-          }
-          history = await executeAgentCommand(result.command, result.reasoning, history);
-          setAgentHistory(history);
-        }
-
-        if (result.type === 'send_keys') {
-          if (stepThrough) {
-            const approved = await requestApproval('send_keys', result.keys, result.reasoning);
-            if (abortAgentRef.current) {
-              setAgentSteps((prev) => [...prev, { type: 'aborted', status: 'done' }]);
-              break;
-            }
-            if (!approved) {
-              const modelEntry = { role: 'model', parts: result.parts };
-              const functionResponseEntry = {
-                role: 'user',
-                parts: [{ functionResponse: { name: 'send_keys', response: { output: '(User declined to send these keys. Try a different approach or ask the user.)' } } }],
-              };
-              history = [...history, modelEntry, functionResponseEntry];
-              setAgentHistory(history);
-              setAgentSteps((prev) => [...prev, {
-                type: 'send_keys',
-                keys: result.keys,
-                reasoning: result.reasoning,
-                status: 'skipped',
-              }]);
-              continue;
-            }
-          }
-          history = await executeAgentSendKeys(result.keys, result.reasoning, history);
-          setAgentHistory(history);
-        }
-      }
-    } catch (err) {
-      setIsLoading(false);
-      if (err?.name === 'AbortError') {
-        setAgentSteps((prev) => [...prev, { type: 'aborted', status: 'done' }]);
-      } else {
-        setAgentSteps((prev) => [...prev, {
-          type: 'error',
-          text: err instanceof Error ? err.message : 'Agent error',
-          status: 'done',
-        }]);
-      }
-    } finally {
-      setAgentRunning(false);
-      setAgentPaused(false);
-      setAgentStopping(false);
-      setPendingApproval(null);
-      setAgentQuestion(null);
-      pausedResolverRef.current = null;
-      abortControllerRef.current = null;
-      questionResolverRef.current = null;
-      approvalResolverRef.current = null;
-      setIsLoading(false);
-      requestAnimationFrame(() => inputRef.current?.focus());
-    }
-  }, [agentHistory, runAgentStep, executeAgentCommand, executeAgentSendKeys, onReadTerminal, stepThrough, requestApproval]);
-
-  const stopAgent = useCallback(() => {
-    abortAgentRef.current = true;
-    setAgentStopping(true);
-    if (abortControllerRef.current) {
-      abortControllerRef.current.abort();
-      abortControllerRef.current = null;
-    }
-    onAbortAgentCapture?.();
-    if (typeof pausedResolverRef.current === 'function') {
-      pausedResolverRef.current();
-      pausedResolverRef.current = null;
-    }
-    if (typeof questionResolverRef.current === 'function') {
-      questionResolverRef.current('(stopped)');
-      questionResolverRef.current = null;
-    }
-    if (typeof approvalResolverRef.current === 'function') {
-      approvalResolverRef.current(false);
-      approvalResolverRef.current = null;
-    }
-    setAgentPaused(false);
-    setAgentQuestion(null);
-    setPendingApproval(null);
-  }, [onAbortAgentCapture]);
-
-  const pauseAgent = useCallback(() => {
-    if (agentRunning && !agentPaused) {
-      pausedResolverRef.current = 'pending';
-    }
-  }, [agentRunning, agentPaused]);
+  const agent = useAgentLoop({
+    callAgent,
+    onMessage: appendAgentMessage,
+    onRunAgentCommand,
+    onSendAgentKeys,
+    onAbortAgentCapture,
+    onReadTerminal,
+    onListTerminals,
+    onAgentFileRequest,
+    stepThrough,
+    agentPolicy,
+    serverUrl,
+    model,
+  });
+  const { agentSteps, agentThinking, agentRunning, pendingApproval, agentQuestion, startAgentLoop, resetAgent } = agent;
 
-  const resumeAgent = useCallback(() => {
-    if (typeof pausedResolverRef.current === 'function') {
-      pausedResolverRef.current();
-      pausedResolverRef.current = null;
+  useEffect(() => {
+    if (scrollRef.current) {
+      scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
     }
-  }, []);
-
-  const retryAgent = useCallback(async () => {
-    const lastPrompt = lastAgentPromptRef.current;
-    if (!lastPrompt || agentRunning) return;
-    setAgentHistory([]);
-    setMessages((prev) => [...prev, { type: 'system', text: `retrying: ${lastPrompt}` }]);
-    await startAgentLoop(lastPrompt);
-  }, [agentRunning, startAgentLoop]);
+  }, [messages, input, agentSteps, pendingApproval, agentQuestion]);
 
   /* ── Regular chat send ───────────────────────────────── */
 
@@ -576,8 +134,7 @@ const GeminiChat = forwardRef(function GeminiChat({
     if (text === 'clear') {
       setMessages([]);
       setCommandHistory([]);
-      setAgentHistory([]);
-      setAgentSteps([]);
+      resetAgent({ keepLastPrompt: true });
       setInput('');
       return;
     }
@@ -603,7 +160,7 @@ const GeminiChat = forwardRef(function GeminiChat({
     if (text === 'model') {
       setMessages((prev) => [
         ...prev,
-        { type: 'system', text: `Model: ${model} (via Vertex AI)` },
+        { type: 'system', text: `Model: ${model} (via ${providerLabel})` },
         { type: 'system', text: `Agent mode: ${agentMode ? 'ON' : 'OFF'}` },
       ]);
       setInput('');
@@ -623,28 +180,51 @@ const GeminiChat = forwardRef(function GeminiChat({
 
     if (agentMode) {
       await startAgentLoop(fullText);
+      requestAnimationFrame(() => inputRef.current?.focus());
       return;
     }
 
     setIsLoading(true);
 
+    const controller = new AbortController();
+    chatAbortRef.current = controller;
+    let partial = '';
+
     try {
       const apiMessages = [...messages, userEntry]
         .filter((m) => m.type === 'user' || m.type === 'model')
         .map((m) => ({ role: m.type === 'user' ? 'user' : 'model', text: m.text }));
 
-      const reply = await callGemini(serverUrl, model, apiMessages, apiKey);
-      setMessages((prev) => [...prev, { type: 'model', text: renderForTerminal(reply) }]);
+      const reply = await streamChat(serverUrl, { model, messages: apiMessages, config: providerConfig }, {
+        signal: controller.signal,
+        onDelta: (_delta, text) => {
+          partial = text;
+          setMessages((prev) => upsertStreamingReply(prev, text));
+        },
+      });
+      setMessages((prev) => finishStreamingReply(prev, reply));
     } catch (err) {
-      setMessages((prev) => [
-        ...prev,
-        { type: 'error', text: err instanceof Error ? err.message : 'Unknown error' },
-      ]);
+      if (err?.name === 'AbortError') {
+        setMessages((prev) => [
+          ...finishStreamingReply(prev, partial),
+          { type: 'system', text: 'response stopped' },
+        ]);
+      } else {
+        setMessages((prev) => [
+          ...finishStreamingReply(prev, partial),
+          { type: 'error', text: err instanceof Error ? err.message : 'Unknown error' },
+        ]);
+      }
     } finally {
+      chatAbortRef.current = null;
       setIsLoading(false);
-      inputRef.current?.focus();
+      requestAnimationFrame(() => inputRef.current?.focus());
     }
-  }, [input, isLoading, agentRunning, messages, model, agentMode, startAgentLoop, serverUrl]);
+  }, [input, isLoading, agentRunning, messages, model, agentMode, startAgentLoop, resetAgent, serverUrl, providerConfig]);
+
+  const stopResponse = useCallback(() => {
+    chatAbortRef.current?.abort();
+  }, []);
 
   useEffect(() => {
     if (autoSendRef.current && input) {
@@ -688,23 +268,19 @@ const GeminiChat = forwardRef(function GeminiChat({
   const handleClear = useCallback(() => {
     setMessages([]);
     setCommandHistory([]);
-    setAgentHistory([]);
-    setAgentSteps([]);
-  }, []);
+    resetAgent({ keepLastPrompt: true });
+  }, [resetAgent]);
 
   const handleNewChat = useCallback(() => {
     setMessages([]);
     setCommandHistory([]);
-    setAgentHistory([]);
-    setAgentSteps([]);
-    setPendingCommand(null);
-    lastAgentPromptRef.current = null;
+    resetAgent();
     setInput('');
     setHistoryIndex(-1);
     localStorage.removeItem(CHAT_HISTORY_KEY);
     localStorage.removeItem(CMD_HISTORY_KEY);
     requestAnimationFrame(() => inputRef.current?.focus());
-  }, []);
+  }, [resetAgent]);
 
   return (
     <div
@@ -714,37 +290,14 @@ const GeminiChat = forwardRef(function GeminiChat({
       <div className="terminal-toolbar">
         <div className="toolbar-left">
           <span className="gemini-toolbar-icon">✦</span>
-          <span className="terminal-title">gemini — Vertex AI</span>
+          <span className="terminal-title">gemini — {providerLabel}</span>
           {agentMode && <span className="agent-mode-badge">AGENT</span>}
         </div>
         <div className="toolbar-right-group">
-          {agentRunning && (
-            <>
-              {agentPaused ? (
-                <button className="disconnect-btn agent-resume-btn" onClick={resumeAgent}>
-                  ▶ Resume
-                </button>
-              ) : (
-                <button className="disconnect-btn agent-pause-btn" onClick={pauseAgent}>
-                  ⏸ Pause
-                </button>
-              )}
-              <button
-                className={`disconnect-btn agent-stop-btn ${agentStopping ? 'agent-stop-btn--stopping' : ''}`}
-                onClick={stopAgent}
-                disabled={agentStopping}
-              >
-                {agentStopping ? (
-                  <><span className="agent-stop-spinner" />Stopping…</>
-                ) : (
-                  '■ Stop'
-                )}
-              </button>
-            </>
-          )}
-          {!agentRunning && lastAgentPromptRef.current && agentMode && (
-            <button className="disconnect-btn agent-retry-btn" onClick={retryAgent}>
-              ↻ Retry
+          <AgentControls agent={agent} agentMode={agentMode} />
+          {isLoading && !agentRunning && (
+            <button className="disconnect-btn agent-stop-btn" onClick={stopResponse} title="Stop generating">
+              ■ Stop
             </button>
           )}
           {!agentRunning && (
@@ -771,10 +324,10 @@ const GeminiChat = forwardRef(function GeminiChat({
       >
 
         {/* Welcome banner */}
-        {messages.length === 0 && agentSteps.length === 0 && !isLoading && (
+        {messages.length === 0 && agentSteps.length === 0 && !isLoading && !agentRunning && (
           <div className="gemini-term-welcome">
             <div className="gemini-term-info">
-              <span className="gemini-term-label">{model}</span> via Vertex AI
+              <span className="gemini-term-label">{model}</span> via {providerLabel}
               {agentMode && <span className="agent-welcome-badge">Agent Mode</span>}
             </div>
             <div className="gemini-term-hint">
@@ -799,7 +352,7 @@ const GeminiChat = forwardRef(function GeminiChat({
             )}
             {entry.type === 'model' && (
               <pre className="gemini-term-response">
-                {entry.text.split(/(<cmd>.*?<\/cmd>)/g).map((part, j) => {
+                {entry.text.split(/(<cmd>.*?<\/cmd>|<cmd>[^<]*$)/g).map((part, j) => {
                   const match = part.match(/^<cmd>(.*?)<\/cmd>$/);
                   if (match) {
                     const cmd = match[1];
@@ -817,6 +370,13 @@ const GeminiChat = forwardRef(function GeminiChat({
                       </span>
                     );
                   }
+                  if (entry.streaming && part.startsWith('<cmd>')) {
+                    return (
+                      <span key={j} className="gemini-cmd-tag gemini-cmd-tag--pending">
+                        {part.slice('<cmd>'.length)}
+                      </span>
+                    );
+                  }
                   return part;
                 })}
               </pre>
@@ -830,142 +390,10 @@ const GeminiChat = forwardRef(function GeminiChat({
           </div>
         ))}
 
-        {/* Agent steps */}
-        {agentSteps.map((step, i) => (
-          <div key={`agent-${i}`} className={`agent-step agent-step--${step.type}`}>
-            {step.type === 'command' && (
-              <>
-                <div className="agent-step-header">
-                  [{step.status === 'running' ? 'running' : step.status === 'timeout' ? 'timeout' : step.status === 'skipped' ? 'skipped' : 'done'}] {step.reasoning}
-                </div>
-                <div className="agent-step-command">
-                  {'> '}{step.command}
-                </div>
-                {step.output && (
-                  <pre className="agent-step-output">
-                    {step.output}
-                  </pre>
-                )}
-                {step.status === 'timeout' && (
-                  <div className="agent-step-timeout-msg">
-                    command may need input — check the terminal
-                  </div>
-                )}
-                {step.status === 'skipped' && (
-                  <div className="agent-step-skipped-msg">
-                    skipped by user
-                  </div>
-                )}
-              </>
-            )}
-            {step.type === 'send_keys' && (
-              <>
-                <div className="agent-step-header">
-                  [{step.status === 'running' ? 'sending' : step.status === 'skipped' ? 'skipped' : 'sent'}] {step.reasoning}
-                </div>
-                <div className="agent-step-command agent-step-keys">
-                  {'⌨ '}{step.keys}
-                </div>
-                {step.output && (
-                  <pre className="agent-step-output">
-                    {step.output}
-                  </pre>
-                )}
-                {step.status === 'skipped' && (
-                  <div className="agent-step-skipped-msg">
-                    skipped by user
-                  </div>
-                )}
-              </>
-            )}
-            {step.type === 'ask_user' && (
-              <>
-                <div className="agent-step-header agent-step-header--question">
-                  [{step.status === 'waiting' ? 'waiting for answer' : 'answered'}] {step.reasoning}
-                </div>
-                <div className="agent-step-question">
-                  {'? '}{step.question}
-                </div>
-                {step.answer && (
-                  <div className="agent-step-answer">
-                    {'→ '}{step.answer}
-                  </div>
-                )}
-              </>
-            )}
-            {step.type === 'read_terminal' && (
-              <>
-                <div className="agent-step-header">
-                  [read] {step.reasoning}
-                </div>
-                {step.output && (
-                  <pre className="agent-step-output">
-                    {step.output}
-                  </pre>
-                )}
-              </>
-            )}
-            {step.type === 'complete' && (
-              <div className="agent-step-complete">
-                [complete] {step.summary}
-              </div>
-            )}
-            {step.type === 'aborted' && (
-              <div className="agent-step-aborted">
-                [stopped] agent stopped by user.
-              </div>
-            )}
-            {step.type === 'error' && (
-              <div className="agent-step-error">
-                [error] {step.text}
-              </div>
-            )}
-          </div>
-        ))}
-
-        {/* Pending approval (step-through mode) */}
-        {pendingApproval && (
-          <div className="gemini-term-line agent-approval-indicator">
-            <div className="agent-approval-header">
-              {pendingApproval.type === 'command' ? '>' : '⌨'} {pendingApproval.detail}
-            </div>
-            <div className="agent-approval-reason">{pendingApproval.reasoning}</div>
-            <div className="agent-approval-buttons">
-              <button className="agent-approve-btn" onClick={handleApprove}>✓ Approve</button>
-              <button className="agent-skip-btn" onClick={handleSkip}>✗ Skip</button>
-            </div>
-          </div>
-        )}
-
-        {/* Agent question (ask_user) */}
-        {agentQuestion && (
-          <div className="gemini-term-line agent-question-indicator">
-            <div className="agent-question-text">? {agentQuestion}</div>
-            <div className="agent-question-form">
-              <input
-                className="agent-question-input"
-                type="text"
-                value={agentQuestionInput}
-                onChange={(e) => setAgentQuestionInput(e.target.value)}
-                onKeyDown={(e) => { if (e.key === 'Enter') handleQuestionSubmit(); }}
-                placeholder="Type your answer…"
-                autoFocus
-              />
-              <button className="agent-question-submit" onClick={handleQuestionSubmit}>Send</button>
-            </div>
-          </div>
-        )}
-
-        {/* Paused indicator */}
-        {agentPaused && (
-          <div className="gemini-term-line agent-paused-indicator">
-            <span className="agent-paused-icon">⏸</span>
-            <span className="agent-paused-text">agent paused — click Resume to continue</span>
-          </div>
-        )}
+        <AgentSteps agent={agent} />
 
         {/* Loading indicator */}
-        {isLoading && (
+        {((isLoading && !isStreaming) || agentThinking) && (
           <div className="gemini-term-line gemini-term-line--loading">
             <span className="gemini-term-spinner" />
             <span className="gemini-term-loading-text">
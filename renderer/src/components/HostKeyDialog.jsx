@@ -0,0 +1,34 @@
+/* ── First-connect host key confirmation ─────────────── */
+
+export default function HostKeyDialog({ info, onAccept, onReject }) {
+  const target = info.port === 22 ? info.host : `${info.host}:${info.port}`;
+
+  return (
+    <div className="proton-dialog-backdrop">
+      <div className="proton-dialog" role="dialog" aria-label="Verify host key">
+        <div className="proton-dialog-title">Unknown host key</div>
+        <div className="proton-dialog-text">
+          The authenticity of <span className="hostkey-target">{target}</span> can&apos;t be established.
+          Check the fingerprint with the server&apos;s administrator before trusting it.
+        </div>
+        <div className="hostkey-fingerprint">
+          <div className="hostkey-label">{info.keyType}</div>
+          <code>{info.fingerprint}</code>
+        </div>
+        {info.knownKeyTypes?.length > 0 && (
+          <div className="proton-dialog-text proton-dialog-text--warn">
+            This host is already trusted with a different key type ({info.knownKeyTypes.join(', ')}).
+          </div>
+        )}
+        <div className="agent-approval-buttons">
+          <button className="agent-approve-btn" onClick={onAccept} autoFocus>
+            Trust &amp; connect
+          </button>
+          <button className="agent-skip-btn" onClick={onReject}>
+            Cancel
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+import { AUTH_METHODS } from '../utils/authMethods';
+
+/* ── ProxyJump chain editor ──────────────────────────── */
+
+// Jump hosts are connected in order, each with its own credentials, before
+// the target host.
+
+const EMPTY_HOP = { host: '', port: 22, username: '', authMethod: 'agent', privateKeyPath: '', password: '' };
+
+export default function JumpHostsEditor({ jumpHosts, onChange }) {
+  const updateHop = (index, patch) => {
+    onChange(jumpHosts.map((hop, i) => (i === index ? { ...hop, ...patch } : hop)));
+  };
+
+  const removeHop = (index) => {
+    onChange(jumpHosts.filter((_, i) => i !== index));
+  };
+
+  const browseKey = async (index) => {
+    const filePath = await window.proton?.selectPrivateKey();
+    if (filePath) updateHop(index, { privateKeyPath: filePath });
+  };
+
+  return (
+    <div className="form-group">
+      <label>Jump hosts</label>
+      {jumpHosts.map((hop, index) => (
+        <div key={index} className="jump-host">
+          <div className="jump-host-header">
+            <span className="jump-host-index">{index + 1}</span>
+            <input
+              type="text"
+              placeholder="user"
+              value={hop.username}
+              onChange={(e) => updateHop(index, { username: e.target.value })}
+              aria-label={`Jump host ${index + 1} username`}
+              className="jump-host-user"
+              required
+            />
+            <span className="jump-host-at">@</span>
+            <input
+              type="text"
+              placeholder="bastion.example.com"
+              value={hop.host}
+              onChange={(e) => updateHop(index, { host: e.target.value, alias: undefined })}
+              aria-label={`Jump host ${index + 1} host`}
+              required
+            />
+            <input
+              type="number"
+              value={hop.port}
+              onChange={(e) => updateHop(index, { port: e.target.value })}
+              aria-label={`Jump host ${index + 1} port`}
+              className="jump-host-port"
+              min="1"
+              max="65535"
+            />
+            <button
+              type="button"
+              className="history-remove jump-host-remove"
+              onClick={() => removeHop(index)}
+              title="Remove jump host"
+            >
+              ✕
+            </button>
+          </div>
+          <div className="jump-host-auth">
+            <select
+              value={hop.authMethod}
+              onChange={(e) => updateHop(index, { authMethod: e.target.value })}
+              aria-label={`Jump host ${index + 1} authentication`}
+            >
+              {AUTH_METHODS.map((m) => (
+                <option key={m.id} value={m.id}>{m.label}</option>
+              ))}
+            </select>
+            {hop.authMethod === 'password' && (
+              <input
+                type="password"
+                placeholder="••••••••"
+                value={hop.password ?? ''}
+                onChange={(e) => updateHop(index, { password: e.target.value })}
+                aria-label={`Jump host ${index + 1} password`}
+              />
+            )}
+            {hop.authMethod === 'key' && (
+              <>
+                <input
+                  type="text"
+                  placeholder="~/.ssh/id_ed25519"
+                  value={hop.privateKeyPath ?? ''}
+                  onChange={(e) => updateHop(index, { privateKeyPath: e.target.value })}
+                  aria-label={`Jump host ${index + 1} private key`}
+                  required
+                />
+                <button type="button" className="key-file-browse" onClick={() => browseKey(index)}>
+                  Browse…
+                </button>
+              </>
+            )}
+          </div>
+        </div>
+      ))}
+      <button
+        type="button"
+        className="jump-host-add"
+        onClick={() => onChange([...jumpHosts, { ...EMPTY_HOP }])}
+      >
+        + Add jump host
+      </button>
+    </div>
+  );
+}
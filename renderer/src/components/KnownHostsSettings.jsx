@@ -0,0 +1,49 @@
+import { useState, useEffect } from 'react';
+import { fetchKnownHosts, revokeKnownHost } from '../utils/api';
+
+/* ── Settings section: trusted SSH host keys ─────────── */
+
+export default function KnownHostsSettings({ serverUrl }) {
+  const [hosts, setHosts] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!serverUrl) return;
+    fetchKnownHosts(serverUrl)
+      .then(setHosts)
+      .catch((err) => setError(err.message));
+  }, [serverUrl]);
+
+  const handleRevoke = async (entry) => {
+    if (!window.confirm(`Revoke the trusted ${entry.keyType} key for ${entry.host}?`)) return;
+    try {
+      setHosts(await revokeKnownHost(serverUrl, entry));
+      setError('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="settings-group">
+      <label className="settings-label">Known Hosts</label>
+      {hosts.length === 0 && !error && (
+        <div className="known-hosts-empty">No trusted host keys yet.</div>
+      )}
+      <div className="known-hosts-list">
+        {hosts.map((entry) => (
+          <div key={`${entry.host} ${entry.keyType}`} className="known-hosts-item">
+            <div className="known-hosts-info" title={`${entry.keyType} ${entry.fingerprint}`}>
+              <span className="known-hosts-host">{entry.host}</span>
+              <span className="known-hosts-fingerprint">{entry.fingerprint}</span>
+            </div>
+            <button className="settings-reset-btn" onClick={() => handleRevoke(entry)} title="Revoke this key">
+              Revoke
+            </button>
+          </div>
+        ))}
+      </div>
+      {error && <div className="known-hosts-error">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+import { useState } from 'react';
+
+/* ── Encrypted private key passphrase prompt ─────────── */
+
+export default function PassphraseDialog({ info, onSubmit, onCancel }) {
+  const [passphrase, setPassphrase] = useState('');
+
+  return (
+    <div className="proton-dialog-backdrop">
+      <form
+        className="proton-dialog"
+        role="dialog"
+        aria-label="Private key passphrase"
+        onSubmit={(e) => {
+          e.preventDefault();
+          onSubmit(passphrase);
+        }}
+      >
+        <div className="proton-dialog-title">Key passphrase</div>
+        <div className="proton-dialog-text">
+          Enter the passphrase for <span className="hostkey-target">{info.keyPath}</span>
+        </div>
+        {info.retry && (
+          <div className="proton-dialog-text proton-dialog-text--warn">Wrong passphrase, try again.</div>
+        )}
+        <input
+          className="settings-input proton-dialog-input"
+          type="password"
+          value={passphrase}
+          onChange={(e) => setPassphrase(e.target.value)}
+          autoFocus
+        />
+        <div className="agent-approval-buttons">
+          <button type="submit" className="agent-approve-btn">
+            Unlock
+          </button>
+          <button type="button" className="agent-skip-btn" onClick={onCancel}>
+            Skip key
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,81 @@
+import { useState, useEffect } from 'react';
+import { fetchRecordings, fetchRecording } from '../utils/api';
+import { formatBytes } from '../utils/format';
+
+/* ── Recordings library ──────────────────────────────── */
+
+// What a new player tab shows: the sessions recorded by this app, or any
+// .cast file from disk.
+
+export default function RecordingsLibrary({ serverUrl, isActive, onOpen, onClose }) {
+  const [recordings, setRecordings] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    if (!serverUrl || !isActive) return undefined;
+    let cancelled = false;
+    fetchRecordings(serverUrl)
+      .then((list) => {
+        if (!cancelled) setRecordings(list);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [serverUrl, isActive]);
+
+  const openSaved = async (name) => {
+    setError('');
+    try {
+      onOpen({ name, content: await fetchRecording(serverUrl, name) });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const openFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    setError('');
+    try {
+      onOpen({ name: file.name, content: await file.text() });
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  return (
+    <div className="terminal-container cast-library" style={{ display: isActive ? 'flex' : 'none' }}>
+      <div className="terminal-toolbar">
+        <div className="toolbar-left">
+          <span className="terminal-title">Recordings</span>
+        </div>
+        <div className="toolbar-right-group">
+          <label className="disconnect-btn new-chat-btn cast-open-file">
+            Open .cast file…
+            <input type="file" accept=".cast,application/x-asciicast" onChange={openFile} hidden />
+          </label>
+          <button className="disconnect-btn" onClick={onClose}>✕</button>
+        </div>
+      </div>
+
+      <div className="cast-library-list">
+        {error && <div className="sftp-error">{error}</div>}
+        {recordings?.length === 0 && (
+          <div className="tunnels-empty">No recordings yet. Use ● Rec on a terminal tab to record one.</div>
+        )}
+        {recordings?.map((r) => (
+          <button key={r.name} className="cast-library-item" onClick={() => openSaved(r.name)}>
+            <span className="cast-library-name">{r.name.replace(/\.cast$/, '')}</span>
+            <span className="cast-library-meta">
+              {new Date(r.modified).toLocaleString()} · {formatBytes(r.size)}
+            </span>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,188 @@
+import { useState, useEffect, useCallback } from 'react';
+import { socketRequest } from '../utils/socket';
+import { uploadFiles } from '../utils/sftp';
+import { formatBytes } from '../utils/format';
+import SftpTransfers from './SftpTransfers';
+
+/* ── Helpers ──────────────────────────────────────────── */
+
+function formatMode(mode) {
+  const flags = 'rwxrwxrwx';
+  return [...flags].map((flag, i) => (mode & (1 << (8 - i)) ? flag : '-')).join('');
+}
+
+const parentOf = (dir) => dir.replace(/\/[^/]+\/?$/, '') || '/';
+const joinPath = (dir, name) => (dir.endsWith('/') ? `${dir}${name}` : `${dir}/${name}`);
+
+const ENTRY_ICONS = { dir: '▸', 'dir-link': '▹', link: '↪', file: '·' };
+
+/* ── Component ────────────────────────────────────────── */
+
+export default function SftpPanel({ socket, transfers, onCancelTransfer, onClearTransfers, onClose }) {
+  const [cwd, setCwd] = useState('');
+  const [pathInput, setPathInput] = useState('');
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [editing, setEditing] = useState(null);
+
+  const load = useCallback(async (dir) => {
+    setLoading(true);
+    setError('');
+    try {
+      const result = await socketRequest(socket, 'sftp:list', { path: dir });
+      setCwd(result.path);
+      setPathInput(result.path);
+      setEntries(result.entries);
+      setSelected(null);
+      setEditing(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [socket]);
+
+  useEffect(() => {
+    load('.');
+  }, [load]);
+
+  // Refresh the listing when an upload finishes
+  const lastDone = transfers.filter((t) => t.state === 'done' && t.direction === 'upload').length;
+  useEffect(() => {
+    if (lastDone > 0 && cwd) load(cwd);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [lastDone]);
+
+  const run = async (fn) => {
+    setError('');
+    try {
+      await fn();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const open = (entry) => {
+    if (entry.type === 'dir' || entry.type === 'dir-link') load(joinPath(cwd, entry.name));
+  };
+
+  const upload = () => run(() => uploadFiles(socket, cwd));
+
+  const download = (entry) => run(() => socketRequest(socket, 'sftp:download', { remotePath: joinPath(cwd, entry.name) }));
+
+  const remove = (entry) => {
+    const what = entry.type === 'dir' ? 'empty directory' : 'file';
+    if (!window.confirm(`Delete ${what} "${entry.name}"?`)) return;
+    run(async () => {
+      await socketRequest(socket, 'sftp:delete', { path: joinPath(cwd, entry.name), type: entry.type });
+      await load(cwd);
+    });
+  };
+
+  const submitEdit = (e) => {
+    e.preventDefault();
+    const { entry, field, value } = editing;
+    run(async () => {
+      if (field === 'rename') {
+        if (value && value !== entry.name) {
+          await socketRequest(socket, 'sftp:rename', { from: joinPath(cwd, entry.name), to: joinPath(cwd, value) });
+        }
+      } else if (field === 'chmod') {
+        if (!/^[0-7]{3,4}$/.test(value)) throw new Error('Mode must be octal, e.g. 644');
+        await socketRequest(socket, 'sftp:chmod', { path: joinPath(cwd, entry.name), mode: parseInt(value, 8) });
+      } else if (field === 'mkdir' && value) {
+        await socketRequest(socket, 'sftp:mkdir', { path: joinPath(cwd, value) });
+      }
+      await load(cwd);
+    });
+    setEditing(null);
+  };
+
+  const editInput = (placeholder) => (
+    <form className="sftp-edit" onSubmit={submitEdit}>
+      <input
+        value={editing.value}
+        onChange={(e) => setEditing({ ...editing, value: e.target.value })}
+        onKeyDown={(e) => e.key === 'Escape' && setEditing(null)}
+        onBlur={() => setEditing(null)}
+        placeholder={placeholder}
+        spellCheck={false}
+        autoFocus
+      />
+    </form>
+  );
+
+  return (
+    <div className="sftp-panel">
+      <div className="sftp-header">
+        <span className="sftp-title">Files</span>
+        <div className="sftp-actions">
+          <button onClick={() => load(parentOf(cwd))} title="Parent directory" disabled={!cwd || cwd === '/'}>↑</button>
+          <button onClick={() => load(cwd || '.')} title="Refresh">⟳</button>
+          <button onClick={() => setEditing({ field: 'mkdir', value: '' })} title="New folder" disabled={!cwd}>＋</button>
+          <button onClick={upload} title="Upload files" disabled={!cwd}>⇪</button>
+          <button onClick={onClose} title="Close">✕</button>
+        </div>
+      </div>
+
+      <form
+        className="sftp-path"
+        onSubmit={(e) => {
+          e.preventDefault();
+          load(pathInput);
+        }}
+      >
+        <input value={pathInput} onChange={(e) => setPathInput(e.target.value)} spellCheck={false} aria-label="Remote path" />
+      </form>
+
+      {error && <div className="sftp-error">{error}</div>}
+
+      <div className={`sftp-list ${loading ? 'sftp-list--loading' : ''}`}>
+        {editing?.field === 'mkdir' && editInput('folder name')}
+        {entries.map((entry) => {
+          const isEditing = editing?.entry?.name === entry.name;
+          return (
+            <div
+              key={entry.name}
+              className={`sftp-entry ${selected === entry.name ? 'sftp-entry--selected' : ''}`}
+              onClick={() => setSelected(entry.name)}
+              onDoubleClick={() => open(entry)}
+              title={`${formatMode(entry.mode)}  ${new Date(entry.mtime).toLocaleString()}`}
+            >
+              <span className={`sftp-icon sftp-icon--${entry.type}`}>{ENTRY_ICONS[entry.type]}</span>
+              {isEditing && editing.field === 'rename' ? editInput('new name') : (
+                <span className="sftp-name">{entry.name}</span>
+              )}
+              {isEditing && editing.field === 'chmod' ? editInput('644') : (
+                <span className="sftp-meta">{entry.type === 'file' ? formatBytes(entry.size) : formatMode(entry.mode)}</span>
+              )}
+              <span className="sftp-row-actions">
+                {entry.type === 'file' && (
+                  <button onClick={(e) => { e.stopPropagation(); download(entry); }} title="Download">↓</button>
+                )}
+                <button
+                  onClick={(e) => { e.stopPropagation(); setEditing({ entry, field: 'rename', value: entry.name }); }}
+                  title="Rename"
+                >
+                  ✎
+                </button>
+                <button
+                  onClick={(e) => { e.stopPropagation(); setEditing({ entry, field: 'chmod', value: entry.mode.toString(8) }); }}
+                  title="Change permissions"
+                >
+                  ⚿
+                </button>
+                <button onClick={(e) => { e.stopPropagation(); remove(entry); }} title="Delete">✕</button>
+              </span>
+            </div>
+          );
+        })}
+        {!loading && !error && entries.length === 0 && <div className="sftp-empty">Empty directory</div>}
+      </div>
+
+      <SftpTransfers transfers={transfers} onCancel={onCancelTransfer} onClear={onClearTransfers} />
+    </div>
+  );
+}
@@ -0,0 +1,35 @@
+/* ── SFTP transfer list ──────────────────────────────── */
+
+// Progress rows for sftp:transfer events, shown in the Files panel or, when
+// it is closed, floating over the terminal.
+
+const TRANSFER_ICONS = { upload: '↑', download: '↓' };
+
+export default function SftpTransfers({ transfers, onCancel, onClear, className = '' }) {
+  if (transfers.length === 0) return null;
+
+  return (
+    <div className={`sftp-transfers ${className}`}>
+      <div className="sftp-transfers-header">
+        <span>Transfers</span>
+        <button onClick={onClear} title="Clear finished">Clear</button>
+      </div>
+      {transfers.map((t) => {
+        const pct = t.total ? Math.min(100, Math.round((t.transferred / t.total) * 100)) : 100;
+        return (
+          <div key={t.id} className={`sftp-transfer sftp-transfer--${t.state}`} title={t.error || `${t.localPath} ⇄ ${t.remotePath}`}>
+            <span className="sftp-transfer-dir">{TRANSFER_ICONS[t.direction]}</span>
+            <span className="sftp-transfer-name">{t.name}</span>
+            <span className="sftp-transfer-status">
+              {t.state === 'running' ? `${pct}%` : t.state}
+            </span>
+            {t.state === 'running' && (
+              <button onClick={() => onCancel(t.id)} title="Cancel transfer">✕</button>
+            )}
+            <div className="sftp-progress" style={{ width: `${pct}%` }} />
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -1,11 +1,62 @@
-import { useEffect, useRef, forwardRef, useImperativeHandle } from 'react';
+import { useState, useEffect, useRef, forwardRef, useImperativeHandle } from 'react';
 import { Terminal as XTerm } from '@xterm/xterm';
 import { FitAddon } from '@xterm/addon-fit';
+import { SearchAddon } from '@xterm/addon-search';
 import { io } from 'socket.io-client';
+import { getServerToken } from '../utils/api';
+import { socketRequest } from '../utils/socket';
+import { uploadFiles } from '../utils/sftp';
+import { TERMINAL_THEME } from '../utils/terminalTheme';
+import { attachShellIntegration } from '../utils/shellIntegration';
+import HostKeyDialog from './HostKeyDialog';
+import PassphraseDialog from './PassphraseDialog';
+import SftpPanel from './SftpPanel';
+import SftpTransfers from './SftpTransfers';
+import TunnelsPanel from './TunnelsPanel';
+import TerminalSearchBar from './TerminalSearchBar';
+import { saveTunnelsToHistory } from './ConnectionForm';
+import { useCommands } from '../hooks/useCommands';
 
 import '@xterm/xterm/css/xterm.css';
 
 const AGENT_SENTINEL = '__JUNI_AGENT_DONE__';
+// The server stops exec commands after 60s; allow for the cwd lookup too
+const AGENT_EXEC_TIMEOUT = 70000;
+
+function hostKeyMismatchBanner({ host, port, keyType, fingerprint, expectedFingerprint, source }) {
+  const bar = '@'.repeat(59);
+  return [
+    '',
+    `\x1b[1;31m${bar}`,
+    '@    WARNING: REMOTE HOST IDENTIFICATION HAS CHANGED!     @',
+    `${bar}\x1b[0m`,
+    '\x1b[31mIT IS POSSIBLE THAT SOMEONE IS DOING SOMETHING NASTY!',
+    'Someone could be eavesdropping on you right now (man-in-the-middle attack)!',
+    'It is also possible that the host key has just been changed.\x1b[0m',
+    '',
+    `Host:     ${host}:${port}`,
+    `Expected: ${keyType} ${expectedFingerprint}`,
+    `Received: ${keyType} ${fingerprint}`,
+    `Trusted in: ${source}`,
+    '',
+    '\x1b[1;31mConnection blocked.\x1b[0m If the change is expected, revoke the old key',
+    'under Settings → Known Hosts (or in the file above) and reconnect.',
+  ].join('\r\n');
+}
+
+// Quotes a local path for a POSIX shell
+const shellQuote = (p) => `'${p.replace(/'/g, `'\\''`)}'`;
+
+// OSC 7 (`file://host/path`) carries the shell's working directory
+function parseOsc7(data) {
+  const match = /^file:\/\/[^/]*(\/.*)$/.exec(data);
+  if (!match) return null;
+  try {
+    return decodeURIComponent(match[1]);
+  } catch {
+    return null;
+  }
+}
 
 const stripAnsi = (str) => str
   .replace(/\x1b\[[\?=>!]?[0-9;]*[a-zA-Z]/g, '')
@@ -17,13 +68,37 @@ const stripAnsi = (str) => str
   .replace(/\[[\?]?[0-9;]*[a-zA-Z]/g, '')
   .replace(/\r/g, '');
 
-const Terminal = forwardRef(function Terminal({ tabId, connection, isActive, onStatusChange, onClose, fontFamily, fontSize, bgColor, serverUrl }, ref) {
+const Terminal = forwardRef(function Terminal({ tabId, sessionId, restored, connection, isActive, onStatusChange, onClose, fontFamily, fontSize, bgColor, scrollback, serverUrl, recordInput, broadcastCount, onInput, onLeaveBroadcast }, ref) {
   const termRef = useRef(null);
   const xtermRef = useRef(null);
   const fitRef = useRef(null);
   const socketRef = useRef(null);
   const agentCaptureRef = useRef(null);
+  const agentExecRef = useRef(false);
   const agentKeysRef = useRef(null);
+  const [hostKeyPrompt, setHostKeyPrompt] = useState(null);
+  const [passphrasePrompt, setPassphrasePrompt] = useState(null);
+  const [socket, setSocket] = useState(null);
+  const [showFiles, setShowFiles] = useState(false);
+  const [transfers, setTransfers] = useState([]);
+  const [dropActive, setDropActive] = useState(false);
+  const [tunnels, setTunnels] = useState([]);
+  const [showTunnels, setShowTunnels] = useState(false);
+  const [status, setStatus] = useState('connecting');
+  const [recording, setRecording] = useState({ recording: false });
+  const [searchAddon, setSearchAddon] = useState(null);
+  const [showSearch, setShowSearch] = useState(false);
+  // Bumped on every Cmd/Ctrl+F so an open find bar grabs focus again
+  const [searchFocus, setSearchFocus] = useState(0);
+  const [notice, setNotice] = useState('');
+  const noticeTimerRef = useRef(null);
+  const shellIntegrationRef = useRef(null);
+  const cwdRef = useRef(null);
+  // Session output received so far; lets a reattach replay only what we missed
+  const receivedRef = useRef(0);
+  // Latest onInput for the long-lived xterm handlers (broadcast mode)
+  const onInputRef = useRef(onInput);
+  onInputRef.current = onInput;
 
   useImperativeHandle(ref, () => ({
     focus: () => xtermRef.current?.focus(),
@@ -47,6 +122,7 @@ const Terminal = forwardRef(function Terminal({ tabId, connection, isActive, onS
       }
     },
     abortAgentCapture: () => {
+      if (agentExecRef.current) socketRef.current?.emit('exec:cancel');
       if (agentCaptureRef.current) {
         const { resolve, timer, buffer } = agentCaptureRef.current;
         clearTimeout(timer);
@@ -147,6 +223,31 @@ const Terminal = forwardRef(function Terminal({ tabId, connection, isActive, onS
         socketRef.current.emit('ssh:data', `${command}; echo ${AGENT_SENTINEL}\n`);
       });
     },
+    // Agent file tools (server/agent-files.js): `op` is read, write, edit or
+    // list. Relative paths start in the shell's working directory.
+    agentFileRequest: async (op, args) => {
+      try {
+        return await socketRequest(socketRef.current, `agent-files:${op}`, { ...args, cwd: cwdRef.current });
+      } catch (err) {
+        return { error: err.message };
+      }
+    },
+    // Runs the command on a side channel (server/exec.js) in the shell's
+    // working directory; nothing is typed into or echoed to this terminal.
+    // Stopping the agent cancels it through abortAgentCapture.
+    // Resolves to { stdout, stderr, exitCode, signal, durationMs, timedOut }.
+    runAgentExec: async (command) => {
+      const socket = socketRef.current;
+      if (!socket) return { error: 'terminal not connected' };
+      agentExecRef.current = true;
+      try {
+        return await socket.timeout(AGENT_EXEC_TIMEOUT).emitWithAck('exec:run', { command, cwd: cwdRef.current });
+      } catch {
+        return { error: 'no response from the server' };
+      } finally {
+        agentExecRef.current = false;
+      }
+    },
   }));
 
   useEffect(() => {
@@ -172,6 +273,10 @@ const Terminal = forwardRef(function Terminal({ tabId, connection, isActive, onS
     try { fitRef.current.fit(); } catch { /* not ready */ }
   }, [fontFamily, fontSize, bgColor]);
 
+  useEffect(() => {
+    if (xtermRef.current && scrollback) xtermRef.current.options.scrollback = scrollback;
+  }, [scrollback]);
+
   useEffect(() => {
     if (!serverUrl) return;
 
@@ -181,35 +286,40 @@ const Terminal = forwardRef(function Terminal({ tabId, connection, isActive, onS
       fontFamily: fontFamily ? `'${fontFamily}', monospace` : '"Ubuntu Mono", "Fira Code", "Cascadia Code", monospace',
       fontSize: fontSize || 14,
       lineHeight: 1.35,
-      theme: {
-        background: bgColor || '#0d1117',
-        foreground: '#c9d1d9',
-        cursor: '#f0f6fc',
-        cursorAccent: '#0d1117',
-        selectionBackground: '#264f78',
-        black: '#484f58',
-        red: '#ff7b72',
-        green: '#7ee787',
-        yellow: '#d29922',
-        blue: '#58a6ff',
-        magenta: '#bc8cff',
-        cyan: '#39d353',
-        white: '#b1bac4',
-        brightBlack: '#6e7681',
-        brightRed: '#ffa198',
-        brightGreen: '#56d364',
-        brightYellow: '#e3b341',
-        brightBlue: '#79c0ff',
-        brightMagenta: '#d2a8ff',
-        brightCyan: '#56d364',
-        brightWhite: '#f0f6fc',
-      },
+      scrollback: scrollback || 5000,
+      theme: { ...TERMINAL_THEME, background: bgColor || TERMINAL_THEME.background },
+      // Search match highlighting uses the decoration API
+      allowProposedApi: true,
     });
 
     const fit = new FitAddon();
     term.loadAddon(fit);
+    const search = new SearchAddon();
+    term.loadAddon(search);
+    setSearchAddon(search);
     term.open(termRef.current);
 
+    const shellIntegration = attachShellIntegration(term, { onCopyOutput: copyOutput });
+    shellIntegrationRef.current = shellIntegration;
+
+    // Cmd/Ctrl+F opens the find bar instead of reaching the shell;
+    // Cmd+↑/↓ (Ctrl+Shift+↑/↓ elsewhere) jump between prompts.
+    term.attachCustomKeyEventHandler((e) => {
+      if (e.type !== 'keydown') return true;
+      if (e.key.toLowerCase() === 'f' && (e.metaKey || e.ctrlKey) && !e.shiftKey && !e.altKey) {
+        e.preventDefault();
+        openSearch();
+        return false;
+      }
+      const promptJump = e.metaKey || (e.ctrlKey && e.shiftKey);
+      if (promptJump && (e.key === 'ArrowUp' || e.key === 'ArrowDown') && shellIntegration.active) {
+        e.preventDefault();
+        shellIntegration.scrollToPrompt(e.key === 'ArrowUp' ? -1 : 1);
+        return false;
+      }
+      return true;
+    });
+
     const safeFit = () => {
       fit.fit();
       const { cols, rows } = term;
@@ -239,25 +349,44 @@ const Terminal = forwardRef(function Terminal({ tabId, connection, isActive, onS
     xtermRef.current = term;
     fitRef.current = fit;
 
+    const oscDisposable = term.parser.registerOscHandler(7, (data) => {
+      cwdRef.current = parseOsc7(data) ?? cwdRef.current;
+      return true;
+    });
+
     const isLocal = connection.local;
 
     term.writeln('\x1b[1;36m⬡ juni-cli-proton\x1b[0m');
-    if (isLocal) {
+    if (restored) {
+      term.writeln('\x1b[90mReattaching to running session…\x1b[0m');
+    } else if (isLocal) {
       term.writeln('\x1b[90mOpening local shell…\x1b[0m');
     } else {
       term.writeln(`\x1b[90mConnecting to ${connection.username}@${connection.host}:${connection.port}…\x1b[0m`);
     }
     term.writeln('');
 
-    const socket = io(serverUrl, { transports: ['websocket'] });
+    const socket = io(serverUrl, { transports: ['websocket'], auth: { token: getServerToken() } });
     socketRef.current = socket;
+    setSocket(socket);
 
     socket.on('connect', () => {
-      socket.emit('ssh:connect', connection);
+      // Starts the session, or reattaches if it is already running
+      socket.emit('session:open', { sessionId, connection, since: receivedRef.current });
       safeFit();
     });
 
+    // What the session sent while we were away. `full` means some of it had
+    // already left the server's buffer: redraw from what is kept rather than
+    // append after a gap. `end` resyncs our offset either way.
+    socket.on('session:replay', ({ data, end, full }) => {
+      if (full && receivedRef.current > 0) term.reset();
+      if (data) term.write(data);
+      receivedRef.current = end;
+    });
+
     socket.on('ssh:output', (data) => {
+      receivedRef.current += data.length;
       term.write(data);
       if (agentCaptureRef.current) {
         agentCaptureRef.current.buffer += data;
@@ -278,25 +407,89 @@ const Terminal = forwardRef(function Terminal({ tabId, connection, isActive, onS
       }
     });
 
-    socket.on('ssh:status', ({ status }) => {
+    let reconnecting = false;
+    socket.on('ssh:status', ({ status, attempt, maxAttempts, delay }) => {
       onStatusChange(status);
+      setStatus(status);
       if (status === 'ready') {
+        if (reconnecting) term.writeln('\x1b[32m✓ Reconnected\x1b[0m');
+        reconnecting = false;
         safeFit();
         term.focus();
       }
+      if (status === 'reconnecting') {
+        reconnecting = true;
+        const seconds = Math.round(delay / 1000);
+        term.writeln(`\r\n\x1b[33mConnection lost — reconnecting in ${seconds}s (attempt ${attempt}/${maxAttempts})…\x1b[0m`);
+      }
       if (status === 'disconnected') {
         term.writeln('\r\n\x1b[1;31mConnection closed.\x1b[0m');
       }
     });
 
+    socket.on('ssh:hostkey-verify', (info, ack) => {
+      setHostKeyPrompt({ info, ack });
+    });
+
+    // Per-hop progress when connecting through jump hosts
+    socket.on('ssh:hop', ({ label, host, port, state, isTarget }) => {
+      if (state === 'connecting') {
+        const target = label === host ? `${host}:${port}` : `${label} (${host}:${port})`;
+        term.write(`\x1b[2m${isTarget ? 'Connecting to' : 'Connecting via'} ${target}…\x1b[0m`);
+      } else {
+        term.writeln(' \x1b[32m✓\x1b[0m');
+      }
+    });
+
+    socket.on('ssh:passphrase-prompt', (info, ack) => {
+      setPassphrasePrompt({ info, ack });
+    });
+
+    socket.on('ssh:hostkey-mismatch', (info) => {
+      term.writeln(hostKeyMismatchBanner(info));
+      onStatusChange('error');
+      setStatus('error');
+    });
+
+    socket.on('sftp:transfer', (info) => {
+      setTransfers((prev) => {
+        const exists = prev.some((t) => t.id === info.id);
+        return exists ? prev.map((t) => (t.id === info.id ? info : t)) : [...prev, info];
+      });
+    });
+
+    socket.on('tunnel:status', (info) => {
+      setTunnels((prev) => {
+        if (info.state === 'removed') return prev.filter((t) => t.id !== info.id);
+        const exists = prev.some((t) => t.id === info.id);
+        return exists ? prev.map((t) => (t.id === info.id ? info : t)) : [...prev, info];
+      });
+    });
+
+    socket.on('recording:status', setRecording);
+
+    socket.on('connect_error', (err) => {
+      // Rejected handshakes (bad token) are not retried by socket.io
+      if (!socket.active) {
+        term.writeln(`\r\n\x1b[1;31mError: ${err.message}\x1b[0m`);
+        onStatusChange('error');
+        setStatus('error');
+      }
+    });
+
     socket.on('ssh:error', ({ message }) => {
       term.writeln(`\r\n\x1b[1;31mError: ${message}\x1b[0m`);
       onStatusChange('error');
+      setStatus('error');
     });
 
-    term.onData((data) => {
+    // What the user types (or pastes) here, as opposed to agent input
+    const sendInput = (data) => {
       socket.emit('ssh:data', data);
-    });
+      onInputRef.current?.(data);
+    };
+
+    term.onData(sendInput);
 
     term.onResize(({ cols, rows }) => {
       socket.emit('ssh:resize', { cols, rows });
@@ -312,7 +505,7 @@ const Terminal = forwardRef(function Terminal({ tabId, connection, isActive, onS
         const textToPaste = lastSelection;
         setTimeout(() => {
           if (!term.getSelection()) {
-            socket.emit('ssh:data', textToPaste);
+            sendInput(textToPaste);
           }
           lastSelection = '';
         }, 50);
@@ -323,10 +516,16 @@ const Terminal = forwardRef(function Terminal({ tabId, connection, isActive, onS
     return () => {
       el.removeEventListener('mousedown', handleMouseDown);
       selDisposable.dispose();
+      oscDisposable.dispose();
+      shellIntegration.dispose();
+      shellIntegrationRef.current = null;
+      clearTimeout(noticeTimerRef.current);
       initTimers.forEach(clearTimeout);
       clearTimeout(resizeTimer);
       resizeObserver.disconnect();
       socket.disconnect();
+      setSocket(null);
+      setSearchAddon(null);
       term.dispose();
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -350,10 +549,132 @@ const Terminal = forwardRef(function Terminal({ tabId, connection, isActive, onS
     return () => clearTimeout(timer);
   }, [isActive]);
 
+  // Reopens the SSH session in this xterm with the tab's credentials
+  const reconnect = () => {
+    if (!socket) return;
+    xtermRef.current?.writeln('\r\n\x1b[90mReconnecting…\x1b[0m');
+    onStatusChange('connecting');
+    setStatus('connecting');
+    socket.emit('ssh:reconnect');
+  };
+
+  // Recording runs in the main process, so it survives reloads like the shell
+  const toggleRecording = async () => {
+    try {
+      if (recording.recording) {
+        await socketRequest(socket, 'recording:stop');
+        xtermRef.current?.writeln(`\r\n\x1b[90mRecording saved as ${recording.name}\x1b[0m`);
+      } else {
+        await socketRequest(socket, 'recording:start', { recordInput });
+      }
+    } catch (err) {
+      xtermRef.current?.writeln(`\r\n\x1b[1;31mRecording failed: ${err.message}\x1b[0m`);
+    }
+  };
+
+  const canReconnect = !connection.local && ['disconnected', 'error', 'reconnecting'].includes(status);
+
+  const showNotice = (text) => {
+    setNotice(text);
+    clearTimeout(noticeTimerRef.current);
+    noticeTimerRef.current = setTimeout(() => setNotice(''), 2000);
+  };
+
+  // One command's output, from a gutter mark or the palette
+  const copyOutput = async (text) => {
+    if (text === null) return;
+    try {
+      await navigator.clipboard.writeText(text);
+      const lines = text ? text.split('\n').length : 0;
+      showNotice(`Copied ${lines} line${lines === 1 ? '' : 's'} of output`);
+    } catch (err) {
+      showNotice(`Copy failed: ${err.message}`);
+    }
+  };
+
+  const openSearch = () => {
+    setShowSearch(true);
+    setSearchFocus((n) => n + 1);
+  };
+
+  useCommands(() => {
+    if (!isActive || !socket) return [];
+    const commands = [
+      { id: 'terminal:find', group: 'Terminal', title: 'Find in scrollback', hint: 'Ctrl/⌘+F', run: openSearch },
+      { id: 'terminal:record', group: 'Terminal', title: recording.recording ? 'Stop recording' : 'Start recording', run: toggleRecording },
+      { id: 'terminal:clear', group: 'Terminal', title: 'Clear scrollback', run: () => xtermRef.current?.clear() },
+    ];
+    if (!connection.local) {
+      commands.push(
+        { id: 'terminal:files', group: 'Terminal', title: showFiles ? 'Hide remote files' : 'Show remote files (SFTP)', run: () => setShowFiles((v) => !v) },
+        { id: 'terminal:tunnels', group: 'Terminal', title: showTunnels ? 'Hide port forwarding' : 'Show port forwarding', run: () => setShowTunnels((v) => !v) },
+      );
+    }
+    if (shellIntegrationRef.current?.active) {
+      const shellIntegration = shellIntegrationRef.current;
+      commands.push(
+        { id: 'terminal:prompt-prev', group: 'Terminal', title: 'Scroll to previous prompt', hint: '⌘↑ / Ctrl+Shift+↑', run: () => shellIntegration.scrollToPrompt(-1) },
+        { id: 'terminal:prompt-next', group: 'Terminal', title: 'Scroll to next prompt', hint: '⌘↓ / Ctrl+Shift+↓', run: () => shellIntegration.scrollToPrompt(1) },
+        { id: 'terminal:copy-output', group: 'Terminal', title: 'Copy last command output', run: () => copyOutput(shellIntegration.lastOutput()) },
+      );
+    }
+    if (canReconnect) commands.push({ id: 'terminal:reconnect', group: 'Terminal', title: 'Reconnect now', run: reconnect });
+    return commands;
+  });
+
+  /* ── Transfers & drag-and-drop ── */
+
+  const cancelTransfer = (id) => {
+    socketRequest(socket, 'sftp:cancel', { id }).catch(() => {});
+  };
+
+  const clearTransfers = () => {
+    setTransfers((prev) => prev.filter((t) => t.state === 'running'));
+  };
+
+  const isFileDrag = (e) => e.dataTransfer?.types.includes('Files');
+
+  const handleDragOver = (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setDropActive(true);
+  };
+
+  const handleDragLeave = (e) => {
+    if (!e.currentTarget.contains(e.relatedTarget)) setDropActive(false);
+  };
+
+  // SSH tabs upload the files into the shell's cwd; local tabs type the
+  // quoted paths at the prompt.
+  const handleDrop = async (e) => {
+    if (!isFileDrag(e)) return;
+    e.preventDefault();
+    setDropActive(false);
+
+    const localPaths = [...e.dataTransfer.files]
+      .map((file) => window.proton?.getPathForFile(file))
+      .filter(Boolean);
+    if (localPaths.length === 0) return;
+
+    if (connection.local) {
+      socket?.emit('ssh:data', `${localPaths.map(shellQuote).join(' ')} `);
+      xtermRef.current?.focus();
+      return;
+    }
+
+    try {
+      const remoteDir = cwdRef.current ?? (await socketRequest(socket, 'sftp:cwd')).path;
+      await uploadFiles(socket, remoteDir, localPaths);
+    } catch (err) {
+      xtermRef.current?.writeln(`\r\n\x1b[1;31mUpload failed: ${err.message}\x1b[0m`);
+    }
+  };
+
   return (
     <div
       className="terminal-container"
-      style={{ display: isActive ? 'flex' : 'none' }}
+      style={{ display: isActive ? 'flex' : 'none', position: 'relative' }}
     >
       <div className="terminal-toolbar">
         <div className="toolbar-left">
@@ -364,11 +685,138 @@ const Terminal = forwardRef(function Terminal({ tabId, connection, isActive, onS
             }
           </span>
         </div>
-        <button className="disconnect-btn" onClick={onClose}>
-          ✕
-        </button>
+        <div className="toolbar-right-group">
+          {broadcastCount > 0 && (
+            <button
+              className="broadcast-badge"
+              onClick={onLeaveBroadcast}
+              title="Typing here goes to every tab in the group. Click to leave."
+            >
+              📡 Broadcasting to {broadcastCount} tabs
+            </button>
+          )}
+          {canReconnect && (
+            <button className="disconnect-btn new-chat-btn" onClick={reconnect} title="Reconnect now">
+              ⟳ Reconnect
+            </button>
+          )}
+          <button
+            className={`disconnect-btn new-chat-btn ${recording.recording ? 'record-toggle--active' : ''}`}
+            onClick={toggleRecording}
+            disabled={!socket}
+            title={recording.recording
+              ? `Stop recording (${recording.name})`
+              : `Record this session as asciicast${recordInput ? ', including keystrokes' : ''}`}
+          >
+            {recording.recording ? '■ Stop rec' : '● Rec'}
+          </button>
+          {!connection.local && (
+            <>
+              <button
+                className={`disconnect-btn new-chat-btn ${showTunnels ? 'sftp-toggle--active' : ''}`}
+                onClick={() => setShowTunnels((v) => !v)}
+                title="Port forwarding"
+              >
+                Tunnels
+                {tunnels.length > 0 && (
+                  <span className="tunnel-count">
+                    {tunnels.filter((t) => t.state === 'active').length}/{tunnels.length}
+                  </span>
+                )}
+              </button>
+              <button
+                className={`disconnect-btn new-chat-btn ${showFiles ? 'sftp-toggle--active' : ''}`}
+                onClick={() => setShowFiles((v) => !v)}
+                title="Browse remote files (SFTP)"
+              >
+                Files
+              </button>
+            </>
+          )}
+          <button className="disconnect-btn" onClick={onClose}>
+            ✕
+          </button>
+        </div>
+      </div>
+      <div className="terminal-body">
+        <div
+          className="terminal-viewport"
+          ref={termRef}
+          style={{ flex: 1, minHeight: 0 }}
+          onDragOver={handleDragOver}
+          onDragLeave={handleDragLeave}
+          onDrop={handleDrop}
+        />
+        {showSearch && searchAddon && (
+          <TerminalSearchBar
+            searchAddon={searchAddon}
+            focusRequest={searchFocus}
+            besidePanel={showFiles}
+            onClose={() => {
+              setShowSearch(false);
+              xtermRef.current?.focus();
+            }}
+          />
+        )}
+        {showTunnels && socket && (
+          <TunnelsPanel
+            socket={socket}
+            tunnels={tunnels}
+            onSave={(specs) => saveTunnelsToHistory(connection, specs)}
+            onClose={() => setShowTunnels(false)}
+          />
+        )}
+        {notice && <div className="terminal-notice">{notice}</div>}
+        {dropActive && (
+          <div className="terminal-drop-overlay">
+            {connection.local ? 'Drop to insert path' : `Drop to upload to ${cwdRef.current ?? 'the current directory'}`}
+          </div>
+        )}
+        {showFiles && socket ? (
+          <SftpPanel
+            socket={socket}
+            transfers={transfers}
+            onCancelTransfer={cancelTransfer}
+            onClearTransfers={clearTransfers}
+            onClose={() => setShowFiles(false)}
+          />
+        ) : (
+          <SftpTransfers
+            transfers={transfers}
+            onCancel={cancelTransfer}
+            onClear={clearTransfers}
+            className="terminal-transfers"
+          />
+        )}
       </div>
-      <div className="terminal-viewport" ref={termRef} style={{ flex: 1, minHeight: 0 }} />
+      {hostKeyPrompt && (
+        <HostKeyDialog
+          info={hostKeyPrompt.info}
+          onAccept={() => {
+            hostKeyPrompt.ack(true);
+            setHostKeyPrompt(null);
+            xtermRef.current?.focus();
+          }}
+          onReject={() => {
+            hostKeyPrompt.ack(false);
+            setHostKeyPrompt(null);
+          }}
+        />
+      )}
+      {passphrasePrompt && (
+        <PassphraseDialog
+          key={`${passphrasePrompt.info.keyPath}:${passphrasePrompt.info.retry}`}
+          info={passphrasePrompt.info}
+          onSubmit={(passphrase) => {
+            passphrasePrompt.ack(passphrase);
+            setPassphrasePrompt(null);
+          }}
+          onCancel={() => {
+            passphrasePrompt.ack(null);
+            setPassphrasePrompt(null);
+          }}
+        />
+      )}
     </div>
   );
 });
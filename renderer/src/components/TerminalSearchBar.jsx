@@ -0,0 +1,113 @@
+import { useState, useEffect, useRef } from 'react';
+
+/* ── Scrollback search (Cmd/Ctrl+F) ──────────────────── */
+
+// Drives @xterm/addon-search: matches are highlighted in the terminal and
+// marked on its scrollbar; Enter / Shift+Enter walk through them.
+
+const DECORATIONS = {
+  matchBackground: '#3a3d1f',
+  matchBorder: '#d29922',
+  matchOverviewRuler: '#d29922',
+  activeMatchBackground: '#8a5a00',
+  activeMatchBorder: '#e3b341',
+  activeMatchColorOverviewRuler: '#e3b341',
+};
+
+export default function TerminalSearchBar({ searchAddon, focusRequest, besidePanel, onClose }) {
+  const inputRef = useRef(null);
+  const [query, setQuery] = useState('');
+  const [caseSensitive, setCaseSensitive] = useState(false);
+  const [regex, setRegex] = useState(false);
+  const [results, setResults] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    inputRef.current?.select();
+  }, [focusRequest]);
+
+  useEffect(() => {
+    const sub = searchAddon.onDidChangeResults(({ resultIndex, resultCount }) => {
+      setResults({ resultIndex, resultCount });
+    });
+    return () => {
+      sub.dispose();
+      searchAddon.clearDecorations();
+    };
+  }, [searchAddon]);
+
+  const find = (direction, { incremental = false } = {}) => {
+    setError('');
+    if (!query) {
+      searchAddon.clearDecorations();
+      setResults(null);
+      return;
+    }
+    const options = { caseSensitive, regex, incremental, decorations: DECORATIONS };
+    try {
+      if (direction === 'previous') searchAddon.findPrevious(query, options);
+      else searchAddon.findNext(query, options);
+    } catch {
+      // An unfinished regex while typing
+      searchAddon.clearDecorations();
+      setResults(null);
+      setError('Invalid regex');
+    }
+  };
+
+  // Search as you type, and again when an option flips
+  useEffect(() => {
+    find('next', { incremental: true });
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [query, caseSensitive, regex]);
+
+  const onKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      find(e.shiftKey ? 'previous' : 'next');
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      onClose();
+    }
+  };
+
+  let count = '';
+  if (error) count = error;
+  else if (query && results) {
+    count = results.resultCount === 0
+      ? 'No results'
+      : `${results.resultIndex >= 0 ? results.resultIndex + 1 : '?'} of ${results.resultCount}`;
+  }
+
+  return (
+    <div className={`terminal-search ${besidePanel ? 'terminal-search--beside-panel' : ''}`} onKeyDown={onKeyDown}>
+      <input
+        ref={inputRef}
+        type="text"
+        value={query}
+        onChange={(e) => setQuery(e.target.value)}
+        placeholder="Find in scrollback"
+        spellCheck="false"
+        aria-label="Find in scrollback"
+      />
+      <button
+        className={`terminal-search-option ${caseSensitive ? 'terminal-search-option--active' : ''}`}
+        onClick={() => setCaseSensitive((v) => !v)}
+        title="Match case"
+      >
+        Aa
+      </button>
+      <button
+        className={`terminal-search-option ${regex ? 'terminal-search-option--active' : ''}`}
+        onClick={() => setRegex((v) => !v)}
+        title="Use regular expression"
+      >
+        .*
+      </button>
+      <span className={`terminal-search-count ${error ? 'terminal-search-count--error' : ''}`}>{count}</span>
+      <button className="terminal-search-option" onClick={() => find('previous')} title="Previous match (Shift+Enter)">↑</button>
+      <button className="terminal-search-option" onClick={() => find('next')} title="Next match (Enter)">↓</button>
+      <button className="terminal-search-option" onClick={onClose} title="Close (Esc)">✕</button>
+    </div>
+  );
+}
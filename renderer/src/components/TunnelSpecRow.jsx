@@ -0,0 +1,91 @@
+import { useState } from 'react';
+import { TUNNEL_TYPES } from '../utils/tunnels';
+
+/* ── New port forward row ────────────────────────────── */
+
+// Not a <form>: it is also rendered inside the connection form.
+
+const EMPTY = { type: 'local', bindHost: '', bindPort: '', destHost: 'localhost', destPort: '' };
+
+export default function TunnelSpecRow({ onAdd }) {
+  const [spec, setSpec] = useState(EMPTY);
+  const update = (patch) => setSpec((prev) => ({ ...prev, ...patch }));
+
+  const isDynamic = spec.type === 'dynamic';
+  const valid = spec.bindPort !== '' && (isDynamic || (spec.destHost && spec.destPort));
+
+  const add = () => {
+    if (!valid) return;
+    const next = { type: spec.type, bindPort: Number(spec.bindPort) };
+    if (spec.bindHost) next.bindHost = spec.bindHost;
+    if (!isDynamic) {
+      next.destHost = spec.destHost;
+      next.destPort = Number(spec.destPort);
+    }
+    onAdd(next);
+    setSpec({ ...EMPTY, type: spec.type });
+  };
+
+  const onKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      add();
+    }
+  };
+
+  const bindPlaceholder = spec.type === 'remote' ? 'localhost' : '127.0.0.1';
+
+  return (
+    <div className="tunnel-spec-row" onKeyDown={onKeyDown}>
+      <select value={spec.type} onChange={(e) => update({ type: e.target.value })} aria-label="Forward type">
+        {TUNNEL_TYPES.map((t) => (
+          <option key={t.id} value={t.id}>{t.label}</option>
+        ))}
+      </select>
+      <input
+        type="text"
+        placeholder={bindPlaceholder}
+        value={spec.bindHost}
+        onChange={(e) => update({ bindHost: e.target.value })}
+        aria-label="Bind address"
+        className="tunnel-host"
+      />
+      <input
+        type="number"
+        placeholder="port"
+        value={spec.bindPort}
+        onChange={(e) => update({ bindPort: e.target.value })}
+        aria-label="Bind port"
+        className="tunnel-port"
+        min="0"
+        max="65535"
+      />
+      {!isDynamic && (
+        <>
+          <span className="tunnel-arrow">→</span>
+          <input
+            type="text"
+            placeholder="host"
+            value={spec.destHost}
+            onChange={(e) => update({ destHost: e.target.value })}
+            aria-label="Destination host"
+            className="tunnel-host"
+          />
+          <input
+            type="number"
+            placeholder="port"
+            value={spec.destPort}
+            onChange={(e) => update({ destPort: e.target.value })}
+            aria-label="Destination port"
+            className="tunnel-port"
+            min="1"
+            max="65535"
+          />
+        </>
+      )}
+      <button type="button" className="tunnel-add" onClick={add} disabled={!valid}>
+        Add
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,73 @@
+import { useState } from 'react';
+import { socketRequest } from '../utils/socket';
+import { formatBytes } from '../utils/format';
+import { describeTunnel, tunnelSpec } from '../utils/tunnels';
+import TunnelSpecRow from './TunnelSpecRow';
+
+/* ── Port forwarding manager ─────────────────────────── */
+
+// Live tunnels of one SSH tab; state arrives via tunnel:status events.
+
+const STATE_LABELS = { starting: 'starting…', active: 'active', stopped: 'stopped', error: 'error' };
+
+export default function TunnelsPanel({ socket, tunnels, onSave, onClose }) {
+  const [error, setError] = useState('');
+  const [saved, setSaved] = useState(false);
+
+  const run = async (fn) => {
+    setError('');
+    setSaved(false);
+    try {
+      await fn();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const add = (spec) => run(() => socketRequest(socket, 'tunnel:add', spec));
+  const remove = (id) => run(() => socketRequest(socket, 'tunnel:remove', { id }));
+  const restart = (id) => run(() => socketRequest(socket, 'tunnel:restart', { id }));
+
+  const save = () => {
+    onSave(tunnels.map(tunnelSpec));
+    setSaved(true);
+  };
+
+  return (
+    <div className="tunnels-panel">
+      <div className="tunnels-header">
+        <span className="sftp-title">Port forwarding</span>
+        <button className="tunnels-close" onClick={onClose} title="Close">✕</button>
+      </div>
+
+      {tunnels.length === 0 && <div className="tunnels-empty">No tunnels on this connection.</div>}
+      {tunnels.map((t) => (
+        <div key={t.id} className={`tunnel-row tunnel-row--${t.state}`} title={t.error || ''}>
+          <span className={`tunnel-dot tunnel-dot--${t.state}`} />
+          <span className="tunnel-desc">{describeTunnel(t)}</span>
+          <span className="tunnel-stats">
+            {t.state === 'error' ? t.error : (
+              <>
+                {STATE_LABELS[t.state]}
+                {t.connections > 0 && ` · ${t.connections} conn`}
+                {` · ↑${formatBytes(t.bytesOut)} ↓${formatBytes(t.bytesIn)}`}
+              </>
+            )}
+          </span>
+          {t.state === 'error' && (
+            <button className="tunnels-close" onClick={() => restart(t.id)} title="Retry">⟳</button>
+          )}
+          <button className="tunnels-close" onClick={() => remove(t.id)} title="Remove tunnel">✕</button>
+        </div>
+      ))}
+
+      <TunnelSpecRow onAdd={add} />
+      {error && <div className="sftp-error">{error}</div>}
+
+      <div className="tunnels-footer">
+        <span className="form-hint">{saved ? 'Saved with this host.' : 'Saved tunnels start on every connect.'}</span>
+        <button className="tunnel-add" onClick={save}>Save to host</button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,888 @@
+import { useState, useCallback, useRef } from 'react';
+import { evaluatePolicy, describeRule } from '../utils/agentPolicy';
+import { logAgentEvent } from '../utils/api';
+
+/* ── Smart truncation: keep first + last lines ───────── */
+
+export function smartTruncate(text, maxChars = 2000, headLines = 30, tailLines = 30) {
+  if (text.length <= maxChars) return text;
+  const lines = text.split('\n');
+  if (lines.length <= headLines + tailLines) return text;
+  const head = lines.slice(0, headLines);
+  const tail = lines.slice(-tailLines);
+  const omitted = lines.length - headLines - tailLines;
+  return [...head, `\n--- (${omitted} lines omitted) ---\n`, ...tail].join('\n');
+}
+
+/* ── Model turn → next agent action ──────────────────── */
+
+// Agent file tools → agent-files:* requests (server/agent-files.js)
+const FILE_TOOLS = {
+  read_file: 'read',
+  write_file: 'write',
+  edit_file: 'edit',
+  list_dir: 'list',
+};
+
+// File tools the command policy and step-through approve
+const WRITE_TOOLS = ['write_file', 'edit_file'];
+
+// What the command policy checks for a tool call: the command, the keys, or
+// `write_file <path>` / `edit_file <path>`. null when it doesn't apply.
+function policySubject(result) {
+  if (result.type === 'command') return result.command;
+  if (result.type === 'send_keys') return result.keys;
+  if (result.type === 'file' && WRITE_TOOLS.includes(result.tool)) return `${result.tool} ${result.args.path}`;
+  return null;
+}
+
+// What the server needs from a file tool call
+const fileToolArgs = ({ reasoning: _reasoning, terminal: _terminal, ...args }) => args;
+
+function parseAgentParts(parts) {
+  const functionCall = parts.find((p) => p.functionCall);
+  const textPart = parts.find((p) => p.text);
+
+  if (functionCall) {
+    const { name, args = {} } = functionCall.functionCall;
+
+    if (name === 'task_complete') {
+      return { type: 'complete', summary: args.summary, parts };
+    }
+
+    if (name === 'run_command') {
+      return { type: 'command', command: args.command, reasoning: args.reasoning, terminal: args.terminal, parts };
+    }
+
+    if (name === 'send_keys') {
+      return { type: 'send_keys', keys: args.keys, reasoning: args.reasoning, terminal: args.terminal, parts };
+    }
+
+    if (name === 'ask_user') {
+      return { type: 'ask_user', question: args.question, reasoning: args.reasoning, parts };
+    }
+
+    if (name === 'read_terminal') {
+      return { type: 'read_terminal', reasoning: args.reasoning, terminal: args.terminal, parts };
+    }
+
+    if (FILE_TOOLS[name]) {
+      return { type: 'file', tool: name, args, reasoning: args.reasoning, terminal: args.terminal, parts };
+    }
+
+    if (name === 'list_terminals') {
+      return { type: 'list_terminals', reasoning: args.reasoning, parts };
+    }
+  }
+
+  if (textPart) {
+    return { type: 'text', text: textPart.text, parts };
+  }
+
+  return { type: 'text', text: 'No response generated.', parts: [{ text: 'No response generated.' }] };
+}
+
+/* ── Terminal targeting ──────────────────────────────── */
+
+// Picks the tab a tool call addresses from `onListTerminals()`: the given
+// label (or a host only one tab is on), else the default tab.
+function resolveTerminal(terminals, name) {
+  if (!terminals) return { label: name };
+  if (!name) {
+    const fallback = terminals.find((t) => t.default);
+    return fallback ? { label: fallback.label, host: fallback.host } : { error: 'No terminal is open' };
+  }
+  const wanted = name.trim().toLowerCase();
+  let match = terminals.find((t) => t.label.toLowerCase() === wanted);
+  if (!match) {
+    const onHost = terminals.filter((t) => t.host?.toLowerCase() === wanted);
+    if (onHost.length === 1) [match] = onHost;
+  }
+  if (match) return { label: match.label, host: match.host };
+  const labels = terminals.map((t) => t.label).join(', ') || 'none';
+  return { error: `No terminal named "${name}". Open terminals: ${labels}` };
+}
+
+function describeEntries({ entries, truncated }) {
+  const lines = entries.map((e) => (e.type === 'dir' ? `${e.name}/` : `${e.name}  ${e.size}`));
+  if (truncated) lines.push(`… ${truncated} more`);
+  return lines.join('\n') || '(empty directory)';
+}
+
+function describeTerminals(terminals) {
+  if (!terminals.length) return '(No terminals open)';
+  return terminals
+    .map((t) => [t.label, t.active && 'active', t.default && 'default'].filter(Boolean).join(' — '))
+    .join('\n');
+}
+
+/* ── Hook ─────────────────────────────────────────────── */
+
+// Drives the tool-calling agent loop shared by the chat tabs. `callAgent`
+// sends the Gemini-format history to the model and resolves to its parts;
+// `onMessage` receives transcript entries ({ type, text }) for the chat log.
+// `onListTerminals` returns the tabs the terminal tools can address
+// ({ label, host, active, default }); the terminal callbacks get the label.
+// `onAgentFileRequest(op, args, label)` backs the file tools. `agentPolicy`
+// holds the command policy rules (utils/agentPolicy.js). The run, each tool
+// call and the outcome go to the audit log on `serverUrl`, tagged with `model`.
+export default function useAgentLoop({
+  callAgent,
+  onMessage,
+  onRunAgentCommand,
+  onSendAgentKeys,
+  onAbortAgentCapture,
+  onReadTerminal,
+  onListTerminals,
+  onAgentFileRequest,
+  stepThrough = false,
+  agentPolicy,
+  serverUrl,
+  model,
+}) {
+  const [agentHistory, setAgentHistory] = useState([]);
+  const [agentSteps, setAgentSteps] = useState([]);
+  const [agentThinking, setAgentThinking] = useState(false);
+  const [agentRunning, setAgentRunning] = useState(false);
+  const [agentPaused, setAgentPaused] = useState(false);
+  const [agentStopping, setAgentStopping] = useState(false);
+  const [agentQuestion, setAgentQuestion] = useState(null);
+  const [agentQuestionInput, setAgentQuestionInput] = useState('');
+  const [pendingApproval, setPendingApproval] = useState(null);
+  const abortAgentRef = useRef(false);
+  const abortControllerRef = useRef(null);
+  const pausedResolverRef = useRef(null);
+  const lastAgentPromptRef = useRef(null);
+  const questionResolverRef = useRef(null);
+  const approvalResolverRef = useRef(null);
+  const runIdRef = useRef(null);
+  const auditSeqRef = useRef(0);
+
+  // Audit events carry their run's id and their order within it, since
+  // they're sent without waiting for each other. Logging must never get in
+  // the way of the run itself.
+  const audit = useCallback((event) => {
+    if (!runIdRef.current) return;
+    const record = { runId: runIdRef.current, seq: auditSeqRef.current++, ...event };
+    logAgentEvent(serverUrl, event.type === 'run' ? { ...record, model } : record)
+      .catch((err) => console.warn('[proton] Could not write the agent audit log:', err.message));
+  }, [serverUrl, model]);
+
+  // `approval` is how the call was cleared: 'auto' or 'approved'
+  const executeAgentCommand = useCallback(async (command, reasoning, terminal, currentHistory, approval = 'auto') => {
+    const startedAt = Date.now();
+    setAgentSteps((prev) => [...prev, {
+      type: 'command',
+      command,
+      reasoning,
+      terminal,
+      status: 'running',
+    }]);
+
+    let result = '';
+    if (onRunAgentCommand) {
+      result = await onRunAgentCommand(command, terminal);
+    } else {
+      result = '(No terminal connected for agent execution)';
+    }
+
+    // The exec channel answers with separate streams; the terminal with text
+    let output;
+    let response;
+    let waitingForInput = false;
+    let timedOut = false;
+    if (typeof result === 'string') {
+      output = result;
+      waitingForInput = output.includes('timed out') || output.includes('waiting for input');
+      timedOut = waitingForInput;
+      response = { output: smartTruncate(output) };
+    } else if (result.error) {
+      output = `Error: ${result.error}`;
+      response = { error: result.error };
+    } else {
+      const status = result.timedOut
+        ? 'timed out and was stopped'
+        : `exit ${result.exitCode ?? result.signal ?? '?'}`;
+      output = [result.warning && `⚠ ${result.warning}`, result.stdout, result.stderr, `[${status} · ${(result.durationMs / 1000).toFixed(1)}s]`]
+        .filter((part) => part && part.trim())
+        .join('\n');
+      timedOut = result.timedOut;
+      response = {
+        stdout: smartTruncate(result.stdout),
+        stderr: smartTruncate(result.stderr),
+        exitCode: result.exitCode,
+        durationMs: result.durationMs,
+        timedOut: result.timedOut,
+      };
+      if (result.signal) response.signal = result.signal;
+      if (result.warning) response.warning = result.warning;
+    }
+    const displayOutput = smartTruncate(output);
+
+    setAgentSteps((prev) => prev.map((s, i) =>
+      i === prev.length - 1
+        ? { ...s, output: displayOutput, status: timedOut ? 'timeout' : 'done' }
+        : s
+    ));
+
+    audit({
+      type: 'tool',
+      tool: 'run_command',
+      args: { command, reasoning },
+      terminal,
+      approval,
+      output,
+      exitCode: typeof result === 'object' ? result.exitCode ?? null : null,
+      status: timedOut ? 'timeout' : result.error ? 'error' : 'done',
+      startedAt,
+      finishedAt: Date.now(),
+    });
+
+    // A command stuck in the interactive shell blocks the next one; a stopped
+    // exec command doesn't, so the model just sees `timedOut`
+    if (waitingForInput) {
+      onMessage({
+        type: 'system',
+        text: 'Command may be waiting for input. Check the terminal and resolve it, then try again.',
+      });
+      abortAgentRef.current = true;
+    }
+
+    const modelEntry = {
+      role: 'model',
+      parts: [{ functionCall: { name: 'run_command', args: { command, reasoning, ...(terminal && { terminal }) } } }],
+    };
+    const functionResponseEntry = {
+      role: 'user',
+      parts: [{ functionResponse: { name: 'run_command', response } }],
+    };
+
+    return [...currentHistory, modelEntry, functionResponseEntry];
+  }, [onRunAgentCommand, onMessage, audit]);
+
+  const executeAgentSendKeys = useCallback(async (keys, reasoning, terminal, currentHistory, approval = 'auto') => {
+    const startedAt = Date.now();
+    setAgentSteps((prev) => [...prev, {
+      type: 'send_keys',
+      keys,
+      reasoning,
+      terminal,
+      status: 'running',
+    }]);
+
+    let output = '';
+    if (onSendAgentKeys) {
+      output = await onSendAgentKeys(keys, terminal);
+    } else {
+      output = '(No terminal connected for sending keys)';
+    }
+
+    const displayOutput = smartTruncate(output);
+
+    setAgentSteps((prev) => prev.map((s, i) =>
+      i === prev.length - 1
+        ? { ...s, output: displayOutput, status: 'done' }
+        : s
+    ));
+
+    audit({
+      type: 'tool',
+      tool: 'send_keys',
+      args: { keys, reasoning },
+      terminal,
+      approval,
+      output,
+      status: 'done',
+      startedAt,
+      finishedAt: Date.now(),
+    });
+
+    const truncatedOutput = smartTruncate(output);
+    const modelEntry = {
+      role: 'model',
+      parts: [{ functionCall: { name: 'send_keys', args: { keys, reasoning, ...(terminal && { terminal }) } } }],
+    };
+    const functionResponseEntry = {
+      role: 'user',
+      parts: [{ functionResponse: { name: 'send_keys', response: { output: truncatedOutput } } }],
+    };
+
+    return [...currentHistory, modelEntry, functionResponseEntry];
+  }, [onSendAgentKeys, audit]);
+
+  // `preview` is a dry-run result ({ diff }) the approval can show
+  const executeAgentFileTool = useCallback(async ({ tool, args, reasoning, parts }, terminal, currentHistory, preview, approval = 'auto') => {
+    const startedAt = Date.now();
+    const fileArgs = fileToolArgs(args);
+    setAgentSteps((prev) => [...prev, {
+      type: 'file',
+      tool,
+      path: fileArgs.path,
+      reasoning,
+      terminal,
+      diff: preview?.diff,
+      status: 'running',
+    }]);
+
+    const result = onAgentFileRequest
+      ? await onAgentFileRequest(FILE_TOOLS[tool], fileArgs, terminal)
+      : { error: 'No terminal connected for file access' };
+
+    let response;
+    let step;
+    if (result.error) {
+      response = { error: result.error };
+      step = { output: `Error: ${result.error}`, status: 'error' };
+    } else if (tool === 'read_file') {
+      // Exact text, not truncated: edit_file needs to quote it
+      response = { path: result.path, content: result.content };
+      step = { path: result.path, output: smartTruncate(result.content) };
+    } else if (tool === 'list_dir') {
+      response = result;
+      step = { path: result.path, output: describeEntries(result) };
+    } else if (tool === 'write_file') {
+      response = { path: result.path, bytes: result.bytes, created: result.created };
+      step = { path: result.path, diff: result.diff, output: result.created ? `created (${result.bytes} bytes)` : '' };
+    } else {
+      response = result.unchanged ? { path: result.path, unchanged: true } : { path: result.path, diff: result.diff };
+      step = { path: result.path, diff: result.diff, output: result.unchanged ? 'no changes' : '' };
+    }
+
+    setAgentSteps((prev) => prev.map((s, i) =>
+      i === prev.length - 1 ? { ...s, status: 'done', ...step } : s
+    ));
+
+    audit({
+      type: 'tool',
+      tool,
+      args,
+      terminal,
+      approval,
+      output: tool === 'read_file' && !result.error ? result.content : step.output,
+      diff: result.diff,
+      status: step.status ?? 'done',
+      startedAt,
+      finishedAt: Date.now(),
+    });
+
+    const functionResponseEntry = {
+      role: 'user',
+      parts: [{ functionResponse: { name: tool, response } }],
+    };
+    return [...currentHistory, { role: 'model', parts }, functionResponseEntry];
+  }, [onAgentFileRequest, audit]);
+
+  // { type, detail, reasoning, terminal, diff?, policy? }
+  const requestApproval = useCallback((approval) => {
+    return new Promise((resolve) => {
+      setPendingApproval(approval);
+      approvalResolverRef.current = resolve;
+    });
+  }, []);
+
+  const handleApprove = useCallback(() => {
+    setPendingApproval(null);
+    if (approvalResolverRef.current) {
+      approvalResolverRef.current(true);
+      approvalResolverRef.current = null;
+    }
+  }, []);
+
+  const handleSkip = useCallback(() => {
+    setPendingApproval(null);
+    if (approvalResolverRef.current) {
+      approvalResolverRef.current(false);
+      approvalResolverRef.current = null;
+    }
+  }, []);
+
+  const handleQuestionSubmit = useCallback(() => {
+    const answer = agentQuestionInput.trim();
+    if (!answer) return;
+    setAgentQuestion(null);
+    setAgentQuestionInput('');
+    if (questionResolverRef.current) {
+      questionResolverRef.current(answer);
+      questionResolverRef.current = null;
+    }
+  }, [agentQuestionInput]);
+
+  // `baseHistory` overrides the running conversation, e.g. to retry from scratch.
+  const startAgentLoop = useCallback(async (userText, baseHistory = agentHistory) => {
+    abortAgentRef.current = false;
+    setAgentPaused(false);
+    pausedResolverRef.current = null;
+    lastAgentPromptRef.current = userText;
+    setAgentRunning(true);
+    setAgentSteps([]);
+    setPendingApproval(null);
+    setAgentQuestion(null);
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    const userEntry = { role: 'user', parts: [{ text: userText }] };
+    let history = [...baseHistory, userEntry];
+    setAgentHistory(history);
+
+    const maxIterations = 20;
+    runIdRef.current = crypto.randomUUID();
+    auditSeqRef.current = 0;
+    audit({ type: 'run', prompt: userText, host: resolveTerminal(onListTerminals?.()).label });
+    // How the run ended, for the audit log; stays null when out of iterations
+    let outcome = null;
+
+    try {
+      for (let i = 0; i < maxIterations; i++) {
+        if (abortAgentRef.current) {
+          setAgentSteps((prev) => [...prev, { type: 'aborted', status: 'done' }]);
+          break;
+        }
+
+        if (pausedResolverRef.current === 'pending') {
+          setAgentPaused(true);
+          await new Promise((resolve) => {
+            pausedResolverRef.current = resolve;
+          });
+          setAgentPaused(false);
+          if (abortAgentRef.current) {
+            setAgentSteps((prev) => [...prev, { type: 'aborted', status: 'done' }]);
+            break;
+          }
+        }
+
+        setAgentThinking(true);
+        const parts = await callAgent(history, controller.signal);
+        const result = parseAgentParts(parts);
+        setAgentThinking(false);
+
+        if (result.type === 'text') {
+          const modelEntry = { role: 'model', parts: result.parts };
+          history = [...history, modelEntry];
+          setAgentHistory(history);
+          onMessage({ type: 'model', text: result.text });
+          outcome = { outcome: 'answered', text: result.text };
+          break;
+        }
+
+        if (result.type === 'complete') {
+          const modelEntry = { role: 'model', parts: result.parts };
+          history = [...history, modelEntry];
+          setAgentHistory(history);
+          setAgentSteps((prev) => [...prev, { type: 'complete', summary: result.summary, status: 'done' }]);
+
+          const functionResponseEntry = {
+            role: 'user',
+            parts: [{ functionResponse: { name: 'task_complete', response: { acknowledged: true } } }],
+          };
+          history = [...history, functionResponseEntry];
+          setAgentHistory(history);
+          outcome = { outcome: 'complete', summary: result.summary };
+          break;
+        }
+
+        if (result.type === 'ask_user') {
+          const modelEntry = { role: 'model', parts: result.parts };
+          history = [...history, modelEntry];
+          setAgentHistory(history);
+
+          setAgentSteps((prev) => [...prev, {
+            type: 'ask_user',
+            question: result.question,
+            reasoning: result.reasoning,
+            status: 'waiting',
+          }]);
+
+          setAgentQuestion(result.question);
+          const answer = await new Promise((resolve) => {
+            questionResolverRef.current = resolve;
+          });
+
+          if (abortAgentRef.current) {
+            setAgentSteps((prev) => [...prev, { type: 'aborted', status: 'done' }]);
+            break;
+          }
+
+          setAgentSteps((prev) => prev.map((s, idx) =>
+            idx === prev.length - 1 ? { ...s, answer, status: 'done' } : s
+          ));
+          audit({ type: 'tool', tool: 'ask_user', args: { question: result.question, reasoning: result.reasoning }, output: answer, status: 'done' });
+
+          const functionResponseEntry = {
+            role: 'user',
+            parts: [{ functionResponse: { name: 'ask_user', response: { answer } } }],
+          };
+          history = [...history, functionResponseEntry];
+          setAgentHistory(history);
+          continue;
+        }
+
+        if (result.type === 'list_terminals') {
+          const terminals = onListTerminals ? onListTerminals() : [];
+          const modelEntry = { role: 'model', parts: result.parts };
+          setAgentSteps((prev) => [...prev, {
+            type: 'list_terminals',
+            reasoning: result.reasoning,
+            output: describeTerminals(terminals),
+            status: 'done',
+          }]);
+          audit({ type: 'tool', tool: 'list_terminals', args: { reasoning: result.reasoning }, output: describeTerminals(terminals), status: 'done' });
+
+          const functionResponseEntry = {
+            role: 'user',
+            parts: [{ functionResponse: { name: 'list_terminals', response: { terminals } } }],
+          };
+          history = [...history, modelEntry, functionResponseEntry];
+          setAgentHistory(history);
+          continue;
+        }
+
+        // The terminal tools name a tab by label; an unknown one goes back to
+        // the model as an error so it can list the terminals and retry
+        let target = {};
+        if (['read_terminal', 'command', 'send_keys', 'file'].includes(result.type)) {
+          target = resolveTerminal(onListTerminals?.(), result.terminal);
+          if (target.error) {
+            const toolName = { command: 'run_command', file: result.tool }[result.type] ?? result.type;
+            const functionResponseEntry = {
+              role: 'user',
+              parts: [{ functionResponse: { name: toolName, response: { error: target.error } } }],
+            };
+            history = [...history, { role: 'model', parts: result.parts }, functionResponseEntry];
+            setAgentHistory(history);
+            setAgentSteps((prev) => [...prev, { type: 'error', text: target.error, status: 'done' }]);
+            audit({ type: 'tool', tool: toolName, args: result.parts[0]?.functionCall?.args, output: target.error, status: 'error' });
+            continue;
+          }
+        }
+
+        // The command policy blocks a command or file write, or asks for
+        // approval even with step-through off
+        let policy;
+        const subject = policySubject(result);
+        if (agentPolicy && subject) {
+          const { action, rule } = evaluatePolicy(agentPolicy, subject, target);
+          if (rule) policy = { action, note: describeRule(rule) };
+          if (action === 'deny') {
+            const toolName = { command: 'run_command', file: result.tool }[result.type] ?? result.type;
+            const functionResponseEntry = {
+              role: 'user',
+              parts: [{
+                functionResponse: {
+                  name: toolName,
+                  response: { error: `Blocked by the user's command policy (${policy.note}). Do not retry or work around it; ask the user if it is really needed.` },
+                },
+              }],
+            };
+            history = [...history, { role: 'model', parts: result.parts }, functionResponseEntry];
+            setAgentHistory(history);
+            audit({
+              type: 'tool',
+              tool: toolName,
+              args: result.parts[0]?.functionCall?.args,
+              terminal: target.label,
+              approval: 'denied',
+              policy: policy.note,
+              status: 'denied',
+            });
+            setAgentSteps((prev) => [...prev, {
+              type: result.type,
+              command: result.command,
+              keys: result.keys,
+              tool: result.tool,
+              path: result.args?.path,
+              reasoning: result.reasoning,
+              terminal: target.label,
+              policy,
+              status: 'denied',
+            }]);
+            continue;
+          }
+        }
+        if (result.type === 'file') {
+          let preview;
+          let approval = 'auto';
+          if (WRITE_TOOLS.includes(result.tool) && (stepThrough || policy?.action === 'ask')) {
+            // Approve the change itself: a dry run gives its diff
+            const dryRun = { ...fileToolArgs(result.args), dryRun: true };
+            preview = await onAgentFileRequest?.(FILE_TOOLS[result.tool], dryRun, target.label);
+            const approved = preview?.error && policy?.action !== 'ask'
+              ? true // Let the real request report the error
+              : await requestApproval({
+                type: 'file',
+                detail: `${result.tool} ${result.args.path}`,
+                reasoning: result.reasoning,
+                terminal: target.label,
+                diff: preview?.diff,
+                policy: policy?.action === 'ask' ? policy : undefined,
+              });
+            if (abortAgentRef.current) {
+              setAgentSteps((prev) => [...prev, { type: 'aborted', status: 'done' }]);
+              break;
+            }
+            if (!approved) {
+              audit({
+                type: 'tool',
+                tool: result.tool,
+                args: result.args,
+                terminal: target.label,
+                approval: 'declined',
+                policy: policy?.note,
+                diff: preview?.diff,
+                status: 'skipped',
+              });
+              const functionResponseEntry = {
+                role: 'user',
+                parts: [{ functionResponse: { name: result.tool, response: { error: 'User declined this change. Try a different approach or ask the user.' } } }],
+              };
+              history = [...history, { role: 'model', parts: result.parts }, functionResponseEntry];
+              setAgentHistory(history);
+              setAgentSteps((prev) => [...prev, {
+                type: 'file',
+                tool: result.tool,
+                path: result.args.path,
+                reasoning: result.reasoning,
+                terminal: target.label,
+                diff: preview?.diff,
+                policy,
+                status: 'skipped',
+              }]);
+              continue;
+            }
+            if (!preview?.error || policy?.action === 'ask') approval = 'approved';
+          }
+          history = await executeAgentFileTool(result, target.label, history, preview?.error ? undefined : preview, approval);
+          setAgentHistory(history);
+          continue;
+        }
+
+        if (result.type === 'read_terminal') {
+          const modelEntry = { role: 'model', parts: result.parts };
+          history = [...history, modelEntry];
+          setAgentHistory(history);
+
+          let terminalContent = '(No terminal connected)';
+          if (onReadTerminal) {
+            terminalContent = onReadTerminal(target.label);
+          }
+          const truncatedContent = smartTruncate(terminalContent);
+
+          setAgentSteps((prev) => [...prev, {
+            type: 'read_terminal',
+            reasoning: result.reasoning,
+            terminal: target.label,
+            output: smartTruncate(terminalContent),
+            status: 'done',
+          }]);
+          audit({
+            type: 'tool',
+            tool: 'read_terminal',
+            args: { reasoning: result.reasoning },
+            terminal: target.label,
+            output: truncatedContent,
+            status: 'done',
+          });
+
+          const functionResponseEntry = {
+            role: 'user',
+            parts: [{ functionResponse: { name: 'read_terminal', response: { content: truncatedContent } } }],
+          };
+          history = [...history, functionResponseEntry];
+          setAgentHistory(history);
+          continue;
+        }
+
+        const needsApproval = stepThrough || policy?.action === 'ask';
+
+        if (result.type === 'command') {
+          if (needsApproval) {
+            const approved = await requestApproval({
+              type: 'command',
+              detail: result.command,
+              reasoning: result.reasoning,
+              terminal: target.label,
+              policy: policy?.action === 'ask' ? policy : undefined,
+            });
+            if (abortAgentRef.current) {
+              setAgentSteps((prev) => [...prev, { type: 'aborted', status: 'done' }]);
+              break;
+            }
+            if (!approved) {
+              audit({
+                type: 'tool',
+                tool: 'run_command',
+                args: { command: result.command, reasoning: result.reasoning },
+                terminal: target.label,
+                approval: 'declined',
+                policy: policy?.note,
+                status: 'skipped',
+              });
+              const modelEntry = { role: 'model', parts: result.parts };
+              const functionResponseEntry = {
+                role: 'user',
+                parts: [{ functionResponse: { name: 'run_command', response: { output: '(User declined to run this command. Try a different approach or ask the user.)' } } }],
+              };
+              history = [...history, modelEntry, functionResponseEntry];
+              setAgentHistory(history);
+              setAgentSteps((prev) => [...prev, {
+                type: 'command',
+                command: result.command,
+                reasoning: result.reasoning,
+                terminal: target.label,
+                policy,
+                status: 'skipped',
+              }]);
+              continue;
+            }
+          }
+          history = await executeAgentCommand(result.command, result.reasoning, target.label, history, needsApproval ? 'approved' : 'auto');
+          setAgentHistory(history);
+        }
+
+        if (result.type === 'send_keys') {
+          if (needsApproval) {
+            const approved = await requestApproval({
+              type: 'send_keys',
+              detail: result.keys,
+              reasoning: result.reasoning,
+              terminal: target.label,
+              policy: policy?.action === 'ask' ? policy : undefined,
+            });
+            if (abortAgentRef.current) {
+              setAgentSteps((prev) => [...prev, { type: 'aborted', status: 'done' }]);
+              break;
+            }
+            if (!approved) {
+              audit({
+                type: 'tool',
+                tool: 'send_keys',
+                args: { keys: result.keys, reasoning: result.reasoning },
+                terminal: target.label,
+                approval: 'declined',
+                policy: policy?.note,
+                status: 'skipped',
+              });
+              const modelEntry = { role: 'model', parts: result.parts };
+              const functionResponseEntry = {
+                role: 'user',
+                parts: [{ functionResponse: { name: 'send_keys', response: { output: '(User declined to send these keys. Try a different approach or ask the user.)' } } }],
+              };
+              history = [...history, modelEntry, functionResponseEntry];
+              setAgentHistory(history);
+              setAgentSteps((prev) => [...prev, {
+                type: 'send_keys',
+                keys: result.keys,
+                reasoning: result.reasoning,
+                terminal: target.label,
+                policy,
+                status: 'skipped',
+              }]);
+              continue;
+            }
+          }
+          history = await executeAgentSendKeys(result.keys, result.reasoning, target.label, history, needsApproval ? 'approved' : 'auto');
+          setAgentHistory(history);
+        }
+      }
+    } catch (err) {
+      setAgentThinking(false);
+      if (err?.name === 'AbortError') {
+        setAgentSteps((prev) => [...prev, { type: 'aborted', status: 'done' }]);
+      } else {
+        outcome = { outcome: 'error', error: err instanceof Error ? err.message : 'Agent error' };
+        setAgentSteps((prev) => [...prev, {
+          type: 'error',
+          text: err instanceof Error ? err.message : 'Agent error',
+          status: 'done',
+        }]);
+      }
+    } finally {
+      audit({ type: 'end', ...(outcome ?? { outcome: abortAgentRef.current ? 'stopped' : 'max-steps' }) });
+      runIdRef.current = null;
+      setAgentRunning(false);
+      setAgentPaused(false);
+      setAgentStopping(false);
+      setPendingApproval(null);
+      setAgentQuestion(null);
+      pausedResolverRef.current = null;
+      abortControllerRef.current = null;
+      questionResolverRef.current = null;
+      approvalResolverRef.current = null;
+      setAgentThinking(false);
+    }
+  }, [agentHistory, callAgent, onMessage, executeAgentCommand, executeAgentSendKeys, executeAgentFileTool, onReadTerminal, onListTerminals, onAgentFileRequest, stepThrough, agentPolicy, requestApproval, audit]);
+
+  const stopAgent = useCallback(() => {
+    abortAgentRef.current = true;
+    setAgentStopping(true);
+    if (abortControllerRef.current) {
+      abortControllerRef.current.abort();
+      abortControllerRef.current = null;
+    }
+    onAbortAgentCapture?.();
+    if (typeof pausedResolverRef.current === 'function') {
+      pausedResolverRef.current();
+      pausedResolverRef.current = null;
+    }
+    if (typeof questionResolverRef.current === 'function') {
+      questionResolverRef.current('(stopped)');
+      questionResolverRef.current = null;
+    }
+    if (typeof approvalResolverRef.current === 'function') {
+      approvalResolverRef.current(false);
+      approvalResolverRef.current = null;
+    }
+    setAgentPaused(false);
+    setAgentQuestion(null);
+    setPendingApproval(null);
+  }, [onAbortAgentCapture]);
+
+  const pauseAgent = useCallback(() => {
+    if (agentRunning && !agentPaused) {
+      pausedResolverRef.current = 'pending';
+    }
+  }, [agentRunning, agentPaused]);
+
+  const resumeAgent = useCallback(() => {
+    if (typeof pausedResolverRef.current === 'function') {
+      pausedResolverRef.current();
+      pausedResolverRef.current = null;
+    }
+  }, []);
+
+  const retryAgent = useCallback(async () => {
+    const lastPrompt = lastAgentPromptRef.current;
+    if (!lastPrompt || agentRunning) return;
+    setAgentHistory([]);
+    onMessage({ type: 'system', text: `retrying: ${lastPrompt}` });
+    await startAgentLoop(lastPrompt, []);
+  }, [agentRunning, onMessage, startAgentLoop]);
+
+  const resetAgent = useCallback(({ keepLastPrompt = false } = {}) => {
+    setAgentHistory([]);
+    setAgentSteps([]);
+    if (!keepLastPrompt) lastAgentPromptRef.current = null;
+  }, []);
+
+  return {
+    agentSteps,
+    agentThinking,
+    agentRunning,
+    agentPaused,
+    agentStopping,
+    agentQuestion,
+    agentQuestionInput,
+    setAgentQuestionInput,
+    pendingApproval,
+    canRetry: !agentRunning && lastAgentPromptRef.current !== null,
+    startAgentLoop,
+    stopAgent,
+    pauseAgent,
+    resumeAgent,
+    retryAgent,
+    resetAgent,
+    handleApprove,
+    handleSkip,
+    handleQuestionSubmit,
+  };
+}
@@ -0,0 +1,29 @@
+import { useEffect, useRef } from 'react';
+
+/* ── Command registry (Cmd/Ctrl+Shift+P) ─────────────── */
+
+// Components contribute palette commands with useCommands(); the palette
+// collects them when it opens. A command is
+// { id, title, group?, hint?, run }. Components pass a function returning
+// only the commands that make sense right now, e.g. a terminal's only while
+// its tab is active. It runs when the palette opens, not on every render.
+
+const sources = new Set();
+
+export function listCommands() {
+  return [...sources].flatMap((getCommands) => getCommands());
+}
+
+export function useCommands(getCommands) {
+  // Registered once; always calls the latest render's function
+  const getCommandsRef = useRef(getCommands);
+  getCommandsRef.current = getCommands;
+
+  useEffect(() => {
+    const getCommands = () => getCommandsRef.current();
+    sources.add(getCommands);
+    return () => {
+      sources.delete(getCommands);
+    };
+  }, []);
+}
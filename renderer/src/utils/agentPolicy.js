@@ -0,0 +1,119 @@
+/* ── Agent command policy ─────────────────────────────── */
+
+// Checked before the agent runs a command, sends keys or writes a file (as
+// `write_file <path>` / `edit_file <path>`). A rule matches by
+// command prefix or by regex (case-insensitive) and either allows the
+// command, denies it (the model is told it was blocked) or asks the user,
+// even with step-through off.
+//
+// Rules with `hosts` (comma-separated globs on the host or user@host label)
+// only apply there and are checked before the rules for every host, so a
+// production host can get stricter rules. Within each group the first match
+// wins; a command nothing matches is allowed.
+
+const POLICY_KEY = 'juni-cli-proton:agent-policy';
+
+export const POLICY_ACTIONS = ['allow', 'ask', 'deny'];
+export const POLICY_MATCHES = ['prefix', 'regex'];
+
+export const DEFAULT_POLICY_RULES = [
+  { action: 'deny', match: 'regex', pattern: String.raw`\brm\s+(-\S+\s+)*(/|/\*|~/?|\*)(\s|$)`, note: 'Delete /, ~ or everything' },
+  { action: 'ask', match: 'regex', pattern: String.raw`\brm\s+(\S+\s+)*-(-recursive|[a-z]*r)`, note: 'Recursive delete (rm -r, rm -rf)' },
+  { action: 'ask', match: 'regex', pattern: String.raw`\bmkfs(\.\w+)?\b`, note: 'Format a filesystem' },
+  { action: 'ask', match: 'regex', pattern: String.raw`\bdd\s`, note: 'Raw disk copy (dd)' },
+  { action: 'deny', match: 'regex', pattern: String.raw`>\s*/dev/(sd|hd|vd|xvd|nvme|disk)`, note: 'Overwrite a disk device' },
+  { action: 'deny', match: 'regex', pattern: String.raw`:\(\)\s*\{\s*:\s*\|\s*:\s*&\s*\}`, note: 'Fork bomb' },
+  { action: 'ask', match: 'regex', pattern: String.raw`\b(shutdown|reboot|halt|poweroff)\b|\binit\s+[06]\b`, note: 'Shut down or reboot' },
+  { action: 'ask', match: 'regex', pattern: String.raw`\b(drop\s+(table|database|schema)|truncate\s+table)\b`, note: 'Drop or truncate database objects' },
+  { action: 'ask', match: 'regex', pattern: String.raw`\bgit\s+push\b.*(\s-f\b|\s--force)`, note: 'Force-push' },
+];
+
+// Each shell command in a line, without sudo / env / VAR=value in front, so
+// a prefix rule also catches `cd x && sudo rm …`
+function commandSegments(command) {
+  return command
+    .split(/&&|\|\||[;|&\n`]|\$\(/)
+    .map((segment) => segment.trim()
+      .replace(/^(?:(?:sudo(?:\s+-\S+)*|env|nohup|time)\s+|[A-Za-z_][A-Za-z0-9_]*=\S*\s+)+/, ''))
+    .filter(Boolean);
+}
+
+function globToRegex(glob) {
+  const source = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${source}$`, 'i');
+}
+
+// `terminal` is { label, host } from the agent's terminal list
+function ruleAppliesTo(rule, terminal) {
+  if (!rule.hosts?.trim()) return true;
+  const names = [terminal?.host, terminal?.label].filter(Boolean);
+  return rule.hosts.split(',').map((h) => h.trim()).filter(Boolean)
+    .some((glob) => names.some((name) => globToRegex(glob).test(name)));
+}
+
+// A deny or ask rule whose regex doesn't compile matches everything, so a
+// typo fails closed instead of quietly letting commands through
+export function ruleMatches(rule, command) {
+  if (!rule.pattern) return false;
+  if (rule.match === 'regex') {
+    try {
+      return new RegExp(rule.pattern, 'i').test(command);
+    } catch {
+      return rule.action !== 'allow';
+    }
+  }
+  const prefix = rule.pattern.trim();
+  return commandSegments(command).some((segment) => segment === prefix || segment.startsWith(`${prefix} `));
+}
+
+// Checks a regex rule's pattern; returns an error message or ''
+export function patternError(rule) {
+  if (rule.match !== 'regex' || !rule.pattern) return '';
+  try {
+    new RegExp(rule.pattern, 'i');
+    return '';
+  } catch (err) {
+    return err.message;
+  }
+}
+
+// → { action, rule } where rule is the matching rule (undefined when none)
+export function evaluatePolicy(rules, command, terminal) {
+  const scoped = rules.filter((rule) => rule.hosts?.trim() && ruleAppliesTo(rule, terminal));
+  const global = rules.filter((rule) => !rule.hosts?.trim());
+  const rule = [...scoped, ...global].find((r) => ruleMatches(r, command));
+  return { action: rule?.action ?? 'allow', rule };
+}
+
+export const describeRule = (rule) => (patternError(rule)
+  ? `${rule.note || rule.pattern} (invalid pattern, matches every command)`
+  : rule.note || rule.pattern);
+
+/* ── Persistence ──────────────────────────────────────── */
+
+// `id` only keys the rows in the settings editor
+export const newPolicyRule = (rule = {}) => ({
+  id: crypto.randomUUID(),
+  action: 'ask',
+  match: 'prefix',
+  pattern: '',
+  hosts: '',
+  ...rule,
+});
+
+export const defaultPolicyRules = () => DEFAULT_POLICY_RULES.map((rule) => newPolicyRule(rule));
+
+// The saved rules, or the defaults until the user edits them
+export function loadPolicyRules() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(POLICY_KEY));
+    if (Array.isArray(saved)) return saved.map((rule) => newPolicyRule(rule));
+  } catch {
+    // fall through to the defaults
+  }
+  return defaultPolicyRules();
+}
+
+export function savePolicyRules(rules) {
+  localStorage.setItem(POLICY_KEY, JSON.stringify(rules));
+}
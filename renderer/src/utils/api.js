@@ -0,0 +1,159 @@
+import { readEventStream } from './sse';
+
+/* ── Server authentication ───────────────────────────── */
+
+// Per-launch secret of the embedded server (from the main process via
+// preload). Every request and socket handshake must present it.
+let serverToken = '';
+
+export function setServerToken(token) {
+  serverToken = token || '';
+}
+
+export function getServerToken() {
+  return serverToken;
+}
+
+function authHeaders() {
+  return serverToken ? { Authorization: `Bearer ${serverToken}` } : {};
+}
+
+/* ── Provider-agnostic model API ─────────────────────── */
+
+// Every model goes through the same three routes; the main process picks
+// the provider from the model id. `config` carries per-provider settings
+// keyed by provider id, e.g. { genai: { apiKey } }.
+
+async function request(url, { method = 'GET', body, signal } = {}) {
+  const res = await fetch(url, {
+    method,
+    headers: {
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...authHeaders(),
+    },
+    body: body !== undefined ? JSON.stringify(body) : undefined,
+    signal,
+  });
+
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new Error(err?.error || `HTTP ${res.status}`);
+  }
+
+  return res;
+}
+
+const post = (url, body, signal) => request(url, { method: 'POST', body, signal });
+
+// → { models, providers }; `providers` ([{ id, label }]) also lists those
+// with no models of their own, like the local one
+export async function fetchModels(serverUrl) {
+  const res = await request(`${serverUrl}/api/models`);
+  const data = await res.json();
+  return { models: data.models ?? [], providers: data.providers ?? [] };
+}
+
+// Streams a chat reply, forwarding each text delta to onDelta.
+// Returns the full reply once the server signals completion.
+export async function streamChat(serverUrl, { model, messages, config }, { signal, onDelta } = {}) {
+  const res = await post(`${serverUrl}/api/chat/stream`, { model, messages, config }, signal);
+
+  let reply = '';
+  let done = false;
+  await readEventStream(res, (event) => {
+    if (event.error) throw new Error(event.error);
+    if (event.delta) {
+      reply += event.delta;
+      onDelta?.(event.delta, reply);
+    }
+    if (event.done) done = true;
+  });
+  // The server always ends with `done`; without it the reply is truncated
+  if (!done) throw new Error('The response was cut off before it finished');
+
+  return reply || 'No response generated.';
+}
+
+// One agent turn: sends Gemini-format history, resolves to the model's parts.
+export async function callAgent(serverUrl, { model, history, config }, signal) {
+  const res = await post(`${serverUrl}/api/agent`, { model, history, config }, signal);
+  const data = await res.json();
+  return data.parts ?? [{ text: 'No response generated.' }];
+}
+
+/* ── Known hosts ─────────────────────────────────────── */
+
+export async function fetchKnownHosts(serverUrl) {
+  const res = await request(`${serverUrl}/api/known-hosts`);
+  const data = await res.json();
+  return data.hosts ?? [];
+}
+
+// Resolves to the remaining trusted hosts.
+export async function revokeKnownHost(serverUrl, { host, keyType }) {
+  const query = new URLSearchParams({ host, keyType });
+  const res = await request(`${serverUrl}/api/known-hosts?${query}`, { method: 'DELETE' });
+  const data = await res.json();
+  return data.hosts ?? [];
+}
+
+/* ── ~/.ssh/config ───────────────────────────────────── */
+
+// Host aliases with their effective HostName, User, Port, IdentityFile…,
+// plus whether an ssh-agent is available to fall back on.
+export async function fetchSshConfigHosts(serverUrl) {
+  const res = await request(`${serverUrl}/api/ssh-config/hosts`);
+  const data = await res.json();
+  return { hosts: data.hosts ?? [], agentAvailable: data.agentAvailable === true };
+}
+
+/* ── Terminal sessions ───────────────────────────────── */
+
+// Sessions still running in the main process (e.g. after a reload).
+export async function fetchSessions(serverUrl) {
+  const res = await request(`${serverUrl}/api/sessions`);
+  const data = await res.json();
+  return data.sessions ?? [];
+}
+
+export async function closeSession(serverUrl, sessionId) {
+  await request(`${serverUrl}/api/sessions/${encodeURIComponent(sessionId)}`, { method: 'DELETE' });
+}
+
+/* ── Recordings ──────────────────────────────────────── */
+
+// Saved .cast files, newest first: [{ name, size, modified }].
+export async function fetchRecordings(serverUrl) {
+  const res = await request(`${serverUrl}/api/recordings`);
+  const data = await res.json();
+  return data.recordings ?? [];
+}
+
+export async function fetchRecording(serverUrl, name) {
+  const res = await request(`${serverUrl}/api/recordings/${encodeURIComponent(name)}`);
+  return res.text();
+}
+
+/* ── Agent audit log ─────────────────────────────────── */
+
+// Appends one event to the main process's JSONL log (server/audit-log.js).
+export async function logAgentEvent(serverUrl, event) {
+  await post(`${serverUrl}/api/agent-log`, event);
+}
+
+// Past runs, newest first; `from` / `to` are ms timestamps.
+export async function fetchAgentRuns(serverUrl, { host, from, to } = {}) {
+  const query = new URLSearchParams();
+  if (host) query.set('host', host);
+  if (from) query.set('from', String(from));
+  if (to) query.set('to', String(to));
+  const res = await request(`${serverUrl}/api/agent-log/runs?${query}`);
+  const data = await res.json();
+  return data.runs ?? [];
+}
+
+export async function fetchAgentRun(serverUrl, runId) {
+  const res = await request(`${serverUrl}/api/agent-log/runs/${encodeURIComponent(runId)}`);
+  const data = await res.json();
+  return data.events ?? [];
+}
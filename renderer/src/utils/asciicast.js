@@ -0,0 +1,84 @@
+/* ── asciicast v2 (see server/recording.js) ──────────── */
+
+// Escape sequences and control characters, for searching output as text
+const ANSI_PATTERN = /\x1b(?:\[[0-?]*[ -/]*[@-~]|\][^\x07\x1b]*(?:\x07|\x1b\\)|[()][A-Za-z0-9]|[@-_])|[\x00-\x08\x0b-\x1f\x7f]/g;
+
+// Returns { header, events: [{ time, code, data }], duration }.
+export function parseCast(text) {
+  const lines = text.split('\n').filter((line) => line.trim());
+  if (lines.length === 0) throw new Error('Empty recording');
+
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch {
+    throw new Error('Not an asciicast file');
+  }
+  if (header?.version !== 2) {
+    throw new Error(`Unsupported asciicast version: ${header?.version ?? 'unknown'}`);
+  }
+
+  const events = [];
+  for (const line of lines.slice(1)) {
+    try {
+      const [time, code, data] = JSON.parse(line);
+      if (typeof time === 'number' && typeof data === 'string') events.push({ time, code, data });
+    } catch {
+      // A recording cut short (e.g. by a crash) may end in a partial line
+    }
+  }
+  events.sort((a, b) => a.time - b.time);
+
+  return {
+    header,
+    events,
+    duration: events.length ? events[events.length - 1].time : 0,
+  };
+}
+
+// Caps pauses longer than `limit` seconds; returns a new event list.
+export function compressIdle(events, limit) {
+  let shift = 0;
+  let prev = 0;
+  return events.map((event) => {
+    const gap = event.time - prev;
+    if (gap > limit) shift += gap - limit;
+    prev = event.time;
+    return { ...event, time: event.time - shift };
+  });
+}
+
+// Times (seconds) of output events where `query` appears, matched
+// case-insensitively over the plain text, so it may span several events.
+export function searchCast(events, query) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) return [];
+
+  let text = '';
+  const starts = [];
+  for (const event of events) {
+    if (event.code !== 'o') continue;
+    starts.push({ offset: text.length, time: event.time });
+    text += event.data.replace(ANSI_PATTERN, '').toLowerCase();
+  }
+
+  // Event whose text contains `offset` (last one starting at or before it)
+  const timeAt = (offset) => {
+    let lo = 0;
+    let hi = starts.length - 1;
+    while (lo < hi) {
+      const mid = Math.ceil((lo + hi) / 2);
+      if (starts[mid].offset <= offset) lo = mid;
+      else hi = mid - 1;
+    }
+    return starts[lo].time;
+  };
+
+  const times = [];
+  for (let i = text.indexOf(needle); i !== -1; i = text.indexOf(needle, i + needle.length)) {
+    // The match is on screen once its last character has been written
+    const time = timeAt(i + needle.length - 1);
+    if (times[times.length - 1] !== time) times.push(time);
+  }
+  return times;
+}
@@ -0,0 +1,16 @@
+/* ── SSH auth methods (see server/ssh-auth.js) ───────── */
+
+export const AUTH_METHODS = [
+  { id: 'password', label: 'Password' },
+  { id: 'key', label: 'Key file' },
+  { id: 'agent', label: 'SSH agent' },
+  { id: 'default-keys', label: 'Default keys' },
+];
+
+export const AUTH_METHOD_LABELS = { key: 'key', agent: 'agent', 'default-keys': 'default keys' };
+
+// Picks an auth method for a host resolved from ~/.ssh/config.
+export function authFromSshConfig(entry, agentAvailable) {
+  if (entry.identityFile) return { authMethod: 'key', privateKeyPath: entry.identityFile };
+  return { authMethod: agentAvailable ? 'agent' : 'default-keys', privateKeyPath: '' };
+}
@@ -0,0 +1,25 @@
+/* ── Fuzzy matching ──────────────────────────────────── */
+
+// Matches when every query character appears in order. Returns
+// { score, positions } (higher is better) or null. Runs of consecutive
+// characters and matches at word starts score higher.
+export function fuzzyMatch(query, text) {
+  const q = query.toLowerCase().replace(/\s+/g, '');
+  if (!q) return { score: 0, positions: [] };
+  const t = text.toLowerCase();
+
+  const positions = [];
+  let score = 0;
+  let from = 0;
+  for (const ch of q) {
+    const index = t.indexOf(ch, from);
+    if (index === -1) return null;
+    const prev = positions[positions.length - 1];
+    if (prev !== undefined && index === prev + 1) score += 5;
+    if (index === 0 || /[\s:/@._-]/.test(t[index - 1])) score += 3;
+    score -= Math.min(index - from, 10) * 0.1;
+    positions.push(index);
+    from = index + 1;
+  }
+  return { score, positions };
+}
@@ -0,0 +1,24 @@
+import { socketRequest } from './socket';
+
+/* ── SFTP uploads ─────────────────────────────────────── */
+
+// Uploads into `remoteDir` (server/sftp.js). When files of the same name are
+// already there, asks before replacing them; declining uploads the rest.
+// `localPaths` is optional: without it the server shows a file picker.
+export async function uploadFiles(socket, remoteDir, localPaths) {
+  const result = await socketRequest(socket, 'sftp:upload', { remoteDir, localPaths });
+  if (!result.conflicts?.length) return result;
+
+  const names = result.conflicts.map((c) => c.name);
+  const question = names.length === 1
+    ? `"${names[0]}" already exists in ${remoteDir}. Replace it?`
+    : `These files already exist in ${remoteDir}:\n\n${names.join('\n')}\n\nReplace them?`;
+  if (window.confirm(question)) {
+    return socketRequest(socket, 'sftp:upload', { remoteDir, localPaths: result.localPaths, overwrite: true });
+  }
+
+  const conflicting = new Set(result.conflicts.map((c) => c.localPath));
+  const rest = result.localPaths.filter((p) => !conflicting.has(p));
+  if (!rest.length) return { ids: [] };
+  return socketRequest(socket, 'sftp:upload', { remoteDir, localPaths: rest });
+}
@@ -0,0 +1,127 @@
+/* ── Shell integration (OSC 133) ─────────────────────── */
+
+// Follows the prompt/command markers printed by the scripts in
+// shell-integration/: A = prompt starts, B = prompt ends (input begins),
+// C = command runs (output begins), D;<exit> = command finished.
+// Each finished command gets a gutter mark next to its prompt; clicking it
+// copies that command's output.
+
+const MARK_COLORS = { ok: '#3fb950', fail: '#f85149', unknown: '#6e7681' };
+
+function outcome(exitCode) {
+  if (exitCode === null) return 'unknown';
+  return exitCode === 0 ? 'ok' : 'fail';
+}
+
+export function attachShellIntegration(term, { onCopyOutput } = {}) {
+  const commands = [];
+  let current = null;
+  let active = false;
+
+  const lineText = (y) => term.buffer.active.getLine(y)?.translateToString(true) ?? '';
+
+  // Output lines between C and D, without the trailing blank lines
+  const outputOf = (command) => {
+    const lines = [];
+    for (let y = command.output.line; y < command.end.line; y++) lines.push(lineText(y));
+    while (lines.length > 0 && lines[lines.length - 1].trim() === '') lines.pop();
+    return lines.join('\n');
+  };
+
+  // What was typed at the prompt (after B on the same line)
+  const commandLineOf = (command) => {
+    if (!command.input) return '';
+    return lineText(command.input.line).slice(command.inputX).trim();
+  };
+
+  const decorate = (command) => {
+    const state = outcome(command.exitCode);
+    const decoration = term.registerDecoration({
+      marker: command.prompt,
+      overviewRulerOptions: { color: MARK_COLORS[state], position: 'left' },
+    });
+    if (!decoration) return;
+    command.decoration = decoration;
+    decoration.onRender((el) => {
+      if (el.dataset.shellMark) return;
+      el.dataset.shellMark = state;
+      el.classList.add('shell-mark', `shell-mark--${state}`);
+      const status = state === 'unknown' ? 'finished' : `exit ${command.exitCode}`;
+      el.title = `${command.commandLine || 'Command'} — ${status}. Click to copy its output.`;
+      el.addEventListener('mousedown', (e) => e.stopPropagation());
+      el.addEventListener('click', () => onCopyOutput?.(outputOf(command), command));
+    });
+  };
+
+  const finish = (exitCode) => {
+    current.end = term.registerMarker(0);
+    current.exitCode = exitCode;
+    current.commandLine = commandLineOf(current);
+    commands.push(current);
+    decorate(current);
+    const command = current;
+    // Lines trimmed off the top of the scrollback take the command along
+    command.prompt.onDispose(() => {
+      command.decoration?.dispose();
+      const index = commands.indexOf(command);
+      if (index !== -1) commands.splice(index, 1);
+    });
+    current = null;
+  };
+
+  const handler = term.parser.registerOscHandler(133, (data) => {
+    const [kind, arg] = data.split(';');
+    active = true;
+    switch (kind) {
+      case 'A':
+        // A command still marked as running had no D (e.g. old bash)
+        if (current?.output) finish(null);
+        // A prompt redrawn before anything ran replaces the old one
+        if (current) current.prompt.dispose();
+        current = { prompt: term.registerMarker(0) };
+        break;
+      case 'B':
+        if (current) {
+          current.input = term.registerMarker(0);
+          current.inputX = term.buffer.active.cursorX;
+        }
+        break;
+      case 'C':
+        if (current && !current.output) current.output = term.registerMarker(0);
+        break;
+      case 'D':
+        // Without C nothing ran (an empty line)
+        if (current?.output) {
+          const exitCode = Number.parseInt(arg, 10);
+          finish(Number.isNaN(exitCode) ? null : exitCode);
+        }
+        break;
+      default:
+        break;
+    }
+    return true;
+  });
+
+  // Scrolls to the previous (-1) or next (+1) prompt from the viewport top
+  const scrollToPrompt = (direction) => {
+    const top = term.buffer.active.viewportY;
+    const prompts = commands.map((c) => c.prompt.line);
+    if (current && !current.prompt.isDisposed) prompts.push(current.prompt.line);
+    const target = direction < 0
+      ? prompts.filter((line) => line < top).pop()
+      : prompts.find((line) => line > top);
+    if (target !== undefined) term.scrollToLine(target);
+  };
+
+  return {
+    get active() {
+      return active;
+    },
+    lastOutput: () => (commands.length ? outputOf(commands[commands.length - 1]) : null),
+    scrollToPrompt,
+    dispose() {
+      handler.dispose();
+      for (const command of commands) command.decoration?.dispose();
+    },
+  };
+}
@@ -0,0 +1,12 @@
+/* ── Socket.io requests ───────────────────────────────── */
+
+const TIMEOUT = 30000;
+
+// Request/response over the terminal socket. Server handlers (server/sftp.js,
+// server/tunnels.js) ack with a result object or `{ error }`.
+export async function socketRequest(socket, event, payload) {
+  if (!socket) throw new Error('Not connected');
+  const result = await socket.timeout(TIMEOUT).emitWithAck(event, payload);
+  if (result?.error) throw new Error(result.error);
+  return result;
+}
@@ -0,0 +1,38 @@
+/* ── Server-Sent Events reader ────────────────────────── */
+
+// Reads a `text/event-stream` fetch response and calls onEvent with the
+// parsed JSON payload of every `data:` line. Resolves when the body ends.
+export async function readEventStream(res, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+    // Lines may end in \r\n, \n or \r. A trailing \r waits for the next
+    // chunk, which may start with its \n.
+    const tail = buffer.endsWith('\r') ? '\r' : '';
+    buffer = buffer.slice(0, buffer.length - tail.length).replace(/\r\n?/g, '\n') + tail;
+
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) >= 0) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const data = rawEvent
+        .split('\n')
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).trimStart())
+        .join('\n');
+      if (!data) continue;
+      let event;
+      try {
+        event = JSON.parse(data);
+      } catch {
+        continue;
+      }
+      onEvent(event);
+    }
+  }
+}
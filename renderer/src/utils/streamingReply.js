@@ -0,0 +1,27 @@
+/* ── Simple markdown → terminal rendering ── */
+
+export function renderForTerminal(text) {
+  return text
+    .replace(/```(\w*)\n([\s\S]*?)```/g, (_m, _lang, code) => code)
+    .replace(/`([^`]+)`/g, '$1')
+    .replace(/\*\*(.+?)\*\*/g, '$1')
+    .replace(/\*(.+?)\*/g, '$1')
+    .replace(/^### (.+)$/gm, '  $1')
+    .replace(/^## (.+)$/gm, '  $1')
+    .replace(/^# (.+)$/gm, '  $1');
+}
+
+/* ── Streaming reply bookkeeping ─────────────────────── */
+
+// A reply being streamed (utils/sse.js) is one `streaming` model message,
+// replaced as text arrives and settled once the stream ends.
+export function upsertStreamingReply(messages, text) {
+  const entry = { type: 'model', text: renderForTerminal(text), streaming: true };
+  const last = messages[messages.length - 1];
+  return last?.streaming ? [...messages.slice(0, -1), entry] : [...messages, entry];
+}
+
+export function finishStreamingReply(messages, text) {
+  const settled = messages.filter((m) => !m.streaming);
+  return text ? [...settled, { type: 'model', text: renderForTerminal(text) }] : settled;
+}
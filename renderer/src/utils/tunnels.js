@@ -0,0 +1,27 @@
+/* ── Port forwards (see server/tunnels.js) ────────────── */
+
+export const TUNNEL_TYPES = [
+  { id: 'local', label: 'Local (-L)', flag: 'L' },
+  { id: 'remote', label: 'Remote (-R)', flag: 'R' },
+  { id: 'dynamic', label: 'SOCKS (-D)', flag: 'D' },
+];
+
+const FLAGS = Object.fromEntries(TUNNEL_TYPES.map((t) => [t.id, t.flag]));
+
+// Same defaults as the server when no bind address is given
+const DEFAULT_BIND_HOST = { local: '127.0.0.1', remote: 'localhost', dynamic: '127.0.0.1' };
+
+// "L 127.0.0.1:8080 → db:5432", in the spirit of ssh's -L/-R/-D syntax.
+export function describeTunnel({ type, bindHost, bindPort, boundPort, destHost, destPort }) {
+  const bind = `${bindHost || DEFAULT_BIND_HOST[type]}:${boundPort || bindPort}`;
+  return type === 'dynamic'
+    ? `${FLAGS[type]} ${bind} (SOCKS5)`
+    : `${FLAGS[type]} ${bind} → ${destHost}:${destPort}`;
+}
+
+// The persisted part of a tunnel, without live status.
+export function tunnelSpec({ type, bindHost, bindPort, destHost, destPort }) {
+  return type === 'dynamic'
+    ? { type, bindHost, bindPort }
+    : { type, bindHost, bindPort, destHost, destPort };
+}
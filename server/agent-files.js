@@ -0,0 +1,199 @@
+/* ── Agent file tools ─────────────────────────────────── */
+
+// Backs the agent's read_file, write_file, edit_file and list_dir tools, so
+// file contents never go through the shell (no quoting, nothing in the
+// scrollback). SSH tabs use the tab's SFTP session, local tabs use fs.
+// Relative paths start in the shell's working directory. Requests ack with a
+// result object or `{ error }`.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { isUtf8 } = require('buffer');
+const { createTwoFilesPatch } = require('diff');
+const { remoteShellCwd, localShellCwd } = require('./exec');
+
+const READ_LIMIT = 100 * 1024;
+const WRITE_LIMIT = 1024 * 1024;
+const LIST_LIMIT = 500;
+const DIFF_LIMIT = 64 * 1024;
+// Like git: a NUL byte near the start means binary
+const BINARY_SNIFF = 8000;
+
+const isBinary = (buffer) => buffer.subarray(0, BINARY_SNIFF).includes(0) || !isUtf8(buffer);
+
+const kb = (bytes) => `${Math.ceil(bytes / 1024)} KB`;
+
+function promisify(sftp, method, ...args) {
+  return new Promise((resolve, reject) => {
+    sftp[method](...args, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+}
+
+/* ── Backends ─────────────────────────────────────────── */
+
+// Both return { path, home, cwd, stat, read, write, list } with the same shapes.
+
+function localBackend(getLocalPid) {
+  return {
+    path,
+    home: async () => os.homedir(),
+    cwd: async () => (await localShellCwd(getLocalPid())) || os.homedir(),
+    stat: async (p) => {
+      const stats = await fs.promises.stat(p);
+      return { size: stats.size, isDir: stats.isDirectory() };
+    },
+    read: (p) => fs.promises.readFile(p),
+    write: (p, data) => fs.promises.writeFile(p, data),
+    list: async (dir) => {
+      const names = await fs.promises.readdir(dir);
+      return Promise.all(names.map(async (name) => {
+        const stats = await fs.promises.lstat(path.join(dir, name)).catch(() => null);
+        let type = 'file';
+        if (stats?.isDirectory()) type = 'dir';
+        else if (stats?.isSymbolicLink()) type = 'link';
+        return { name, type, size: stats?.size ?? 0 };
+      }));
+    },
+  };
+}
+
+function remoteBackend(getSftp, getClient) {
+  const home = async () => promisify(await getSftp(), 'realpath', '.');
+  return {
+    path: path.posix,
+    home,
+    cwd: async () => (await remoteShellCwd(getClient())) || home(),
+    stat: async (p) => {
+      const attrs = await promisify(await getSftp(), 'stat', p);
+      return { size: attrs.size, isDir: attrs.isDirectory() };
+    },
+    read: async (p) => promisify(await getSftp(), 'readFile', p),
+    write: async (p, data) => promisify(await getSftp(), 'writeFile', p, data),
+    list: async (dir) => {
+      const list = await promisify(await getSftp(), 'readdir', dir);
+      return list.map(({ filename, attrs }) => {
+        let type = 'file';
+        if (attrs.isDirectory()) type = 'dir';
+        else if (attrs.isSymbolicLink()) type = 'link';
+        return { name: filename, type, size: attrs.size };
+      });
+    },
+  };
+}
+
+/* ── Edits & diffs ────────────────────────────────────── */
+
+// Applies { search, replace } edits in order. Each search text has to match
+// exactly once, so an edit can't land in the wrong place.
+function applyEdits(text, edits) {
+  const crlf = text.includes('\r\n');
+  let result = text;
+  edits.forEach(({ search, replace = '' }, i) => {
+    if (typeof search !== 'string' || !search) throw new Error(`Edit ${i + 1}: empty search text`);
+    // Models write \n; files from Windows use \r\n
+    if (crlf && !result.includes(search)) {
+      search = search.replace(/\r?\n/g, '\r\n');
+      replace = replace.replace(/\r?\n/g, '\r\n');
+    }
+    const count = result.split(search).length - 1;
+    if (count === 0) throw new Error(`Edit ${i + 1}: search text not found`);
+    if (count > 1) {
+      throw new Error(`Edit ${i + 1}: search text matches ${count} places; include more surrounding lines`);
+    }
+    const at = result.indexOf(search);
+    result = result.slice(0, at) + replace + result.slice(at + search.length);
+  });
+  return result;
+}
+
+function unifiedDiff(file, before, after) {
+  const patch = createTwoFilesPatch(file, file, before, after, '', '', { context: 3 });
+  // Drop the Index/==== banner; keep ---/+++ and the hunks
+  const diff = patch.slice(patch.indexOf('--- ')).trimEnd();
+  return diff.length > DIFF_LIMIT ? `${diff.slice(0, DIFF_LIMIT)}\n… (diff truncated)` : diff;
+}
+
+/* ── Handlers ─────────────────────────────────────────── */
+
+function registerAgentFileHandlers(socket, { isLocal, getSftp, getClient, getLocalPid }) {
+  const backend = isLocal ? localBackend(getLocalPid) : remoteBackend(getSftp, getClient);
+
+  const handle = (event, fn) => {
+    socket.on(event, async (payload = {}, ack = () => {}) => {
+      try {
+        ack(await fn(payload));
+      } catch (err) {
+        ack({ error: err.message });
+      }
+    });
+  };
+
+  // `cwd` is the shell's directory when the renderer knows it (OSC 7)
+  const resolve = async (p, cwd) => {
+    if (typeof p !== 'string' || !p.trim()) throw new Error('Missing path');
+    if (p === '~' || p.startsWith('~/')) return backend.path.join(await backend.home(), p.slice(1));
+    if (backend.path.isAbsolute(p)) return backend.path.normalize(p);
+    return backend.path.resolve(cwd || await backend.cwd(), p);
+  };
+
+  // Reads a text file, refusing directories, binaries and files over `limit`
+  const readText = async (file, limit) => {
+    const { size, isDir } = await backend.stat(file);
+    if (isDir) throw new Error(`${file} is a directory; use list_dir`);
+    if (size > limit) {
+      throw new Error(`${file} is ${kb(size)}, over the ${kb(limit)} limit; use run_command with head, tail or grep`);
+    }
+    const buffer = await backend.read(file);
+    if (isBinary(buffer)) throw new Error(`${file} is a binary file`);
+    return buffer.toString('utf-8');
+  };
+
+  handle('agent-files:read', async ({ path: p, cwd }) => {
+    const file = await resolve(p, cwd);
+    const content = await readText(file, READ_LIMIT);
+    return { path: file, size: Buffer.byteLength(content), content };
+  });
+
+  // `dryRun` returns the diff without writing (for step-through approval)
+  handle('agent-files:write', async ({ path: p, content, cwd, dryRun = false }) => {
+    if (typeof content !== 'string') throw new Error('Missing content');
+    const bytes = Buffer.byteLength(content);
+    if (bytes > WRITE_LIMIT) throw new Error(`Content is ${kb(bytes)}, over the ${kb(WRITE_LIMIT)} limit`);
+    const file = await resolve(p, cwd);
+    const existing = await backend.stat(file).catch(() => null);
+    if (existing?.isDir) throw new Error(`${file} is a directory`);
+    const before = existing ? await readText(file, WRITE_LIMIT) : '';
+    const diff = unifiedDiff(file, before, content);
+    if (!dryRun) await backend.write(file, content);
+    return { path: file, bytes, created: !existing, diff };
+  });
+
+  handle('agent-files:edit', async ({ path: p, edits, cwd, dryRun = false }) => {
+    if (!Array.isArray(edits) || edits.length === 0) throw new Error('Missing edits');
+    const file = await resolve(p, cwd);
+    const before = await readText(file, WRITE_LIMIT);
+    const after = applyEdits(before, edits);
+    if (after === before) return { path: file, diff: '', unchanged: true };
+    const diff = unifiedDiff(file, before, after);
+    if (!dryRun) await backend.write(file, after);
+    return { path: file, diff };
+  });
+
+  handle('agent-files:list', async ({ path: p = '.', cwd }) => {
+    const dir = await resolve(p, cwd);
+    const entries = await backend.list(dir);
+    entries.sort((a, b) => {
+      const aDir = a.type === 'dir';
+      const bDir = b.type === 'dir';
+      return aDir === bDir ? a.name.localeCompare(b.name) : aDir ? -1 : 1;
+    });
+    return {
+      path: dir,
+      entries: entries.slice(0, LIST_LIMIT),
+      ...(entries.length > LIST_LIMIT && { truncated: entries.length - LIST_LIMIT }),
+    };
+  });
+}
+
+module.exports = { registerAgentFileHandlers };
@@ -0,0 +1,263 @@
+/* ── Agent Tool Declarations ──────────────────────────── */
+
+// Declared once in Vertex/Gemini schema form (upper-case types). Providers
+// translate these to their own tool formats.
+
+const AGENT_TOOLS = [
+  {
+    functionDeclarations: [
+      {
+        name: 'run_command',
+        description:
+          'Execute a shell command on the user\'s remote SSH terminal. ' +
+          'Use this to run any Linux/macOS command. The output of the command will be returned to you, ' +
+          'either as the terminal text (`output`) or as separate `stdout`, `stderr`, `exitCode` and `durationMs` fields. ' +
+          'Run one command at a time. For multi-step tasks, run commands sequentially and inspect output between each.',
+        parameters: {
+          type: 'OBJECT',
+          properties: {
+            command: {
+              type: 'STRING',
+              description: 'The shell command to execute',
+            },
+            reasoning: {
+              type: 'STRING',
+              description: 'Brief explanation of why you are running this command',
+            },
+            terminal: {
+              type: 'STRING',
+              description: 'Label of the terminal tab to use, as returned by list_terminals. Defaults to the active terminal.',
+            },
+          },
+          required: ['command', 'reasoning'],
+        },
+      },
+      {
+        name: 'send_keys',
+        description:
+          'Send raw keystrokes or text directly to the terminal. ' +
+          'Use this to interact with interactive programs, respond to prompts (y/n, passwords, etc.), ' +
+          'send control sequences (Ctrl+C to cancel, Ctrl+D for EOF), or type text into running programs. ' +
+          'Unlike run_command, this does NOT wait for a command to complete — it just sends the keystrokes and captures a brief snapshot of what appears. ' +
+          'Special key names you can use in the keys field: Enter, Ctrl+C, Ctrl+D, Ctrl+Z, Ctrl+L, Tab, Escape, Up, Down, Left, Right, Backspace, Delete.',
+        parameters: {
+          type: 'OBJECT',
+          properties: {
+            keys: {
+              type: 'STRING',
+              description:
+                'The text or keystrokes to send. For regular text, just type it. ' +
+                'For special keys, use names like "Enter", "Ctrl+C", "Tab". ' +
+                'You can combine text and special keys by separating with a space, e.g. "y Enter" to type y then press Enter. ' +
+                'To send just Enter (newline), use "Enter". To send Ctrl+C, use "Ctrl+C".',
+            },
+            reasoning: {
+              type: 'STRING',
+              description: 'Brief explanation of why you are sending these keystrokes',
+            },
+            terminal: {
+              type: 'STRING',
+              description: 'Label of the terminal tab to use, as returned by list_terminals. Defaults to the active terminal.',
+            },
+          },
+          required: ['keys', 'reasoning'],
+        },
+      },
+      {
+        name: 'read_file',
+        description:
+          'Read a text file on the terminal\'s host (over SFTP, or directly for local terminals) and return its exact content. ' +
+          'Files over 100 KB and binary files are refused; use run_command with head, tail or grep for those.',
+        parameters: {
+          type: 'OBJECT',
+          properties: {
+            path: {
+              type: 'STRING',
+              description: 'File path, absolute or relative to the shell\'s working directory (~ is the home directory)',
+            },
+            reasoning: {
+              type: 'STRING',
+              description: 'Brief explanation of why you are reading this file',
+            },
+            terminal: {
+              type: 'STRING',
+              description: 'Label of the terminal tab to use, as returned by list_terminals. Defaults to the active terminal.',
+            },
+          },
+          required: ['path', 'reasoning'],
+        },
+      },
+      {
+        name: 'write_file',
+        description:
+          'Create or overwrite a text file on the terminal\'s host with the given content (up to 1 MB). ' +
+          'Prefer edit_file for changes to an existing file. The parent directory must exist.',
+        parameters: {
+          type: 'OBJECT',
+          properties: {
+            path: {
+              type: 'STRING',
+              description: 'File path, absolute or relative to the shell\'s working directory',
+            },
+            content: {
+              type: 'STRING',
+              description: 'The complete new file content',
+            },
+            reasoning: {
+              type: 'STRING',
+              description: 'Brief explanation of why you are writing this file',
+            },
+            terminal: {
+              type: 'STRING',
+              description: 'Label of the terminal tab to use, as returned by list_terminals. Defaults to the active terminal.',
+            },
+          },
+          required: ['path', 'content', 'reasoning'],
+        },
+      },
+      {
+        name: 'edit_file',
+        description:
+          'Change part of a text file with search/replace edits, applied in order. ' +
+          'Each search text must match the file exactly once, including whitespace and indentation; ' +
+          'include enough surrounding lines to make it unique. Returns a unified diff of the change.',
+        parameters: {
+          type: 'OBJECT',
+          properties: {
+            path: {
+              type: 'STRING',
+              description: 'File path, absolute or relative to the shell\'s working directory',
+            },
+            edits: {
+              type: 'ARRAY',
+              description: 'The edits to apply, in order',
+              items: {
+                type: 'OBJECT',
+                properties: {
+                  search: {
+                    type: 'STRING',
+                    description: 'Exact text to find; it must occur exactly once',
+                  },
+                  replace: {
+                    type: 'STRING',
+                    description: 'Text to put in its place (empty to delete it)',
+                  },
+                },
+                required: ['search', 'replace'],
+              },
+            },
+            reasoning: {
+              type: 'STRING',
+              description: 'Brief explanation of the change',
+            },
+            terminal: {
+              type: 'STRING',
+              description: 'Label of the terminal tab to use, as returned by list_terminals. Defaults to the active terminal.',
+            },
+          },
+          required: ['path', 'edits', 'reasoning'],
+        },
+      },
+      {
+        name: 'list_dir',
+        description:
+          'List a directory on the terminal\'s host: names, types (file, dir, link) and sizes, directories first. ' +
+          'Returns at most 500 entries.',
+        parameters: {
+          type: 'OBJECT',
+          properties: {
+            path: {
+              type: 'STRING',
+              description: 'Directory path, absolute or relative to the shell\'s working directory. Defaults to the working directory.',
+            },
+            reasoning: {
+              type: 'STRING',
+              description: 'Brief explanation of why you are listing this directory',
+            },
+            terminal: {
+              type: 'STRING',
+              description: 'Label of the terminal tab to use, as returned by list_terminals. Defaults to the active terminal.',
+            },
+          },
+          required: ['reasoning'],
+        },
+      },
+      {
+        name: 'list_terminals',
+        description:
+          'List the terminal tabs you can work in: their labels (user@host, or "local"), ' +
+          'which one is active and which one is used when no terminal is given. ' +
+          'Use this before working across several hosts, then pass a label as `terminal` to the other tools.',
+        parameters: {
+          type: 'OBJECT',
+          properties: {
+            reasoning: {
+              type: 'STRING',
+              description: 'Brief explanation of why you need the list',
+            },
+          },
+          required: ['reasoning'],
+        },
+      },
+      {
+        name: 'task_complete',
+        description:
+          'Signal that the task is finished. Call this when you have completed the user\'s request or determined it cannot be completed.',
+        parameters: {
+          type: 'OBJECT',
+          properties: {
+            summary: {
+              type: 'STRING',
+              description: 'A concise summary of what was accomplished',
+            },
+          },
+          required: ['summary'],
+        },
+      },
+      {
+        name: 'ask_user',
+        description:
+          'Ask the user a clarifying question and wait for their response. ' +
+          'Use this when you need more information before proceeding, when there are multiple valid approaches and you want the user to choose, ' +
+          'or before performing a potentially destructive action that requires explicit confirmation.',
+        parameters: {
+          type: 'OBJECT',
+          properties: {
+            question: {
+              type: 'STRING',
+              description: 'The question to ask the user',
+            },
+            reasoning: {
+              type: 'STRING',
+              description: 'Brief explanation of why you need to ask this question',
+            },
+          },
+          required: ['question', 'reasoning'],
+        },
+      },
+      {
+        name: 'read_terminal',
+        description:
+          'Read the current content visible in the terminal buffer without running any command. ' +
+          'Use this to inspect the terminal state after sending keys, check on a long-running process, ' +
+          'or see what is currently displayed. Returns the full terminal buffer text.',
+        parameters: {
+          type: 'OBJECT',
+          properties: {
+            reasoning: {
+              type: 'STRING',
+              description: 'Brief explanation of why you need to read the terminal',
+            },
+            terminal: {
+              type: 'STRING',
+              description: 'Label of the terminal tab to use, as returned by list_terminals. Defaults to the active terminal.',
+            },
+          },
+          required: ['reasoning'],
+        },
+      },
+    ],
+  },
+];
+
+module.exports = { AGENT_TOOLS };
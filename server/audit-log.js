@@ -0,0 +1,189 @@
+/* ── Agent audit log ──────────────────────────────────── */
+
+// Append-only JSONL record of agent runs, one event per line, written as the
+// run happens so a crash loses nothing:
+//   { type: 'run', runId, seq, prompt, model, host, ts }        a run starts
+//   { type: 'tool', runId, seq, tool, args, terminal, approval,  a tool call
+//     output, exitCode, status, startedAt, finishedAt, ts }
+//   { type: 'end', runId, seq, outcome, summary?, error?, ts }  the run ends
+// `seq` numbers a run's events in the order the renderer produced them; they
+// may arrive out of order, so transcripts are sorted by it.
+//
+// Past ROTATE_SIZE the file is renamed to agent-audit-<ms>.jsonl and a new
+// one started. Archives are kept unless `keepArchives` is set, in which case
+// only that many of the newest survive. An index of runs, built once by
+// streaming the files and then kept up to date on append, answers listings
+// without touching the disk and knows which files hold a run.
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const EVENT_TYPES = ['run', 'tool', 'end'];
+// Per string field, so one huge output can't bloat the log
+const FIELD_LIMIT = 64 * 1024;
+const LIST_LIMIT = 200;
+// Prompts are kept this long in the index; transcripts have them in full
+const INDEX_PROMPT_LIMIT = 300;
+const ROTATE_SIZE = 10 * 1024 * 1024;
+
+function capStrings(value) {
+  if (typeof value === 'string') {
+    return value.length > FIELD_LIMIT ? `${value.slice(0, FIELD_LIMIT)}\n… (truncated)` : value;
+  }
+  if (Array.isArray(value)) return value.map(capStrings);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, capStrings(v)]));
+  }
+  return value;
+}
+
+// Streams the events of one file; a missing file has none
+async function* readEvents(file) {
+  const handle = await fs.promises.open(file, 'r').catch(() => null);
+  if (!handle) return;
+  const lines = readline.createInterface({ input: handle.createReadStream({ encoding: 'utf-8' }), crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      yield JSON.parse(line);
+    } catch {
+      // A line cut short by a crash
+    }
+  }
+}
+
+function createAuditLog({ file, keepArchives }) {
+  const dir = path.dirname(file);
+  const current = path.basename(file);
+  const base = path.basename(file, '.jsonl');
+  const archivePattern = new RegExp(`^${base}-(\\d+)\\.jsonl$`);
+  const runs = new Map();
+  let size = 0;
+
+  // Appends, rotation and the initial scan run one at a time
+  let queue = Promise.resolve();
+  const enqueue = (task) => {
+    const next = queue.then(task);
+    queue = next.catch(() => {});
+    return next;
+  };
+
+  // Oldest first; the millisecond names sort in time order
+  const listArchives = async () => {
+    const names = await fs.promises.readdir(dir).catch(() => []);
+    return names.filter((name) => archivePattern.test(name)).sort();
+  };
+
+  const index = (event, fileName) => {
+    let run = runs.get(event.runId);
+    if (!run) {
+      run = { runId: event.runId, startedAt: event.ts, hosts: new Set(), toolCalls: 0, files: new Set() };
+      runs.set(event.runId, run);
+    }
+    run.files.add(fileName);
+    if (event.type === 'run') {
+      const prompt = event.prompt?.slice(0, INDEX_PROMPT_LIMIT);
+      Object.assign(run, { startedAt: event.ts, prompt, model: event.model });
+      if (event.host) run.hosts.add(event.host);
+    } else if (event.type === 'tool') {
+      run.toolCalls += 1;
+      if (event.terminal) run.hosts.add(event.terminal);
+    } else if (event.type === 'end') {
+      Object.assign(run, { endedAt: event.ts, outcome: event.outcome });
+    }
+  };
+
+  const scan = async () => {
+    for (const name of [...await listArchives(), current]) {
+      for await (const event of readEvents(path.join(dir, name))) {
+        if (typeof event.runId === 'string') index(event, name);
+      }
+    }
+  };
+
+  // Never rejects: a failed scan leaves an empty index rather than blocking
+  // every append after it
+  const ready = enqueue(async () => {
+    try {
+      await scan();
+    } catch (err) {
+      console.error(`[audit-log] index failed, starting empty: ${err.message}`);
+      runs.clear();
+    }
+    size = (await fs.promises.stat(file).catch(() => null))?.size ?? 0;
+  });
+
+  const rotate = async () => {
+    const archive = `${base}-${Date.now()}.jsonl`;
+    await fs.promises.rename(file, path.join(dir, archive));
+    size = 0;
+    for (const run of runs.values()) {
+      if (run.files.delete(current)) run.files.add(archive);
+    }
+
+    if (!keepArchives) return;
+    const archives = await listArchives();
+    for (const old of archives.slice(0, -keepArchives)) {
+      await fs.promises.unlink(path.join(dir, old)).catch(() => {});
+      for (const [runId, run] of runs) {
+        run.files.delete(old);
+        if (!run.files.size) runs.delete(runId);
+      }
+    }
+  };
+
+  // Rejects on an event that isn't one of ours
+  const append = async (event) => {
+    if (!event || typeof event.runId !== 'string' || !event.runId || event.runId.length > 64) {
+      throw new Error('Missing runId');
+    }
+    if (!EVENT_TYPES.includes(event.type)) throw new Error(`Unknown event type: ${event.type}`);
+    const record = { ...capStrings(event), ts: Date.now() };
+    const line = `${JSON.stringify(record)}\n`;
+    const bytes = Buffer.byteLength(line);
+
+    await ready;
+    return enqueue(async () => {
+      if (size > 0 && size + bytes > ROTATE_SIZE) await rotate();
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.appendFile(file, line, { mode: 0o600 });
+      size += bytes;
+      index(record, current);
+    });
+  };
+
+  // Newest first. `host` matches part of any host the run touched; `from`
+  // and `to` (ms) bound its start time.
+  const listRuns = async ({ host, from, to } = {}) => {
+    await ready;
+    const needle = host?.trim().toLowerCase();
+    return [...runs.values()]
+      .filter((run) => !needle || [...run.hosts].some((h) => h.toLowerCase().includes(needle)))
+      .filter((run) => (!from || run.startedAt >= from) && (!to || run.startedAt <= to))
+      .sort((a, b) => b.startedAt - a.startedAt)
+      .slice(0, LIST_LIMIT)
+      .map(({ files, ...run }) => ({ ...run, hosts: [...run.hosts] }));
+  };
+
+  // Every event of one run in order, or null
+  const getRun = async (runId) => {
+    await ready;
+    const run = runs.get(runId);
+    if (!run) return null;
+    const names = [...run.files].sort((a, b) => (a === current) - (b === current) || a.localeCompare(b));
+    const events = [];
+    for (const name of names) {
+      for await (const event of readEvents(path.join(dir, name))) {
+        if (event.runId === runId) events.push(event);
+      }
+    }
+    // Stable, so events from before `seq` existed keep their file order
+    events.sort((a, b) => (a.seq ?? 0) - (b.seq ?? 0));
+    return events.length ? events : null;
+  };
+
+  return { append, listRuns, getRun };
+}
+
+module.exports = { createAuditLog };
@@ -0,0 +1,55 @@
+/* ── Embedded Server Authentication ───────────────────── */
+
+// The server listens on 127.0.0.1, which any web page in the user's browser
+// can reach too. Every HTTP request and Socket.io handshake must therefore
+// carry a secret generated at launch (handed to the renderer over IPC) and
+// come from one of the app's own origins.
+
+const crypto = require('crypto');
+
+function createServerAuth({ allowedOrigins }) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expected = Buffer.from(token);
+
+  // Browsers always send Origin on cross-origin fetches and WebSocket
+  // upgrades; a missing Origin means a non-browser client, which still
+  // needs the token.
+  const isAllowedOrigin = (origin) => !origin || allowedOrigins.includes(origin);
+
+  const isValidToken = (candidate) => {
+    if (typeof candidate !== 'string') return false;
+    const given = Buffer.from(candidate);
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  };
+
+  const bearerToken = (header = '') => {
+    const match = /^Bearer (.+)$/.exec(header);
+    return match ? match[1] : null;
+  };
+
+  // Express middleware; mount after cors() so preflights are answered first.
+  const httpMiddleware = (req, res, next) => {
+    if (!isAllowedOrigin(req.headers.origin)) {
+      return res.status(403).json({ error: 'Origin not allowed' });
+    }
+    if (!isValidToken(bearerToken(req.headers.authorization))) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    next();
+  };
+
+  // Socket.io `allowRequest` hook: rejects foreign origins before the upgrade.
+  const allowRequest = (req, callback) => {
+    callback(null, isAllowedOrigin(req.headers.origin));
+  };
+
+  // Socket.io middleware: the renderer passes the token as `auth.token`.
+  const socketMiddleware = (socket, next) => {
+    if (isValidToken(socket.handshake.auth?.token)) return next();
+    next(new Error('Unauthorized'));
+  };
+
+  return { token, isAllowedOrigin, httpMiddleware, allowRequest, socketMiddleware };
+}
+
+module.exports = { createServerAuth };
@@ -0,0 +1,226 @@
+/* ── Side-channel command execution ───────────────────── */
+
+// Runs agent commands next to the interactive shell instead of typing them
+// into it: an ssh2 `exec` channel on SSH tabs, a child process on local
+// tabs. Results come back as separate stdout, stderr, exit code and
+// duration. Commands start in the interactive shell's working directory.
+
+const { spawn, execFile } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+
+const EXEC_TIMEOUT = 60000;
+const EXEC_MAX_TIMEOUT = 10 * 60000;
+// Per stream; the middle of longer output is dropped
+const OUTPUT_LIMIT = 512 * 1024;
+const CWD_PROBE_TIMEOUT = 5000;
+
+// Finds the interactive shell's working directory from a side exec channel.
+// OpenSSH runs every channel of a connection under the same sshd process, so
+// the shell is a sibling of the probe with a tty. POSIX `ps -A -o` works on
+// Linux, macOS and the BSDs; the cwd comes from /proc, else from lsof. When
+// both are missing callers fall back to the home directory.
+const CWD_PROBE = 'for p in $(ps -A -o pid= -o ppid= -o tty= | '
+  + 'awk -v pp=$PPID \'$2 == pp && $3 != "?" && $3 != "??" { print $1 }\'); do '
+  + 'readlink /proc/$p/cwd 2>/dev/null && exit 0; '
+  + 'lsof -a -d cwd -p $p -Fn 2>/dev/null | sed -n \'s/^n//p\' | grep . && exit 0; '
+  + 'done; exit 1';
+
+// Quotes a path for a POSIX shell
+const shellQuote = (p) => `'${p.replace(/'/g, `'\\''`)}'`;
+
+function execOutput(client, command) {
+  return new Promise((resolve, reject) => {
+    client.exec(command, (err, stream) => {
+      if (err) return reject(err);
+      let stdout = '';
+      const timer = setTimeout(() => {
+        stream.close();
+        reject(new Error('Timed out'));
+      }, CWD_PROBE_TIMEOUT);
+      stream.on('data', (chunk) => { stdout += chunk; });
+      stream.stderr.resume();
+      stream.on('close', (code) => {
+        clearTimeout(timer);
+        if (code === 0) resolve(stdout.trim());
+        else reject(new Error(`exited with code ${code}`));
+      });
+    });
+  });
+}
+
+function remoteShellCwd(client) {
+  return execOutput(client, CWD_PROBE).catch(() => '');
+}
+
+// Working directory of a local shell process, or '' if it can't be read.
+function localShellCwd(pid) {
+  if (!pid) return Promise.resolve('');
+  if (process.platform === 'linux') {
+    return fs.promises.readlink(`/proc/${pid}/cwd`).catch(() => '');
+  }
+  return new Promise((resolve) => {
+    execFile('lsof', ['-a', '-d', 'cwd', '-p', String(pid), '-Fn'], { timeout: CWD_PROBE_TIMEOUT }, (err, stdout) => {
+      const line = err ? null : stdout.split('\n').find((l) => l.startsWith('n'));
+      resolve(line ? line.slice(1) : '');
+    });
+  });
+}
+
+// Collects a stream's text, keeping the head and tail past OUTPUT_LIMIT.
+function createCollector() {
+  let head = '';
+  let tail = '';
+  let dropped = 0;
+  return {
+    push(text) {
+      if (head.length < OUTPUT_LIMIT / 2) {
+        const room = OUTPUT_LIMIT / 2 - head.length;
+        head += text.slice(0, room);
+        text = text.slice(room);
+      }
+      if (!text) return;
+      tail += text;
+      if (tail.length > OUTPUT_LIMIT / 2) {
+        dropped += tail.length - OUTPUT_LIMIT / 2;
+        tail = tail.slice(-OUTPUT_LIMIT / 2);
+      }
+    },
+    text() {
+      return dropped ? `${head}\n… (${dropped} characters omitted) …\n${tail}` : head + tail;
+    },
+  };
+}
+
+// Output stays out of the interactive terminal; `onFinish(command, result)`
+// lets it note the command instead. `exec:cancel` kills whatever is running.
+// Returns { close } to stop running commands.
+function registerExecHandlers(socket, { getClient, getLocalPid, isLocal, onFinish }) {
+  const running = new Set();
+
+  const runRemote = (client, command, cwd, hooks) => new Promise((resolve, reject) => {
+    const line = cwd ? `cd -- ${shellQuote(cwd)} 2>/dev/null; ${command}` : command;
+    client.exec(line, (err, stream) => {
+      if (err) return reject(err);
+      hooks.kill = () => {
+        stream.signal('KILL');
+        stream.close();
+      };
+      hooks.started();
+      stream.on('data', (chunk) => hooks.data(chunk.toString('utf-8'), 'stdout'));
+      stream.stderr.on('data', (chunk) => hooks.data(chunk.toString('utf-8'), 'stderr'));
+      let exitCode = null;
+      let signal = null;
+      stream.on('exit', (code, sig) => {
+        exitCode = code ?? null;
+        signal = sig ?? null;
+      });
+      stream.on('close', () => resolve({ exitCode, signal }));
+    });
+  });
+
+  const runLocal = (command, cwd, hooks) => new Promise((resolve, reject) => {
+    const child = spawn(process.env.SHELL || '/bin/sh', ['-c', command], {
+      cwd: cwd || os.homedir(),
+      env: process.env,
+      stdio: ['ignore', 'pipe', 'pipe'],
+      // Own process group, so a kill also stops what the shell started
+      detached: process.platform !== 'win32',
+    });
+    hooks.kill = () => {
+      try {
+        process.kill(-child.pid, 'SIGKILL');
+      } catch {
+        child.kill('SIGKILL');
+      }
+    };
+    hooks.started();
+    child.stdout.on('data', (chunk) => hooks.data(chunk.toString('utf-8'), 'stdout'));
+    child.stderr.on('data', (chunk) => hooks.data(chunk.toString('utf-8'), 'stderr'));
+    child.on('error', reject);
+    child.on('close', (exitCode, signal) => resolve({ exitCode, signal }));
+  });
+
+  socket.on('exec:run', async ({ command, cwd, timeout = EXEC_TIMEOUT } = {}, ack = () => {}) => {
+    if (typeof command !== 'string' || !command.trim()) {
+      ack({ error: 'Missing command' });
+      return;
+    }
+    const client = isLocal ? null : getClient();
+    if (!isLocal && !client) {
+      ack({ error: 'Not connected' });
+      return;
+    }
+
+    const stdout = createCollector();
+    const stderr = createCollector();
+    let timedOut = false;
+    let timer = null;
+    const hooks = {
+      kill: null,
+      cancelled: false,
+      data: (text, stream) => {
+        (stream === 'stdout' ? stdout : stderr).push(text);
+      },
+      // Called once the command can be killed: the timeout covers the
+      // command itself, not the working directory lookup before it
+      started: () => {
+        if (hooks.cancelled) {
+          hooks.kill();
+          return;
+        }
+        timer = setTimeout(() => {
+          timedOut = true;
+          hooks.kill();
+        }, Math.min(timeout, EXEC_MAX_TIMEOUT));
+      },
+    };
+    running.add(hooks);
+
+    const started = Date.now();
+
+    try {
+      const dir = cwd || (isLocal ? await localShellCwd(getLocalPid()) : await remoteShellCwd(client));
+      // Cancelled while the working directory was being looked up
+      if (hooks.cancelled) throw new Error('Cancelled');
+      const { exitCode, signal } = isLocal
+        ? await runLocal(command, dir, hooks)
+        : await runRemote(client, command, dir, hooks);
+      const result = {
+        stdout: stdout.text(),
+        stderr: stderr.text(),
+        exitCode,
+        signal,
+        durationMs: Date.now() - started,
+        timedOut,
+        cwd: dir || null,
+      };
+      if (!dir) {
+        result.warning = 'Couldn\'t find the terminal\'s working directory, so the command ran in the home directory';
+      }
+      onFinish?.(command, result);
+      ack(result);
+    } catch (err) {
+      ack({ error: err.message });
+    } finally {
+      clearTimeout(timer);
+      running.delete(hooks);
+    }
+  });
+
+  socket.on('exec:cancel', () => {
+    for (const hooks of running) {
+      hooks.cancelled = true;
+      hooks.kill?.();
+    }
+  });
+
+  return {
+    close() {
+      for (const hooks of running) hooks.kill?.();
+      running.clear();
+    },
+  };
+}
+
+module.exports = { registerExecHandlers, remoteShellCwd, localShellCwd };
@@ -0,0 +1,184 @@
+/* ── SSH Known Hosts ──────────────────────────────────── */
+
+// Trust-on-first-use host key store in OpenSSH known_hosts format. Keys the
+// user accepts go into the app's own file; ~/.ssh/known_hosts is consulted
+// read-only, so hosts already trusted by the system ssh just work.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/* ── Key helpers ──────────────────────────────────────── */
+
+// Raw SSH public key blobs start with a length-prefixed key type string.
+function keyTypeOf(key) {
+  if (key.length < 4) return 'unknown';
+  const len = key.readUInt32BE(0);
+  return key.subarray(4, 4 + len).toString('ascii') || 'unknown';
+}
+
+function fingerprintOf(key) {
+  const digest = crypto.createHash('sha256').update(key).digest('base64');
+  return `SHA256:${digest.replace(/=+$/, '')}`;
+}
+
+// known_hosts writes non-standard ports as [host]:port.
+function hostPattern(host, port) {
+  return Number(port) === 22 ? host : `[${host}]:${port}`;
+}
+
+/* ── known_hosts parsing ──────────────────────────────── */
+
+function parseLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.startsWith('#')) return null;
+
+  const fields = trimmed.split(/\s+/);
+  // @cert-authority / @revoked markers are not supported; skip those lines.
+  if (fields[0].startsWith('@')) return null;
+
+  const [hosts, keyType, keyBase64] = fields;
+  if (!hosts || !keyType || !keyBase64) return null;
+  return { hosts, keyType, keyBase64 };
+}
+
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+function matchesHashed(hashed, name) {
+  const [, , salt, hash] = hashed.split('|');
+  if (!salt || !hash) return false;
+  const digest = crypto.createHmac('sha1', Buffer.from(salt, 'base64')).update(name).digest('base64');
+  return digest === hash;
+}
+
+function hostsMatch(hosts, name) {
+  if (hosts.startsWith('|1|')) return matchesHashed(hosts, name);
+
+  let matched = false;
+  for (const pattern of hosts.split(',')) {
+    if (pattern.startsWith('!')) {
+      if (globToRegExp(pattern.slice(1)).test(name)) return false;
+    } else if (globToRegExp(pattern).test(name)) {
+      matched = true;
+    }
+  }
+  return matched;
+}
+
+function readEntries(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf-8');
+  } catch {
+    return [];
+  }
+  return text.split('\n').map(parseLine).filter(Boolean);
+}
+
+/* ── Store ────────────────────────────────────────────── */
+
+function createKnownHostsStore({ file, readOnlyFiles = [] }) {
+  // Returns { status: 'trusted' | 'mismatch' | 'unknown', ... } for a host key.
+  const check = (host, port, key) => {
+    const name = hostPattern(host, port);
+    const keyType = keyTypeOf(key);
+    const keyBase64 = key.toString('base64');
+    const fingerprint = fingerprintOf(key);
+
+    const entries = [file, ...readOnlyFiles]
+      .flatMap((f) => readEntries(f).map((entry) => ({ ...entry, source: f })))
+      .filter((entry) => hostsMatch(entry.hosts, name));
+
+    const sameType = entries.filter((entry) => entry.keyType === keyType);
+    const base = { host, port: Number(port), keyType, fingerprint };
+
+    if (sameType.some((entry) => entry.keyBase64 === keyBase64)) {
+      return { ...base, status: 'trusted' };
+    }
+    if (sameType.length > 0) {
+      const known = sameType[0];
+      return {
+        ...base,
+        status: 'mismatch',
+        expectedFingerprint: fingerprintOf(Buffer.from(known.keyBase64, 'base64')),
+        source: known.source,
+      };
+    }
+    return { ...base, status: 'unknown', knownKeyTypes: [...new Set(entries.map((e) => e.keyType))] };
+  };
+
+  const add = (host, port, key) => {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const line = `${hostPattern(host, port)} ${keyTypeOf(key)} ${key.toString('base64')}\n`;
+    fs.appendFileSync(file, line, { mode: 0o600 });
+  };
+
+  const list = () => readEntries(file).map((entry) => ({
+    host: entry.hosts,
+    keyType: entry.keyType,
+    fingerprint: fingerprintOf(Buffer.from(entry.keyBase64, 'base64')),
+  }));
+
+  // Removes every entry for `host` (as listed) with the given key type.
+  const remove = (host, keyType) => {
+    let text;
+    try {
+      text = fs.readFileSync(file, 'utf-8');
+    } catch {
+      return false;
+    }
+    const lines = text.split('\n');
+    const kept = lines.filter((line) => {
+      const entry = parseLine(line);
+      return !(entry && entry.hosts === host && entry.keyType === keyType);
+    });
+    if (kept.length === lines.length) return false;
+    fs.writeFileSync(file, kept.join('\n'), { mode: 0o600 });
+    return true;
+  };
+
+  return { check, add, list, remove };
+}
+
+/* ── ssh2 hostVerifier ────────────────────────────────── */
+
+// Builds an async ssh2 `hostVerifier`. Known keys pass, changed keys are
+// rejected via onMismatch, and unknown keys are accepted only if
+// confirm(info) resolves true — in which case they are remembered.
+function createHostVerifier({ store, host, port, confirm, onMismatch }) {
+  return (key, verify) => {
+    let result;
+    try {
+      result = store.check(host, port, key);
+    } catch (err) {
+      console.error('[known-hosts] check failed:', err);
+      verify(false);
+      return;
+    }
+
+    if (result.status === 'trusted') {
+      verify(true);
+      return;
+    }
+    if (result.status === 'mismatch') {
+      onMismatch(result);
+      verify(false);
+      return;
+    }
+
+    Promise.resolve(confirm(result))
+      .then((accepted) => {
+        if (accepted) store.add(host, port, key);
+        verify(Boolean(accepted));
+      })
+      .catch((err) => {
+        console.error('[known-hosts] confirmation failed:', err.message);
+        verify(false);
+      });
+  };
+}
+
+module.exports = { createKnownHostsStore, createHostVerifier, fingerprintOf, hostPattern };
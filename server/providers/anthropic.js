@@ -0,0 +1,162 @@
+/* ── Claude via Anthropic API ─────────────────────────── */
+
+const { ProviderError } = require('./errors');
+const { toJsonSchema } = require('./schema');
+
+const MODELS = [
+  { id: 'claude-sonnet-4-20250514', label: 'Claude Sonnet 4' },
+];
+
+async function createClient(apiKey) {
+  const { default: Anthropic } = await import('@anthropic-ai/sdk');
+  return new Anthropic({ apiKey });
+}
+
+function toMessages(messages) {
+  return messages.map((m) => ({
+    role: m.role === 'model' ? 'assistant' : 'user',
+    content: m.text,
+  }));
+}
+
+/* ── Tool-use translation ─────────────────────────────── */
+
+// The renderer's agent loop speaks Gemini's history format (parts with
+// functionCall / functionResponse). These helpers translate it to Anthropic
+// tool_use / tool_result blocks and back, so one loop drives every model.
+
+function convertTools(toolGroups) {
+  return toolGroups.flatMap((group) =>
+    group.functionDeclarations.map((fn) => ({
+      name: fn.name,
+      description: fn.description,
+      input_schema: toJsonSchema(fn.parameters) ?? { type: 'object', properties: {} },
+    })),
+  );
+}
+
+function convertHistory(history) {
+  const messages = [];
+  let openToolUses = [];
+
+  history.forEach((entry, turn) => {
+    const role = entry.role === 'model' ? 'assistant' : 'user';
+    const content = [];
+
+    (entry.parts ?? []).forEach((part, k) => {
+      if (part.functionCall) {
+        const { id, name, args } = part.functionCall;
+        const toolUseId = id || `toolu_juni_${turn}_${k}`;
+        openToolUses.push({ id: toolUseId, name });
+        content.push({ type: 'tool_use', id: toolUseId, name, input: args ?? {} });
+      } else if (part.functionResponse) {
+        const { id, name, response } = part.functionResponse;
+        const match = openToolUses.find((t) => (id ? t.id === id : t.name === name));
+        openToolUses = openToolUses.filter((t) => t !== match);
+        content.push({
+          type: 'tool_result',
+          tool_use_id: match?.id ?? id ?? `toolu_juni_${turn}_${k}`,
+          content: JSON.stringify(response ?? {}),
+        });
+      } else if (part.text) {
+        content.push({ type: 'text', text: part.text });
+      }
+    });
+
+    if (role === 'user' && openToolUses.length > 0) {
+      // Anthropic rejects a tool_use with no matching tool_result. The agent
+      // loop only acts on the first call of a turn, so close out the rest.
+      content.push(...openToolUses.map((t) => ({
+        type: 'tool_result',
+        tool_use_id: t.id,
+        content: '(not executed — only one tool call is handled per turn)',
+      })));
+      openToolUses = [];
+    }
+
+    // tool_result blocks must lead the user turn that answers the tool_use.
+    content.sort((a, b) => (b.type === 'tool_result') - (a.type === 'tool_result'));
+
+    const prev = messages[messages.length - 1];
+    if (prev && prev.role === role) {
+      prev.content.push(...content);
+    } else if (content.length > 0) {
+      messages.push({ role, content });
+    }
+  });
+
+  return messages;
+}
+
+function convertContentToParts(content = []) {
+  const parts = content
+    .map((block) => {
+      if (block.type === 'text' && block.text) return { text: block.text };
+      if (block.type === 'tool_use') {
+        return { functionCall: { id: block.id, name: block.name, args: block.input ?? {} } };
+      }
+      return null;
+    })
+    .filter(Boolean);
+
+  return parts.length > 0 ? parts : [{ text: 'No response generated.' }];
+}
+
+/* ── Provider ─────────────────────────────────────────── */
+
+module.exports = {
+  id: 'anthropic',
+  label: 'Anthropic API',
+  models: MODELS,
+
+  handles: (model) => model.startsWith('claude-'),
+
+  resolveConfig(config = {}) {
+    const apiKey = config.apiKey || process.env.ANTHROPIC_API_KEY;
+    if (!apiKey) {
+      throw new ProviderError('Anthropic API key is required. Add it in Settings or set ANTHROPIC_API_KEY.');
+    }
+    return { apiKey };
+  },
+
+  async chat({ model, messages, system, config }) {
+    const client = await createClient(config.apiKey);
+    const result = await client.messages.create({
+      model,
+      max_tokens: 4096,
+      system,
+      messages: toMessages(messages),
+    });
+    return result.content?.find((block) => block.type === 'text')?.text ?? 'No response generated.';
+  },
+
+  async* streamChat({ model, messages, system, config, signal }) {
+    const client = await createClient(config.apiKey);
+    const events = client.messages.stream({
+      model,
+      max_tokens: 4096,
+      system,
+      messages: toMessages(messages),
+    }, { signal });
+
+    for await (const event of events) {
+      if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+        yield event.delta.text;
+      }
+    }
+  },
+
+  async agent({ model, history, system, tools, config, signal }) {
+    const client = await createClient(config.apiKey);
+    const result = await client.messages.create({
+      model,
+      max_tokens: 4096,
+      temperature: 0.3,
+      system,
+      tools: convertTools(tools),
+      messages: convertHistory(history),
+    }, { signal });
+
+    return convertContentToParts(result.content);
+  },
+};
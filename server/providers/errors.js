@@ -0,0 +1,23 @@
+/* ── Provider Errors ──────────────────────────────────── */
+
+// Thrown by providers for problems the user can fix (missing API key,
+// unknown model…). `status` becomes the HTTP status of the route response.
+class ProviderError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+  }
+}
+
+// Maps any error raised by a provider SDK or fetch call to { status, message }.
+function normalizeError(err) {
+  if (err instanceof ProviderError) {
+    return { status: err.status, message: err.message };
+  }
+  const status = Number.isInteger(err?.status) && err.status >= 400 ? err.status : 500;
+  const message = err instanceof Error ? err.message : 'Internal server error';
+  return { status, message };
+}
+
+module.exports = { ProviderError, normalizeError };
@@ -0,0 +1,96 @@
+/* ── Gemini via Generative Language API (Google AI) ───── */
+
+const { readEventStream } = require('../sse');
+const { ProviderError } = require('./errors');
+const { toJsonSchema } = require('./schema');
+
+const MODELS = [
+  { id: 'gemini-3-flash-preview', label: 'Gemini 3 Flash' },
+];
+
+const API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+
+async function post(url, body, signal) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+    signal,
+  });
+
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    throw new ProviderError(err?.error?.message || `Google AI API error: HTTP ${res.status}`, res.status);
+  }
+
+  return res;
+}
+
+function toContents(messages) {
+  return messages.map((m) => ({
+    role: m.role === 'model' ? 'model' : 'user',
+    parts: [{ text: m.text }],
+  }));
+}
+
+function partsText(candidate) {
+  return candidate?.content?.parts?.map((p) => p.text ?? '').join('') ?? '';
+}
+
+module.exports = {
+  id: 'genai',
+  label: 'Google AI',
+  models: MODELS,
+
+  handles: (model) => MODELS.some((m) => m.id === model),
+
+  resolveConfig(config = {}) {
+    const apiKey = config.apiKey || process.env.GEMINI_API_KEY;
+    if (!apiKey) {
+      throw new ProviderError('Gemini API key is required for this model. Add it in Settings or set GEMINI_API_KEY.');
+    }
+    return { apiKey };
+  },
+
+  async chat({ model, messages, system, config }) {
+    const res = await post(`${API_BASE}/${model}:generateContent?key=${config.apiKey}`, {
+      contents: toContents(messages),
+      systemInstruction: { parts: [{ text: system }] },
+      generationConfig: { temperature: 0.7, maxOutputTokens: 4096 },
+    });
+    const data = await res.json();
+    return partsText(data?.candidates?.[0]) || 'No response generated.';
+  },
+
+  async* streamChat({ model, messages, system, config, signal }) {
+    const res = await post(`${API_BASE}/${model}:streamGenerateContent?alt=sse&key=${config.apiKey}`, {
+      contents: toContents(messages),
+      systemInstruction: { parts: [{ text: system }] },
+      generationConfig: { temperature: 0.7, maxOutputTokens: 4096 },
+    }, signal);
+
+    for await (const chunk of readEventStream(res.body)) {
+      const delta = partsText(chunk?.candidates?.[0]);
+      if (delta) yield delta;
+    }
+  },
+
+  async agent({ model, history, system, tools, config, signal }) {
+    const genaiTools = tools.map((toolGroup) => ({
+      functionDeclarations: toolGroup.functionDeclarations.map((fn) => ({
+        ...fn,
+        parameters: fn.parameters ? toJsonSchema(fn.parameters) : undefined,
+      })),
+    }));
+
+    const res = await post(`${API_BASE}/${model}:generateContent?key=${config.apiKey}`, {
+      contents: history,
+      systemInstruction: { parts: [{ text: system }] },
+      tools: genaiTools,
+      generationConfig: { temperature: 0.3, maxOutputTokens: 4096 },
+    }, signal);
+
+    const data = await res.json();
+    return data?.candidates?.[0]?.content?.parts ?? [{ text: 'No response generated.' }];
+  },
+};
@@ -0,0 +1,65 @@
+/* ── LLM Provider Registry ────────────────────────────── */
+
+// Every provider module exports the same shape:
+//
+//   id, label          Registry key and display name
+//   models             [{ id, label }] offered in the model selector
+//   handles(model)     true if this provider serves the model id
+//   resolveConfig(cfg) Merges renderer settings with env defaults; throws a
+//                      ProviderError when credentials are missing
+//   chat(req)          Resolves to the full reply text
+//   streamChat(req)    Async iterable of reply text deltas
+//   agent(req)         Resolves to Gemini-format parts (text / functionCall)
+//   normalizeError(e)  Optional; defaults to errors.normalizeError
+//
+// Requests carry { model, messages | history, system, tools, config, signal },
+// where `config` is the resolved provider config. Registration order matters:
+// the first provider whose handles() matches wins.
+
+const { ProviderError, normalizeError } = require('./errors');
+
+const providers = [];
+
+function registerProvider(provider) {
+  if (providers.some((p) => p.id === provider.id)) {
+    throw new Error(`Provider "${provider.id}" is already registered`);
+  }
+  providers.push(provider);
+}
+
+function getProvider(model) {
+  const provider = providers.find((p) => p.handles(model));
+  if (!provider) {
+    throw new ProviderError(`No provider is registered for model "${model}"`);
+  }
+  return provider;
+}
+
+function listModels() {
+  return providers.flatMap((p) =>
+    p.models.map((m) => ({ ...m, provider: p.id, providerLabel: p.label })),
+  );
+}
+
+// Every provider, including those whose models come from Settings
+function listProviders() {
+  return providers.map(({ id, label }) => ({ id, label }));
+}
+
+function normalizeProviderError(provider, err) {
+  return provider?.normalizeError ? provider.normalizeError(err) : normalizeError(err);
+}
+
+registerProvider(require('./genai'));
+registerProvider(require('./anthropic'));
+registerProvider(require('./vertex'));
+registerProvider(require('./openai'));
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  listModels,
+  listProviders,
+  normalizeProviderError,
+  ProviderError,
+};
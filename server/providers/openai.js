@@ -0,0 +1,200 @@
+/* ── Local models via OpenAI-compatible API ───────────── */
+
+// Talks to any /v1/chat/completions endpoint with function calling — Ollama,
+// llama.cpp server, vLLM, LM Studio… — so chat and agent mode work offline.
+// Model ids are the server's own model name prefixed with `local:`.
+
+const { readEventStream } = require('../sse');
+const { ProviderError } = require('./errors');
+const { toJsonSchema } = require('./schema');
+
+const MODEL_PREFIX = 'local:';
+const DEFAULT_BASE_URL = 'http://localhost:11434/v1';
+
+function modelName(model) {
+  return model.slice(MODEL_PREFIX.length);
+}
+
+async function post(config, path, body, signal) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+
+  let res;
+  try {
+    res = await fetch(`${config.baseUrl}${path}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal,
+    });
+  } catch (err) {
+    if (err?.name === 'AbortError') throw err;
+    throw new ProviderError(`Could not reach local model server at ${config.baseUrl}`, 502);
+  }
+
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({}));
+    const message = err?.error?.message || (typeof err?.error === 'string' && err.error);
+    throw new ProviderError(message || `Local model server error: HTTP ${res.status}`, res.status);
+  }
+
+  return res;
+}
+
+function toMessages(messages, system) {
+  return [
+    { role: 'system', content: system },
+    ...messages.map((m) => ({
+      role: m.role === 'model' ? 'assistant' : 'user',
+      content: m.text,
+    })),
+  ];
+}
+
+/* ── Tool-use translation ─────────────────────────────── */
+
+// Same idea as the Anthropic provider: the agent loop's Gemini-format history
+// becomes assistant tool_calls + role:"tool" messages, and back.
+
+function convertTools(toolGroups) {
+  return toolGroups.flatMap((group) =>
+    group.functionDeclarations.map((fn) => ({
+      type: 'function',
+      function: {
+        name: fn.name,
+        description: fn.description,
+        parameters: toJsonSchema(fn.parameters) ?? { type: 'object', properties: {} },
+      },
+    })),
+  );
+}
+
+function convertHistory(history, system) {
+  const messages = [{ role: 'system', content: system }];
+  let openToolCalls = [];
+
+  history.forEach((entry, turn) => {
+    const parts = entry.parts ?? [];
+    const text = parts.filter((p) => p.text).map((p) => p.text).join('\n');
+
+    if (entry.role === 'model') {
+      const toolCalls = parts
+        .filter((p) => p.functionCall)
+        .map(({ functionCall: { id, name, args } }, k) => ({
+          id: id || `call_juni_${turn}_${k}`,
+          type: 'function',
+          function: { name, arguments: JSON.stringify(args ?? {}) },
+        }));
+      openToolCalls.push(...toolCalls.map((c) => ({ id: c.id, name: c.function.name })));
+      messages.push({
+        role: 'assistant',
+        content: text || null,
+        ...(toolCalls.length > 0 && { tool_calls: toolCalls }),
+      });
+      return;
+    }
+
+    parts.filter((p) => p.functionResponse).forEach(({ functionResponse: { id, name, response } }, k) => {
+      const match = openToolCalls.find((t) => (id ? t.id === id : t.name === name));
+      openToolCalls = openToolCalls.filter((t) => t !== match);
+      messages.push({
+        role: 'tool',
+        tool_call_id: match?.id ?? id ?? `call_juni_${turn}_${k}`,
+        content: JSON.stringify(response ?? {}),
+      });
+    });
+
+    // Every tool call needs an answer; the agent loop only runs the first one.
+    messages.push(...openToolCalls.map((t) => ({
+      role: 'tool',
+      tool_call_id: t.id,
+      content: '(not executed — only one tool call is handled per turn)',
+    })));
+    openToolCalls = [];
+
+    if (text) messages.push({ role: 'user', content: text });
+  });
+
+  return messages;
+}
+
+function parseArguments(args) {
+  // Most servers send a JSON string; Ollama sometimes sends the object itself.
+  if (typeof args !== 'string') return args ?? {};
+  try {
+    return JSON.parse(args || '{}');
+  } catch {
+    return {};
+  }
+}
+
+function convertMessageToParts(message = {}) {
+  const parts = [];
+  if (message.content) parts.push({ text: message.content });
+  for (const call of message.tool_calls ?? []) {
+    parts.push({
+      functionCall: {
+        id: call.id,
+        name: call.function?.name,
+        args: parseArguments(call.function?.arguments),
+      },
+    });
+  }
+  return parts.length > 0 ? parts : [{ text: 'No response generated.' }];
+}
+
+/* ── Provider ─────────────────────────────────────────── */
+
+module.exports = {
+  id: 'openai',
+  label: 'Local (OpenAI-compatible)',
+  // The model list comes from the Settings panel, not from here.
+  models: [],
+
+  handles: (model) => model.startsWith(MODEL_PREFIX),
+
+  resolveConfig(config = {}) {
+    const baseUrl = (config.baseUrl || process.env.LOCAL_LLM_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+    const apiKey = config.apiKey || process.env.LOCAL_LLM_API_KEY || '';
+    return { baseUrl, apiKey };
+  },
+
+  async chat({ model, messages, system, config }) {
+    const res = await post(config, '/chat/completions', {
+      model: modelName(model),
+      messages: toMessages(messages, system),
+      temperature: 0.7,
+      max_tokens: 4096,
+    });
+    const data = await res.json();
+    return data?.choices?.[0]?.message?.content || 'No response generated.';
+  },
+
+  async* streamChat({ model, messages, system, config, signal }) {
+    const res = await post(config, '/chat/completions', {
+      model: modelName(model),
+      messages: toMessages(messages, system),
+      temperature: 0.7,
+      max_tokens: 4096,
+      stream: true,
+    }, signal);
+
+    for await (const chunk of readEventStream(res.body)) {
+      const delta = chunk?.choices?.[0]?.delta?.content;
+      if (delta) yield delta;
+    }
+  },
+
+  async agent({ model, history, system, tools, config, signal }) {
+    const res = await post(config, '/chat/completions', {
+      model: modelName(model),
+      messages: convertHistory(history, system),
+      tools: convertTools(tools),
+      temperature: 0.3,
+      max_tokens: 4096,
+    }, signal);
+
+    const data = await res.json();
+    return convertMessageToParts(data?.choices?.[0]?.message);
+  },
+};
@@ -0,0 +1,22 @@
+/* ── Tool Schema Helpers ──────────────────────────────── */
+
+// AGENT_TOOLS use Vertex's upper-case type names (OBJECT, STRING…). The
+// Google AI API, Anthropic and OpenAI all expect plain JSON Schema types.
+function toJsonSchema(schema) {
+  if (!schema) return schema;
+  const result = { ...schema };
+  if (result.type) {
+    result.type = result.type.toLowerCase();
+  }
+  if (result.properties) {
+    result.properties = Object.fromEntries(
+      Object.entries(result.properties).map(([key, val]) => [key, toJsonSchema(val)])
+    );
+  }
+  if (result.items) {
+    result.items = toJsonSchema(result.items);
+  }
+  return result;
+}
+
+module.exports = { toJsonSchema };
@@ -0,0 +1,84 @@
+/* ── Gemini via Vertex AI ─────────────────────────────── */
+
+const { VertexAI } = require('@google-cloud/vertexai');
+const { ProviderError } = require('./errors');
+
+const MODELS = [
+  { id: 'gemini-2.5-flash', label: 'Gemini 2.5 Flash' },
+];
+
+const clientCache = new Map();
+
+function getVertexClient(project, location) {
+  const key = `${project}::${location}`;
+  if (!clientCache.has(key)) {
+    clientCache.set(key, new VertexAI({ project, location }));
+  }
+  return clientCache.get(key);
+}
+
+function toContents(messages) {
+  return messages.map((m) => ({
+    role: m.role === 'model' ? 'model' : 'user',
+    parts: [{ text: m.text }],
+  }));
+}
+
+function partsText(candidate) {
+  return candidate?.content?.parts?.map((p) => p.text ?? '').join('') ?? '';
+}
+
+module.exports = {
+  id: 'vertex',
+  label: 'Vertex AI',
+  models: MODELS,
+
+  // Any other Gemini model name is assumed to be deployed on Vertex.
+  handles: (model) => model.startsWith('gemini-'),
+
+  resolveConfig(config = {}) {
+    const project = config.project || process.env.GCP_PROJECT_ID;
+    const location = config.location || process.env.GCP_LOCATION || 'us-central1';
+    if (!project) {
+      throw new ProviderError('GCP project ID is required. Set GCP_PROJECT_ID in Settings.');
+    }
+    return { project, location };
+  },
+
+  async chat({ model, messages, system, config }) {
+    const generativeModel = getVertexClient(config.project, config.location).getGenerativeModel({
+      model,
+      systemInstruction: system,
+      generationConfig: { temperature: 0.7, maxOutputTokens: 4096 },
+    });
+    const result = await generativeModel.generateContent({ contents: toContents(messages) });
+    return partsText(result.response?.candidates?.[0]) || 'No response generated.';
+  },
+
+  async* streamChat({ model, messages, system, config, signal }) {
+    const generativeModel = getVertexClient(config.project, config.location).getGenerativeModel({
+      model,
+      systemInstruction: system,
+      generationConfig: { temperature: 0.7, maxOutputTokens: 4096 },
+    });
+
+    // The Vertex SDK has no abort hook, so stop consuming once the renderer hangs up.
+    const result = await generativeModel.generateContentStream({ contents: toContents(messages) });
+    for await (const chunk of result.stream) {
+      if (signal?.aborted) break;
+      const delta = partsText(chunk?.candidates?.[0]);
+      if (delta) yield delta;
+    }
+  },
+
+  async agent({ model, history, system, tools, config }) {
+    const generativeModel = getVertexClient(config.project, config.location).getGenerativeModel({
+      model,
+      systemInstruction: system,
+      tools,
+      generationConfig: { temperature: 0.3, maxOutputTokens: 4096 },
+    });
+    const result = await generativeModel.generateContent({ contents: history });
+    return result.response?.candidates?.[0]?.content?.parts ?? [{ text: 'No response generated.' }];
+  },
+};
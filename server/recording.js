@@ -0,0 +1,89 @@
+/* ── Terminal recording (asciicast v2) ───────────────── */
+
+// One header line of JSON, then one event per line: [seconds, code, data]
+// with code "o" (output), "i" (input) or "r" (resize, "COLSxROWS").
+// https://docs.asciinema.org/manual/asciicast/v2/
+
+const fs = require('fs');
+const path = require('path');
+
+const CAST_EXT = '.cast';
+
+function createRecorder({ file, cols, rows, title, recordInput = false }) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const out = fs.createWriteStream(file, { flags: 'wx' });
+  const startedAt = Date.now();
+  let stopped = false;
+
+  out.on('error', (err) => {
+    console.error(`[recording] write failed: ${err.message}`);
+    stopped = true;
+  });
+
+  out.write(`${JSON.stringify({
+    version: 2,
+    width: cols,
+    height: rows,
+    timestamp: Math.floor(startedAt / 1000),
+    title,
+    env: { TERM: 'xterm-256color' },
+  })}\n`);
+
+  const event = (code, data) => {
+    if (stopped) return;
+    const elapsed = (Date.now() - startedAt) / 1000;
+    out.write(`${JSON.stringify([Number(elapsed.toFixed(6)), code, data])}\n`);
+  };
+
+  return {
+    file,
+    recordInput,
+    startedAt,
+    output: (data) => event('o', data),
+    input: (data) => {
+      if (recordInput) event('i', data);
+    },
+    resize: (cols, rows) => event('r', `${cols}x${rows}`),
+    stop() {
+      if (stopped) return;
+      stopped = true;
+      out.end();
+    },
+  };
+}
+
+// "user@host 2026-10-19 14-03-22.cast": sortable and safe on every filesystem.
+function recordingFileName(label, date = new Date()) {
+  const pad = (n) => String(n).padStart(2, '0');
+  const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+    + ` ${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+  return `${label.replace(/[^\w@.-]+/g, '_')} ${stamp}${CAST_EXT}`;
+}
+
+function listRecordings(dir) {
+  let names;
+  try {
+    names = fs.readdirSync(dir);
+  } catch (err) {
+    if (err.code === 'ENOENT') return [];
+    throw err;
+  }
+  return names
+    .filter((name) => name.endsWith(CAST_EXT))
+    .map((name) => {
+      const stat = fs.statSync(path.join(dir, name));
+      return { name, size: stat.size, modified: stat.mtimeMs };
+    })
+    .sort((a, b) => b.modified - a.modified);
+}
+
+// Resolves a recording name from the renderer; only plain .cast files
+// directly inside `dir` are allowed.
+function recordingPath(dir, name) {
+  if (typeof name !== 'string' || path.basename(name) !== name || !name.endsWith(CAST_EXT)) {
+    return null;
+  }
+  return path.join(dir, name);
+}
+
+module.exports = { createRecorder, recordingFileName, listRecordings, recordingPath };
@@ -0,0 +1,538 @@
+/* ── Terminal Sessions ────────────────────────────────── */
+
+// Terminal backends (a local pty or a remote SSH shell, with its SFTP and
+// tunnels) live here in the main process, keyed by a session ID chosen by
+// the renderer. A renderer socket only attaches to a session: when it goes
+// away (reload, crash, closed window) the shell keeps running and its output
+// collects in a scrollback ring buffer, which is replayed on reattach.
+// Sessions end only through close(), i.e. when their tab is closed.
+
+const os = require('os');
+const path = require('path');
+const { agentSocket } = require('./ssh-auth');
+const { openConnection, isRetryableError } = require('./ssh-connection');
+const { registerSftpHandlers } = require('./sftp');
+const { registerTunnelHandlers } = require('./tunnels');
+const { registerExecHandlers } = require('./exec');
+const { registerAgentFileHandlers } = require('./agent-files');
+const { createRecorder, recordingFileName } = require('./recording');
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1'];
+// How long host key and passphrase dialogs wait for an answer
+const USER_PROMPT_TIMEOUT = 120000;
+// Auto-reconnect after a dropped SSH connection: exponential backoff
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+const RECONNECT_MAX_ATTEMPTS = 10;
+const SCROLLBACK_LIMIT = 512 * 1024;
+
+/* ── Scrollback ───────────────────────────────────────── */
+
+// Keeps the last ~`limit` characters of output as chunks. Offsets count every
+// character ever written, so a renderer can ask for what it missed.
+function createScrollback(limit = SCROLLBACK_LIMIT) {
+  const chunks = [];
+  let size = 0;
+  let start = 0;
+
+  return {
+    append(data) {
+      chunks.push(data);
+      size += data.length;
+      while (size - chunks[0].length >= limit) {
+        const dropped = chunks.shift();
+        size -= dropped.length;
+        start += dropped.length;
+      }
+    },
+    get end() {
+      return start + size;
+    },
+    // Output after `offset` → { data, end, full }. `full` means part of it
+    // was already dropped, so `data` is everything kept instead.
+    since(offset = 0) {
+      const text = chunks.join('');
+      const end = start + size;
+      if (offset < start) return { data: text, end, full: true };
+      return { data: text.slice(offset - start), end, full: false };
+    },
+  };
+}
+
+/* ── Socket proxy ─────────────────────────────────────── */
+
+// Stands in for a Socket.io socket that comes and goes. Handlers registered
+// with on() move to each newly attached socket; emits while detached are
+// dropped and acks reject.
+function createSocketProxy() {
+  const handlers = [];
+  let socket = null;
+
+  return {
+    get socket() {
+      return socket;
+    },
+    on(event, fn) {
+      handlers.push([event, fn]);
+      socket?.on(event, fn);
+    },
+    emit(event, ...args) {
+      socket?.emit(event, ...args);
+    },
+    timeout(ms) {
+      return {
+        emitWithAck: (event, ...args) => (socket
+          ? socket.timeout(ms).emitWithAck(event, ...args)
+          : Promise.reject(new Error('No window attached'))),
+      };
+    },
+    attach(next) {
+      if (socket) this.detach(socket);
+      socket = next;
+      for (const [event, fn] of handlers) socket.on(event, fn);
+    },
+    detach(current) {
+      if (socket !== current) return;
+      for (const [event, fn] of handlers) socket.off(event, fn);
+      socket = null;
+    },
+  };
+}
+
+// What the renderer may see of a connection: no passwords.
+function publicConnection({ password: _password, jumpHosts, ...connection }) {
+  const result = { ...connection };
+  if (jumpHosts) result.jumpHosts = jumpHosts.map(({ password: _p, ...hop }) => hop);
+  return result;
+}
+
+/* ── Session ──────────────────────────────────────────── */
+
+function createTerminalSession(id, credentials, { pty, knownHosts, pickUploadFiles, pickDownloadPath, recordingsDir }) {
+  const socket = createSocketProxy();
+  const scrollback = createScrollback();
+  const isLocal = credentials.local || LOCAL_HOSTS.includes(credentials.host);
+
+  let sshClient = null;
+  let sshStream = null;
+  let ptyProcess = null;
+  let pendingSize = { rows: 24, cols: 80 };
+  let lastStatus = { status: 'connecting' };
+  let closed = false;
+  // Remote session kept for reconnects (credentials stay in memory only)
+  let reconnectTimer = null;
+  let reconnectAttempt = 0;
+  let connecting = false;
+  let recorder = null;
+  // Last OSC 133 mark the shell sent: A/B at a prompt, C while a command
+  // runs, D once it finished. Stays null without shell integration.
+  let shellMark = null;
+
+  const sftp = registerSftpHandlers(socket, {
+    getClient: () => sshClient,
+    pickUploadFiles,
+    pickDownloadPath,
+  });
+
+  const tunnels = registerTunnelHandlers(socket);
+
+  registerAgentFileHandlers(socket, {
+    isLocal,
+    getSftp: sftp.getSftp,
+    getClient: () => sshClient,
+    getLocalPid: () => ptyProcess?.pid,
+  });
+
+  // Side-channel agent commands keep their output in the agent's step list;
+  // writing it here would garble a full-screen app in the foreground. When
+  // OSC 133 marks show the shell is at a prompt, one line notes the command.
+  const exec = registerExecHandlers(socket, {
+    getClient: () => sshClient,
+    getLocalPid: () => ptyProcess?.pid,
+    isLocal,
+    onFinish: (command, { exitCode, signal, durationMs, timedOut }) => {
+      if (!['A', 'B', 'D'].includes(shellMark)) return;
+      const status = timedOut ? 'timed out' : signal ? `killed by ${signal}` : `exit ${exitCode}`;
+      // One line, and no escape sequences from the command
+      const line = command.replace(/[\x00-\x1f\x7f]+/g, ' ').trim();
+      output(`\r\n\x1b[38;5;214m⚡ agent\x1b[0m \x1b[90m(exec) $ ${line} [${status} · ${(durationMs / 1000).toFixed(1)}s]\x1b[0m\r\n`);
+    },
+  });
+
+  const emitStatus = (payload) => {
+    lastStatus = payload;
+    socket.emit('ssh:status', payload);
+  };
+
+  const output = (data) => {
+    const marks = data.match(/\x1b\]133;[ABCD]/g);
+    if (marks) shellMark = marks[marks.length - 1].slice(-1);
+    scrollback.append(data);
+    recorder?.output(data);
+    socket.emit('ssh:output', data);
+  };
+
+  /* ── Helper: write to whichever backend is active ── */
+  const writeToBackend = (data) => {
+    recorder?.input(data);
+    if (ptyProcess) ptyProcess.write(data);
+    else if (sshStream) sshStream.write(data);
+  };
+
+  const resizeBackend = (cols, rows) => {
+    pendingSize = { rows, cols };
+    recorder?.resize(cols, rows);
+    if (ptyProcess) ptyProcess.resize(cols, rows);
+    else if (sshStream) sshStream.setWindow(rows, cols, 0, 0);
+  };
+
+  /* ── Local terminal (no login required) ────────── */
+  const openLocal = () => {
+    if (!pty) {
+      socket.emit('ssh:error', { message: 'node-pty is not available. Cannot open local terminal.' });
+      return;
+    }
+
+    console.log('[local] spawning local shell');
+    emitStatus({ status: 'authenticated' });
+
+    const shellPath = process.env.SHELL || '/bin/zsh';
+    const homeDir = os.homedir();
+
+    ptyProcess = pty.spawn(shellPath, ['-l'], {
+      name: 'xterm-256color',
+      cols: pendingSize.cols,
+      rows: pendingSize.rows,
+      cwd: homeDir,
+      env: {
+        ...process.env,
+        TERM: 'xterm-256color',
+        HOME: homeDir,
+        LANG: process.env.LANG || 'en_US.UTF-8',
+      },
+    });
+
+    emitStatus({ status: 'ready' });
+
+    ptyProcess.onData(output);
+
+    ptyProcess.onExit(({ exitCode, signal }) => {
+      console.log(`[local] shell exited  code=${exitCode} signal=${signal}`);
+      emitStatus({ status: 'disconnected' });
+      ptyProcess = null;
+    });
+  };
+
+  /* ── Remote SSH connection ──────────────────────── */
+
+  // Retries with backoff after a drop; gives up on non-network errors
+  // (auth, host key) and after RECONNECT_MAX_ATTEMPTS.
+  const scheduleReconnect = () => {
+    if (closed || reconnectAttempt >= RECONNECT_MAX_ATTEMPTS) {
+      emitStatus({ status: 'disconnected' });
+      return;
+    }
+    reconnectAttempt += 1;
+    const delay = Math.min(RECONNECT_BASE_DELAY * 2 ** (reconnectAttempt - 1), RECONNECT_MAX_DELAY);
+    console.log(`[ssh] reconnecting in ${delay}ms (attempt ${reconnectAttempt}/${RECONNECT_MAX_ATTEMPTS})`);
+    emitStatus({
+      status: 'reconnecting',
+      attempt: reconnectAttempt,
+      maxAttempts: RECONNECT_MAX_ATTEMPTS,
+      delay,
+    });
+    clearTimeout(reconnectTimer);
+    reconnectTimer = setTimeout(connectRemote, delay);
+  };
+
+  const connectRemote = async () => {
+    const { host, port = 22, username, jumpHosts = [] } = credentials;
+    clearTimeout(reconnectTimer);
+
+    let connection;
+    connecting = true;
+    try {
+      // Forwarding works with any auth method but needs a local agent
+      const forwardedAgent = credentials.agentForward ? agentSocket() : undefined;
+      const via = jumpHosts.length ? ` via ${jumpHosts.map((j) => j.alias || j.host).join(' → ')}` : '';
+      console.log(`[ssh] connecting to ${username}@${host}:${port}${via}`);
+
+      connection = await openConnection(credentials, {
+        jumpHosts,
+        agentForward: forwardedAgent,
+        knownHosts,
+        prompts: {
+          askPassphrase: (info) => socket
+            .timeout(USER_PROMPT_TIMEOUT)
+            .emitWithAck('ssh:passphrase-prompt', info)
+            .catch(() => null),
+          confirmHostKey: (info) => socket
+            .timeout(USER_PROMPT_TIMEOUT)
+            .emitWithAck('ssh:hostkey-verify', info)
+            .then((accepted) => accepted === true)
+            .catch(() => false),
+          onHostKeyMismatch: (info) => socket.emit('ssh:hostkey-mismatch', info),
+        },
+        onHop: (hop) => {
+          if (jumpHosts.length > 0) socket.emit('ssh:hop', hop);
+        },
+      });
+    } catch (err) {
+      console.error(`[ssh] connect failed: ${err.message}`);
+      socket.emit('ssh:error', { message: err.message });
+      lastStatus = { status: 'error' };
+      // Only a session that was up once is retried automatically
+      if (reconnectAttempt > 0 && isRetryableError(err)) scheduleReconnect();
+      return;
+    } finally {
+      connecting = false;
+    }
+    if (closed) {
+      connection.end();
+      return;
+    }
+
+    const client = connection.client;
+    sshClient = client;
+    reconnectAttempt = 0;
+    let shellExited = false;
+    console.log(`[ssh] authenticated  ${username}@${host}`);
+    emitStatus({ status: 'authenticated' });
+    tunnels.attach(client);
+
+    client.shell(
+      { term: 'xterm-256color', rows: pendingSize.rows, cols: pendingSize.cols },
+      (err, stream) => {
+        if (err) {
+          socket.emit('ssh:error', { message: err.message });
+          return;
+        }
+
+        sshStream = stream;
+        emitStatus({ status: 'ready' });
+
+        stream.on('data', (data) => {
+          output(data.toString('utf-8'));
+        });
+
+        stream.stderr.on('data', (data) => {
+          output(data.toString('utf-8'));
+        });
+
+        // The remote shell ended on its own (`exit`), as opposed to the
+        // connection dropping underneath it.
+        stream.on('exit', () => {
+          shellExited = true;
+        });
+
+        stream.on('close', () => {
+          console.log(`[ssh] shell closed  ${username}@${host}`);
+          client.end();
+        });
+      });
+
+    client.on('error', (err) => {
+      console.error(`[ssh] error: ${err.message}`);
+      socket.emit('ssh:error', { message: err.message });
+    });
+
+    client.on('close', () => {
+      console.log('[ssh] connection closed');
+      if (sshClient !== client) return;
+      sshClient = null;
+      sshStream = null;
+      tunnels.detach();
+      // An exited shell stays closed until the user hits Reconnect
+      if (shellExited || closed) {
+        emitStatus({ status: 'disconnected' });
+      } else {
+        scheduleReconnect();
+      }
+    });
+  };
+
+  /* ── Recording ──────────────────────────────────── */
+
+  const recordingStatus = () => (recorder
+    ? { recording: true, name: path.basename(recorder.file), startedAt: recorder.startedAt, recordInput: recorder.recordInput }
+    : { recording: false });
+
+  const stopRecording = () => {
+    if (!recorder) return;
+    console.log(`[recording] saved  ${recorder.file}`);
+    recorder.stop();
+    recorder = null;
+  };
+
+  const label = isLocal ? 'local' : `${credentials.username}@${credentials.host}`;
+
+  socket.on('recording:start', ({ recordInput = false } = {}, ack) => {
+    try {
+      if (!recorder) {
+        recorder = createRecorder({
+          file: path.join(recordingsDir, recordingFileName(label)),
+          cols: pendingSize.cols,
+          rows: pendingSize.rows,
+          title: label,
+          recordInput,
+        });
+        console.log(`[recording] started  ${recorder.file}`);
+      }
+      socket.emit('recording:status', recordingStatus());
+      ack?.(recordingStatus());
+    } catch (err) {
+      ack?.({ error: err.message });
+    }
+  });
+
+  socket.on('recording:stop', (_payload, ack) => {
+    stopRecording();
+    socket.emit('recording:status', recordingStatus());
+    ack?.(recordingStatus());
+  });
+
+  /* ── Renderer events ─────────────────────────────── */
+
+  // Manual reconnect from the toolbar: retry right away and reset backoff.
+  socket.on('ssh:reconnect', () => {
+    if (isLocal || closed || connecting) return;
+    if (sshClient) {
+      emitStatus({ status: 'ready' });
+      return;
+    }
+    reconnectAttempt = 0;
+    connectRemote();
+  });
+
+  socket.on('ssh:data', (data) => {
+    writeToBackend(data);
+  });
+
+  socket.on('ssh:resize', ({ cols, rows }) => {
+    resizeBackend(cols, rows);
+  });
+
+  return {
+    id,
+    isLocal,
+
+    start() {
+      if (isLocal) {
+        openLocal();
+      } else {
+        tunnels.addAll(credentials.tunnels);
+        connectRemote();
+      }
+    },
+
+    // Hands the session to a renderer socket and replays what it missed.
+    // The replay always carries the buffer's end offset, so the renderer's
+    // count of received output can't drift from ours.
+    attach(next, { since = 0 } = {}) {
+      socket.attach(next);
+      next.emit('session:replay', scrollback.since(since));
+      next.emit('ssh:status', lastStatus);
+      next.emit('recording:status', recordingStatus());
+      tunnels.resync();
+    },
+
+    detach(current) {
+      socket.detach(current);
+    },
+
+    isAttachedTo(current) {
+      return socket.socket === current;
+    },
+
+    info() {
+      return {
+        id,
+        connection: publicConnection(credentials),
+        status: lastStatus.status,
+        attached: socket.socket !== null,
+      };
+    },
+
+    close() {
+      closed = true;
+      clearTimeout(reconnectTimer);
+      stopRecording();
+      exec.close();
+      sftp.close();
+      tunnels.close();
+      if (ptyProcess) {
+        ptyProcess.kill();
+        ptyProcess = null;
+      }
+      if (sshStream) sshStream.end();
+      if (sshClient) sshClient.end();
+      sshStream = null;
+      sshClient = null;
+      socket.emit('ssh:status', { status: 'disconnected' });
+    },
+  };
+}
+
+/* ── Manager ──────────────────────────────────────────── */
+
+function createSessionManager(deps) {
+  const sessions = new Map();
+
+  const findBySocket = (socket) => [...sessions.values()].find((s) => s.isAttachedTo(socket));
+
+  return {
+    // `session:open` from a terminal tab: reattach to a live session, or start
+    // a new one with the given connection.
+    open(socket, { sessionId, connection, since } = {}) {
+      if (!sessionId) {
+        socket.emit('ssh:error', { message: 'Missing session ID' });
+        return;
+      }
+      findBySocket(socket)?.detach(socket);
+
+      let session = sessions.get(sessionId);
+      if (session) {
+        console.log(`[session] reattached  ${sessionId}`);
+        session.attach(socket, { since });
+        return;
+      }
+      if (!connection) {
+        socket.emit('ssh:error', { message: 'Session has ended' });
+        return;
+      }
+      console.log(`[session] created  ${sessionId}`);
+      session = createTerminalSession(sessionId, connection, deps);
+      sessions.set(sessionId, session);
+      session.attach(socket);
+      session.start();
+    },
+
+    detach(socket) {
+      findBySocket(socket)?.detach(socket);
+    },
+
+    list() {
+      return [...sessions.values()].map((s) => s.info());
+    },
+
+    close(sessionId) {
+      const session = sessions.get(sessionId);
+      if (!session) return false;
+      console.log(`[session] closed  ${sessionId}`);
+      session.close();
+      sessions.delete(sessionId);
+      return true;
+    },
+
+    closeAll() {
+      for (const session of sessions.values()) session.close();
+      sessions.clear();
+    },
+
+    get size() {
+      return sessions.size;
+    },
+  };
+}
+
+module.exports = { createSessionManager };
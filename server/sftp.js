@@ -0,0 +1,289 @@
+/* ── SFTP over the tab's SSH connection ───────────────── */
+
+// Registers sftp:* Socket.io handlers for one terminal socket. They reuse the
+// tab's authenticated ssh2 Client (via getClient) and open its SFTP subsystem
+// lazily. Requests answer through the Socket.io ack as `{ error }` or a
+// result object; transfers report progress with `sftp:transfer` events.
+
+const fs = require('fs');
+const path = require('path');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { remoteShellCwd } = require('./exec');
+
+const S_IFMT = 0o170000;
+const S_IFDIR = 0o040000;
+const S_IFLNK = 0o120000;
+const PROGRESS_INTERVAL = 100;
+// Transfers write here and are renamed into place once complete, so a failed
+// or cancelled transfer never touches an existing file.
+const PART_SUFFIX = '.juni-part';
+
+function entryType(mode) {
+  if ((mode & S_IFMT) === S_IFDIR) return 'dir';
+  if ((mode & S_IFMT) === S_IFLNK) return 'link';
+  return 'file';
+}
+
+// Remote paths are always POSIX, whatever the local platform.
+const remoteJoin = (...parts) => path.posix.join(...parts);
+
+function promisify(sftp, method, ...args) {
+  return new Promise((resolve, reject) => {
+    sftp[method](...args, (err, result) => (err ? reject(err) : resolve(result)));
+  });
+}
+
+// Plain SFTP rename refuses to replace an existing file; OpenSSH's
+// posix-rename does it atomically where the server supports it.
+async function renameRemote(session, from, to) {
+  try {
+    await promisify(session, 'ext_openssh_rename', from, to);
+    return;
+  } catch (err) {
+    if (!/does not support/.test(err.message)) throw err;
+  }
+  await promisify(session, 'unlink', to).catch(() => {});
+  await promisify(session, 'rename', from, to);
+}
+
+function registerSftpHandlers(socket, { getClient, pickUploadFiles, pickDownloadPath }) {
+  let sftp = null;
+  let sftpClient = null;
+  const transfers = new Map();
+  let nextTransferId = 1;
+
+  const getSftp = () => {
+    const client = getClient();
+    if (!client) {
+      return Promise.reject(new Error('SFTP is only available on connected SSH tabs'));
+    }
+    if (sftp && sftpClient === client) return sftp;
+
+    sftpClient = client;
+    sftp = new Promise((resolve, reject) => {
+      client.sftp((err, session) => {
+        if (err) {
+          sftp = null;
+          reject(err);
+          return;
+        }
+        session.on('close', () => {
+          if (sftpClient === client) sftp = null;
+        });
+        resolve(session);
+      });
+    });
+    return sftp;
+  };
+
+  // Wraps a handler so it always acks, with `{ error }` on failure.
+  const handle = (event, fn) => {
+    socket.on(event, async (payload = {}, ack = () => {}) => {
+      try {
+        ack(await fn(payload));
+      } catch (err) {
+        ack({ error: err.message });
+      }
+    });
+  };
+
+  /* ── Browsing & file operations ──────────────────────── */
+
+  handle('sftp:list', async ({ path: dir = '.' }) => {
+    const session = await getSftp();
+    const resolved = await promisify(session, 'realpath', dir);
+    const list = await promisify(session, 'readdir', resolved);
+
+    const entries = await Promise.all(list.map(async ({ filename, attrs }) => {
+      let type = entryType(attrs.mode);
+      if (type === 'link') {
+        // Follow symlinks so linked directories can be opened
+        const target = await promisify(session, 'stat', remoteJoin(resolved, filename)).catch(() => null);
+        if (target && entryType(target.mode) === 'dir') type = 'dir-link';
+      }
+      return {
+        name: filename,
+        type,
+        size: attrs.size,
+        mode: attrs.mode & 0o7777,
+        mtime: attrs.mtime * 1000,
+      };
+    }));
+
+    entries.sort((a, b) => {
+      const aDir = a.type.startsWith('dir');
+      const bDir = b.type.startsWith('dir');
+      return aDir === bDir ? a.name.localeCompare(b.name) : aDir ? -1 : 1;
+    });
+    return { path: resolved, entries };
+  });
+
+  handle('sftp:rename', async ({ from, to }) => {
+    await promisify(await getSftp(), 'rename', from, to);
+    return { ok: true };
+  });
+
+  handle('sftp:delete', async ({ path: target, type }) => {
+    const session = await getSftp();
+    // Directories must be empty; there is deliberately no recursive delete.
+    await promisify(session, type === 'dir' ? 'rmdir' : 'unlink', target);
+    return { ok: true };
+  });
+
+  handle('sftp:chmod', async ({ path: target, mode }) => {
+    if (!Number.isInteger(mode) || mode < 0 || mode > 0o7777) {
+      throw new Error('Invalid mode');
+    }
+    await promisify(await getSftp(), 'chmod', target, mode);
+    return { ok: true };
+  });
+
+  handle('sftp:mkdir', async ({ path: target }) => {
+    await promisify(await getSftp(), 'mkdir', target);
+    return { ok: true };
+  });
+
+  // Shell cwd for drag-and-drop uploads when the shell doesn't report it
+  // via OSC 7.
+  handle('sftp:cwd', async () => {
+    const client = getClient();
+    const session = await getSftp();
+    const cwd = await remoteShellCwd(client);
+    return { path: cwd || await promisify(session, 'realpath', '.') };
+  });
+
+  /* ── Transfers ───────────────────────────────────────── */
+
+  const emitTransfer = (transfer, patch = {}) => {
+    Object.assign(transfer.info, patch);
+    socket.emit('sftp:transfer', transfer.info);
+  };
+
+  const startTransfer = async ({ direction, localPath, remotePath, total }) => {
+    const session = await getSftp();
+    const id = `t${nextTransferId++}`;
+    const controller = new AbortController();
+    const transfer = {
+      controller,
+      info: {
+        id,
+        direction,
+        name: path.basename(direction === 'upload' ? localPath : remotePath),
+        localPath,
+        remotePath,
+        transferred: 0,
+        total,
+        state: 'running',
+      },
+    };
+    transfers.set(id, transfer);
+    emitTransfer(transfer);
+
+    let lastEmit = 0;
+    const counter = new Transform({
+      transform(chunk, _enc, cb) {
+        transfer.info.transferred += chunk.length;
+        const now = Date.now();
+        if (now - lastEmit >= PROGRESS_INTERVAL) {
+          lastEmit = now;
+          emitTransfer(transfer);
+        }
+        cb(null, chunk);
+      },
+    });
+
+    const upload = direction === 'upload';
+    const partPath = `${upload ? remotePath : localPath}${PART_SUFFIX}`;
+    const [source, sink] = upload
+      ? [fs.createReadStream(localPath), session.createWriteStream(partPath)]
+      : [session.createReadStream(remotePath), fs.createWriteStream(partPath)];
+
+    pipeline(source, counter, sink, { signal: controller.signal })
+      .then(() => (upload
+        ? renameRemote(session, partPath, remotePath)
+        : fs.promises.rename(partPath, localPath)))
+      .then(() => emitTransfer(transfer, { state: 'done' }))
+      .catch((err) => {
+        const cancelled = controller.signal.aborted;
+        emitTransfer(transfer, cancelled ? { state: 'cancelled' } : { state: 'error', error: err.message });
+        // Only the partial file; the target is untouched until the rename
+        if (upload) session.unlink(partPath, () => {});
+        else fs.unlink(partPath, () => {});
+      })
+      .finally(() => transfers.delete(id));
+
+    return id;
+  };
+
+  // → { ids }, or { localPaths, conflicts: [{ name, localPath }] } without starting
+  // anything when files already exist remotely and `overwrite` isn't set.
+  const uploadFiles = async (localPaths, remoteDir, { overwrite = false } = {}) => {
+    const session = await getSftp();
+    // Check every file before starting any transfer
+    const files = await Promise.all(localPaths.map(async (localPath) => {
+      const stats = await fs.promises.stat(localPath);
+      const name = path.basename(localPath);
+      if (stats.isDirectory()) {
+        throw new Error(`Folders can't be uploaded: ${name}`);
+      }
+      const remotePath = remoteJoin(remoteDir, name);
+      const existing = await promisify(session, 'stat', remotePath).catch(() => null);
+      if (existing && entryType(existing.mode) === 'dir') {
+        throw new Error(`A folder named ${name} already exists in ${remoteDir}`);
+      }
+      return { localPath, name, remotePath, size: stats.size, exists: Boolean(existing) };
+    }));
+
+    const conflicts = files.filter((file) => file.exists);
+    if (conflicts.length && !overwrite) {
+      return {
+        localPaths,
+        conflicts: conflicts.map(({ name, localPath }) => ({ name, localPath })),
+      };
+    }
+
+    const ids = [];
+    for (const { localPath, remotePath, size } of files) {
+      ids.push(await startTransfer({ direction: 'upload', localPath, remotePath, total: size }));
+    }
+    return { ids };
+  };
+
+  // localPaths is optional; without it a native open dialog asks for files.
+  // The renderer confirms conflicts and sends them again with `overwrite`.
+  handle('sftp:upload', async ({ remoteDir, localPaths, overwrite }) => {
+    if (!remoteDir) throw new Error('remoteDir is required');
+    const files = localPaths?.length ? localPaths : await pickUploadFiles();
+    if (!files?.length) return { ids: [] };
+    return uploadFiles(files, remoteDir, { overwrite });
+  });
+
+  handle('sftp:download', async ({ remotePath }) => {
+    if (!remotePath) throw new Error('remotePath is required');
+    const session = await getSftp();
+    const { size } = await promisify(session, 'stat', remotePath);
+    // The native save dialog asks before replacing an existing file
+    const localPath = await pickDownloadPath(path.posix.basename(remotePath));
+    if (!localPath) return { ids: [] };
+    return { ids: [await startTransfer({ direction: 'download', localPath, remotePath, total: size })] };
+  });
+
+  handle('sftp:cancel', async ({ id }) => {
+    transfers.get(id)?.controller.abort();
+    return { ok: true };
+  });
+
+  return {
+    uploadFiles,
+    // Shared with the agent file tools (server/agent-files.js)
+    getSftp,
+    // Cancels running transfers; call when the socket goes away.
+    close: () => {
+      for (const { controller } of transfers.values()) controller.abort();
+      transfers.clear();
+    },
+  };
+}
+
+module.exports = { registerSftpHandlers };
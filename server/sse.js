@@ -0,0 +1,57 @@
+/* ── Server-Sent Events Helpers ───────────────────────── */
+
+// Parses an SSE body (web ReadableStream) into JSON payloads of its `data:` lines.
+async function* readEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true }).replace(/\r\n/g, '\n');
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) >= 0) {
+      const rawEvent = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+      const data = rawEvent
+        .split('\n')
+        .filter((line) => line.startsWith('data:'))
+        .map((line) => line.slice(5).trimStart())
+        .join('\n');
+      if (!data || data === '[DONE]') continue;
+      try {
+        yield JSON.parse(data);
+      } catch {
+        // ignore keep-alives and malformed chunks
+      }
+    }
+  }
+}
+
+// Switches an Express response into SSE mode. `signal` aborts when the renderer
+// hangs up before the stream ends, so upstream model requests can be cancelled.
+function openEventStream(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  res.flushHeaders();
+
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  return {
+    signal: controller.signal,
+    send: (payload) => {
+      if (!res.writableEnded && !controller.signal.aborted) {
+        res.write(`data: ${JSON.stringify(payload)}\n\n`);
+      }
+    },
+    end: () => {
+      if (!res.writableEnded) res.end();
+    },
+  };
+}
+
+module.exports = { readEventStream, openEventStream };
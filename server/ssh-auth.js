@@ -0,0 +1,122 @@
+/* ── SSH Authentication ───────────────────────────────── */
+
+// Builds the ssh2 `authHandler` list for a connection. The renderer picks a
+// per-host auth method:
+//
+//   password      Password, then keyboard-interactive with the same password
+//   key           One private key file (privateKeyPath) or inline privateKey
+//   default-keys  ~/.ssh/id_* keys, like the ssh command line
+//   agent         Keys held by the running ssh-agent (SSH_AUTH_SOCK)
+//
+// Encrypted keys are unlocked with askPassphrase(info), which resolves to the
+// passphrase or null to skip that key.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { utils } = require('ssh2');
+
+const DEFAULT_KEY_NAMES = ['id_ed25519', 'id_ecdsa', 'id_rsa'];
+const MAX_PASSPHRASE_ATTEMPTS = 3;
+
+function expandHome(filePath) {
+  return filePath.startsWith('~/') ? path.join(os.homedir(), filePath.slice(2)) : filePath;
+}
+
+// The agent socket the app inherited from the login session. ssh2 only needs
+// the path; 1Password and hardware-backed agents expose the same protocol.
+function agentSocket() {
+  const sock = process.env.SSH_AUTH_SOCK;
+  if (!sock) {
+    throw new Error('No SSH agent found — SSH_AUTH_SOCK is not set. Start ssh-agent or pick another auth method.');
+  }
+  return sock;
+}
+
+function defaultKeyPaths() {
+  return DEFAULT_KEY_NAMES
+    .map((name) => path.join(os.homedir(), '.ssh', name))
+    .filter((file) => fs.existsSync(file));
+}
+
+// Parses a private key, prompting for its passphrase when it is encrypted.
+// Resolves to the parsed key, or null if the user skipped it.
+async function loadPrivateKey(data, { label, askPassphrase }) {
+  let parsed = utils.parseKey(data);
+  let attempt = 0;
+
+  // ssh2 reports both "encrypted, no passphrase given" and a wrong
+  // passphrase with an error that mentions the passphrase.
+  while (parsed instanceof Error && /passphrase/i.test(parsed.message)) {
+    if (attempt >= MAX_PASSPHRASE_ATTEMPTS) {
+      throw new Error(`Too many wrong passphrases for ${label}`);
+    }
+    const passphrase = await askPassphrase({ keyPath: label, retry: attempt > 0 });
+    if (passphrase == null) return null;
+    parsed = utils.parseKey(data, passphrase);
+    attempt += 1;
+  }
+
+  if (parsed instanceof Error) {
+    throw new Error(`Cannot use private key ${label}: ${parsed.message}`);
+  }
+  return Array.isArray(parsed) ? parsed[0] : parsed;
+}
+
+async function buildAuthHandler({
+  username,
+  password,
+  authMethod,
+  privateKey,
+  privateKeyPath,
+  askPassphrase,
+}) {
+  const methods = [];
+  const method = authMethod || (privateKey || privateKeyPath ? 'key' : 'password');
+
+  if (method === 'key') {
+    let data = privateKey;
+    let label = 'private key';
+    if (!data) {
+      if (!privateKeyPath) throw new Error('No private key file selected');
+      label = privateKeyPath;
+      try {
+        data = fs.readFileSync(expandHome(privateKeyPath));
+      } catch (err) {
+        throw new Error(`Cannot read private key ${privateKeyPath}: ${err.message}`);
+      }
+    }
+    const key = await loadPrivateKey(data, { label, askPassphrase });
+    if (key) methods.push({ type: 'publickey', username, key });
+  }
+
+  if (method === 'agent') {
+    methods.push({ type: 'agent', username, agent: agentSocket() });
+  }
+
+  if (method === 'default-keys') {
+    for (const file of defaultKeyPaths()) {
+      try {
+        const key = await loadPrivateKey(fs.readFileSync(file), { label: file, askPassphrase });
+        if (key) methods.push({ type: 'publickey', username, key });
+      } catch (err) {
+        console.warn(`[ssh] skipping ${file}: ${err.message}`);
+      }
+    }
+  }
+
+  if (password) {
+    methods.push({ type: 'password', username, password });
+  }
+  methods.push({
+    type: 'keyboard-interactive',
+    username,
+    prompt: (_name, _instructions, _lang, prompts, finish) => {
+      finish(prompts.map(() => password || ''));
+    },
+  });
+
+  return methods;
+}
+
+module.exports = { buildAuthHandler, agentSocket, defaultKeyPaths };
@@ -0,0 +1,215 @@
+/* ── OpenSSH client config (~/.ssh/config) ────────────── */
+
+// Reads ~/.ssh/config (following Include) so its Host aliases can be offered,
+// already resolved, in the connection form. Resolution applies OpenSSH's
+// rules: blocks are scanned in order and the first value seen for each
+// keyword wins, except IdentityFile, which accumulates.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const SSH_DIR = path.join(os.homedir(), '.ssh');
+const MAX_INCLUDE_DEPTH = 16;
+const MAX_JUMP_DEPTH = 8;
+
+/* ── Parsing ──────────────────────────────────────────── */
+
+// Splits a config line into words, honouring double quotes.
+function splitArgs(text) {
+  const args = [];
+  const re = /"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = re.exec(text)) !== null) {
+    args.push(match[1] ?? match[2]);
+  }
+  return args;
+}
+
+function parseLine(line) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.startsWith('#')) return null;
+  const match = /^(\S+?)(?:\s*=\s*|\s+)(.*)$/.exec(trimmed);
+  if (!match) return null;
+  return { keyword: match[1].toLowerCase(), args: splitArgs(match[2]) };
+}
+
+function expandTilde(p) {
+  return p === '~' || p.startsWith('~/') ? path.join(os.homedir(), p.slice(1)) : p;
+}
+
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`);
+}
+
+// Expands `*` / `?` in each path segment; OpenSSH does the same via glob(3).
+function expandGlob(pattern) {
+  const absolute = path.isAbsolute(pattern);
+  const segments = pattern.split(path.sep).filter(Boolean);
+  let paths = [absolute ? path.sep : ''];
+
+  for (const segment of segments) {
+    if (!/[*?]/.test(segment)) {
+      paths = paths.map((p) => path.join(p, segment));
+      continue;
+    }
+    const re = globToRegExp(segment);
+    paths = paths.flatMap((dir) => {
+      try {
+        return fs.readdirSync(dir || '.')
+          .filter((name) => re.test(name) && !name.startsWith('.'))
+          .sort()
+          .map((name) => path.join(dir, name));
+      } catch {
+        return [];
+      }
+    });
+  }
+  return paths.filter((p) => fs.existsSync(p));
+}
+
+// Flattens a config file and its Includes into
+// [{ patterns, keyword, args }], where `patterns` is the Host line the
+// option sits under (null = applies to every host).
+function readConfig(file, patterns = null, depth = 0) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf-8');
+  } catch {
+    return [];
+  }
+
+  const entries = [];
+  let current = patterns;
+
+  for (const line of text.split('\n')) {
+    const parsed = parseLine(line);
+    if (!parsed) continue;
+    const { keyword, args } = parsed;
+
+    if (keyword === 'host') {
+      current = args;
+    } else if (keyword === 'match') {
+      // Match blocks need runtime criteria (exec, user…) we can't evaluate;
+      // `Match all` is the only form we honour.
+      current = args.length === 1 && args[0].toLowerCase() === 'all' ? null : [];
+    } else if (keyword === 'include') {
+      if (depth >= MAX_INCLUDE_DEPTH) continue;
+      for (const arg of args) {
+        const expanded = expandTilde(arg);
+        const pattern = path.isAbsolute(expanded) ? expanded : path.join(SSH_DIR, expanded);
+        for (const included of expandGlob(pattern)) {
+          entries.push(...readConfig(included, current, depth + 1));
+        }
+      }
+    } else {
+      entries.push({ patterns: current, keyword, args });
+    }
+  }
+  return entries;
+}
+
+function hostMatches(patterns, host) {
+  if (patterns === null) return true;
+  let matched = false;
+  for (const pattern of patterns) {
+    if (pattern.startsWith('!')) {
+      if (globToRegExp(pattern.slice(1)).test(host)) return false;
+    } else if (globToRegExp(pattern).test(host)) {
+      matched = true;
+    }
+  }
+  return matched;
+}
+
+/* ── Public API ───────────────────────────────────────── */
+
+function defaultConfigFile() {
+  return path.join(SSH_DIR, 'config');
+}
+
+// Concrete aliases (no wildcards or negations), in file order.
+function listHosts(file = defaultConfigFile()) {
+  const entries = readConfig(file);
+  const seen = new Set();
+  const aliases = [];
+  for (const { patterns } of entries) {
+    for (const pattern of patterns ?? []) {
+      if (/[*?!]/.test(pattern) || seen.has(pattern)) continue;
+      seen.add(pattern);
+      aliases.push(pattern);
+    }
+  }
+  return aliases.map((alias) => resolveEntries(entries, alias));
+}
+
+function expandTokens(value, { alias, hostname, user, port }) {
+  return value.replace(/%([%dhnpru])/g, (_m, token) => ({
+    '%': '%',
+    d: os.homedir(),
+    h: hostname,
+    n: alias,
+    p: String(port),
+    r: user,
+    u: os.userInfo().username,
+  })[token]);
+}
+
+// ProxyJump is a comma-separated list of [user@]host[:port]; each jump host
+// is itself resolved through the config (and may have its own ProxyJump).
+function resolveJumpHosts(entries, proxyJump, depth) {
+  if (depth >= MAX_JUMP_DEPTH) return [];
+  return proxyJump.split(',').flatMap((spec) => {
+    const match = /^(?:([^@]+)@)?(\[[^\]]+\]|[^:]+)(?::(\d+))?$/.exec(spec.trim());
+    if (!match) return [];
+    const [, user, rawHost, port] = match;
+    const name = rawHost.replace(/^\[|\]$/g, '');
+    const { jumpHosts = [], proxyJump: _nested, ...hop } = resolveEntries(entries, name, depth + 1);
+    if (user) hop.username = user;
+    if (port) hop.port = Number(port);
+    return [...jumpHosts, hop];
+  });
+}
+
+// Effective settings for `alias`, shaped like the connection form's fields.
+function resolveEntries(entries, alias, depth = 0) {
+  const options = {};
+  const identityFiles = [];
+
+  for (const { patterns, keyword, args } of entries) {
+    if (!hostMatches(patterns, alias) || args.length === 0) continue;
+    if (keyword === 'identityfile') {
+      identityFiles.push(args[0]);
+    } else if (!(keyword in options)) {
+      options[keyword] = args.join(' ');
+    }
+  }
+
+  const rawHostname = options.hostname ?? alias;
+  const hostname = rawHostname.replace(/%h/g, alias);
+  const port = Number(options.port) || 22;
+  const user = options.user || os.userInfo().username;
+  const ctx = { alias, hostname, user, port };
+
+  const identityFile = identityFiles
+    .map((f) => expandTilde(expandTokens(f, ctx)))
+    .find((f) => fs.existsSync(f));
+
+  const proxyJump = options.proxyjump && options.proxyjump.toLowerCase() !== 'none'
+    ? options.proxyjump
+    : undefined;
+
+  return {
+    alias,
+    host: hostname,
+    port,
+    username: user,
+    identityFile,
+    proxyJump,
+    jumpHosts: proxyJump ? resolveJumpHosts(entries, proxyJump, depth) : [],
+    forwardAgent: options.forwardagent?.toLowerCase() === 'yes',
+  };
+}
+
+module.exports = { listHosts };
@@ -0,0 +1,170 @@
+/* ── SSH Connection Chains ────────────────────────────── */
+
+// Opens an authenticated ssh2 Client to the target, optionally through one or
+// more jump hosts (ProxyJump). Each hop is its own Client whose `sock` is a
+// forwardOut channel of the hop before it. Every hop gets host key
+// verification, its own credentials and its own handshake timeout.
+//
+// Errors worth retrying (network drops, timeouts) carry ssh2's `level` of
+// 'client-socket' or 'client-timeout'; see isRetryableError().
+
+const { Client } = require('ssh2');
+const { createHostVerifier } = require('./known-hosts');
+const { buildAuthHandler } = require('./ssh-auth');
+
+const HANDSHAKE_TIMEOUT = 10000;
+// Detects dead connections (e.g. after a Wi-Fi drop): ssh2 closes the client
+// after KEEPALIVE_COUNT_MAX unanswered keepalives.
+const KEEPALIVE_INTERVAL = 15000;
+const KEEPALIVE_COUNT_MAX = 3;
+
+function networkError(message, level = 'client-socket') {
+  const err = new Error(message);
+  err.level = level;
+  return err;
+}
+
+function isRetryableError(err) {
+  return err.level === 'client-socket' || err.level === 'client-timeout';
+}
+
+function hopLabel(hop) {
+  return hop.alias || hop.host;
+}
+
+// Connects one hop and resolves with the ready Client.
+async function connectHop(hop, { sock, agent, knownHosts, prompts }) {
+  const authHandler = await buildAuthHandler({ ...hop, askPassphrase: prompts.askPassphrase });
+  const port = Number(hop.port) || 22;
+
+  return new Promise((resolve, reject) => {
+    const client = new Client();
+    let settled = false;
+    let hostKeyError = null;
+
+    const fail = (err) => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(handshakeTimer);
+      reject(hostKeyError ?? err);
+      client.destroy();
+    };
+
+    // Our own handshake timer (instead of ssh2's readyTimeout) so it can
+    // pause while the user reads a host key confirmation dialog.
+    let handshakeTimer = null;
+    const armHandshakeTimer = () => {
+      clearTimeout(handshakeTimer);
+      handshakeTimer = setTimeout(() => {
+        fail(networkError(`Timed out while waiting for handshake with ${hopLabel(hop)}`, 'client-timeout'));
+      }, HANDSHAKE_TIMEOUT);
+    };
+
+    const hostVerifier = createHostVerifier({
+      store: knownHosts,
+      host: hop.host,
+      port,
+      confirm: async (info) => {
+        clearTimeout(handshakeTimer);
+        const accepted = await prompts.confirmHostKey(info);
+        if (accepted) {
+          console.log(`[ssh] trusted new ${info.keyType} key for ${hop.host}:${port}`);
+          armHandshakeTimer();
+        } else {
+          hostKeyError = new Error(`Host key for ${hopLabel(hop)} was not accepted — connection cancelled.`);
+        }
+        return accepted;
+      },
+      onMismatch: (info) => {
+        console.error(`[ssh] HOST KEY MISMATCH for ${hop.host}:${port} (${info.fingerprint} ≠ ${info.expectedFingerprint})`);
+        hostKeyError = new Error(`Host key mismatch for ${hopLabel(hop)} — connection blocked.`);
+        prompts.onHostKeyMismatch(info);
+      },
+    });
+
+    client.on('ready', () => {
+      if (settled) return;
+      settled = true;
+      clearTimeout(handshakeTimer);
+      resolve(client);
+    });
+    client.on('error', fail);
+    client.on('close', () => fail(networkError(`Connection to ${hopLabel(hop)} closed during handshake`)));
+
+    const connectConfig = {
+      host: hop.host,
+      port,
+      username: hop.username,
+      authHandler,
+      readyTimeout: 0,
+      keepaliveInterval: KEEPALIVE_INTERVAL,
+      keepaliveCountMax: KEEPALIVE_COUNT_MAX,
+      hostVerifier,
+    };
+    if (sock) connectConfig.sock = sock;
+    if (agent) {
+      connectConfig.agent = agent;
+      connectConfig.agentForward = true;
+    }
+
+    armHandshakeTimer();
+    client.connect(connectConfig);
+  });
+}
+
+function forwardOut(client, host, port) {
+  return new Promise((resolve, reject) => {
+    client.forwardOut('127.0.0.1', 0, host, Number(port) || 22, (err, stream) => {
+      if (err) reject(networkError(`Jump host could not reach ${host}:${port}: ${err.message}`));
+      else resolve(stream);
+    });
+  });
+}
+
+// target / jumpHosts: { host, port, username, alias?, authMethod, password?,
+// privateKeyPath? }. prompts: { askPassphrase, confirmHostKey,
+// onHostKeyMismatch }. onHop(event) reports per-hop progress.
+//
+// Resolves to { client, end } — `end()` closes the target and every jump host.
+async function openConnection(target, { jumpHosts = [], agentForward, knownHosts, prompts, onHop = () => {} }) {
+  const hops = [...jumpHosts, target];
+  const clients = [];
+
+  const end = () => {
+    for (const c of [...clients].reverse()) c.end();
+  };
+
+  try {
+    for (const [index, hop] of hops.entries()) {
+      const isTarget = index === hops.length - 1;
+      const event = { index, total: hops.length, label: hopLabel(hop), host: hop.host, port: Number(hop.port) || 22, isTarget };
+      onHop({ ...event, state: 'connecting' });
+
+      const prev = clients[clients.length - 1];
+      const sock = prev ? await forwardOut(prev, hop.host, hop.port) : undefined;
+      const client = await connectHop(hop, {
+        sock,
+        agent: isTarget ? agentForward : undefined,
+        knownHosts,
+        prompts,
+      });
+      clients.push(client);
+      onHop({ ...event, state: 'connected' });
+    }
+  } catch (err) {
+    end();
+    throw err;
+  }
+
+  const client = clients[clients.length - 1];
+  const jumps = clients.slice(0, -1);
+
+  // Tear the chain down together: the target closing ends its jump hosts,
+  // and a jump host dropping closes the forwarded socket under the target.
+  client.on('close', () => jumps.forEach((c) => c.end()));
+  jumps.forEach((c) => c.on('error', (err) => console.error(`[ssh] jump host error: ${err.message}`)));
+
+  return { client, end };
+}
+
+module.exports = { openConnection, isRetryableError };
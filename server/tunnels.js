@@ -0,0 +1,416 @@
+/* ── Port forwarding (ssh -L / -R / -D) ───────────────── */
+
+// Registers tunnel:* Socket.io handlers for one terminal socket. Tunnels are
+// kept per socket and run on whichever ssh2 Client is attached, so they come
+// back after a reconnect. Types:
+//   local   — a local net server; each connection is forwardOut to dest
+//   remote  — forwardIn on the server; incoming connections go to dest
+//   dynamic — a local SOCKS5 proxy; each CONNECT is a forwardOut
+// Live state is pushed with `tunnel:status` events. bytesIn / bytesOut count
+// traffic received from / sent over the SSH connection.
+
+const net = require('net');
+
+const TYPES = ['local', 'remote', 'dynamic'];
+const STATUS_INTERVAL = 500;
+
+/* ── SOCKS5 ───────────────────────────────────────────── */
+
+const SOCKS_VERSION = 5;
+const SOCKS_NO_AUTH = 0x00;
+const SOCKS_NO_ACCEPTABLE_METHOD = 0xff;
+const SOCKS_CMD_CONNECT = 0x01;
+const SOCKS_REPLY = { succeeded: 0x00, failure: 0x01, hostUnreachable: 0x04, commandNotSupported: 0x07, addressNotSupported: 0x08 };
+
+class SocksError extends Error {
+  constructor(message, reply = SOCKS_REPLY.failure) {
+    super(message);
+    this.reply = reply;
+  }
+}
+
+// Reads exact byte counts from a socket. release() pauses the socket and
+// returns anything buffered past the handshake.
+function createReader(sock) {
+  let buffer = Buffer.alloc(0);
+  let waiting = null;
+
+  const flush = () => {
+    if (!waiting || buffer.length < waiting.size) return;
+    const chunk = buffer.subarray(0, waiting.size);
+    buffer = buffer.subarray(waiting.size);
+    const { resolve } = waiting;
+    waiting = null;
+    resolve(chunk);
+  };
+  const onData = (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+    flush();
+  };
+  const onClose = () => waiting?.reject(new SocksError('SOCKS client disconnected'));
+
+  sock.on('data', onData);
+  sock.on('close', onClose);
+
+  return {
+    read: (size) => new Promise((resolve, reject) => {
+      waiting = { size, resolve, reject };
+      flush();
+    }),
+    release: () => {
+      sock.pause();
+      sock.off('data', onData);
+      sock.off('close', onClose);
+      return buffer;
+    },
+  };
+}
+
+// Negotiates a no-auth SOCKS5 CONNECT and resolves with its destination.
+async function socksHandshake(reader, sock) {
+  const [version, methodCount] = await reader.read(2);
+  if (version !== SOCKS_VERSION) throw new SocksError(`Unsupported SOCKS version ${version}`);
+  const methods = await reader.read(methodCount);
+  if (!methods.includes(SOCKS_NO_AUTH)) {
+    sock.end(Buffer.from([SOCKS_VERSION, SOCKS_NO_ACCEPTABLE_METHOD]));
+    throw new SocksError('SOCKS client requires authentication', null);
+  }
+  sock.write(Buffer.from([SOCKS_VERSION, SOCKS_NO_AUTH]));
+
+  const [, command, , addressType] = await reader.read(4);
+  let host;
+  if (addressType === 0x01) {
+    host = [...await reader.read(4)].join('.');
+  } else if (addressType === 0x03) {
+    const [length] = await reader.read(1);
+    host = (await reader.read(length)).toString();
+  } else if (addressType === 0x04) {
+    const bytes = await reader.read(16);
+    host = Array.from({ length: 8 }, (_, i) => bytes.readUInt16BE(i * 2).toString(16)).join(':');
+  } else {
+    throw new SocksError('Unsupported address type', SOCKS_REPLY.addressNotSupported);
+  }
+  const port = (await reader.read(2)).readUInt16BE(0);
+
+  if (command !== SOCKS_CMD_CONNECT) {
+    throw new SocksError('Only SOCKS CONNECT is supported', SOCKS_REPLY.commandNotSupported);
+  }
+  return { host, port };
+}
+
+// The bound address is not meaningful here, so it is reported as 0.0.0.0:0
+function socksReply(reply) {
+  return Buffer.from([SOCKS_VERSION, reply, 0x00, 0x01, 0, 0, 0, 0, 0, 0]);
+}
+
+/* ── Tunnel specs ─────────────────────────────────────── */
+
+function validPort(value, { allowZero = false } = {}) {
+  const port = Number(value);
+  return Number.isInteger(port) && port <= 65535 && (port > 0 || (allowZero && port === 0));
+}
+
+// Normalises a spec from the renderer or a saved host entry.
+function normalizeSpec({ type, bindHost, bindPort, destHost, destPort } = {}) {
+  if (!TYPES.includes(type)) throw new Error(`Unknown tunnel type: ${type}`);
+  if (!validPort(bindPort, { allowZero: true })) throw new Error('Invalid bind port');
+  const spec = {
+    type,
+    bindHost: bindHost || (type === 'remote' ? 'localhost' : '127.0.0.1'),
+    bindPort: Number(bindPort),
+  };
+  if (type !== 'dynamic') {
+    if (!destHost) throw new Error('Destination host is required');
+    if (!validPort(destPort)) throw new Error('Invalid destination port');
+    spec.destHost = destHost;
+    spec.destPort = Number(destPort);
+  }
+  return spec;
+}
+
+const sameSpec = (a, b) => a.type === b.type && a.bindHost === b.bindHost && a.bindPort === b.bindPort
+  && a.destHost === b.destHost && a.destPort === b.destPort;
+
+/* ── Manager ──────────────────────────────────────────── */
+
+function registerTunnelHandlers(socket) {
+  const tunnels = new Map();
+  let client = null;
+  let nextTunnelId = 1;
+
+  const info = (tunnel) => ({
+    id: tunnel.id,
+    ...tunnel.spec,
+    boundPort: tunnel.boundPort,
+    state: tunnel.state,
+    error: tunnel.error,
+    connections: tunnel.sockets.size,
+    bytesIn: tunnel.bytesIn,
+    bytesOut: tunnel.bytesOut,
+  });
+
+  const emitStatus = (tunnel) => {
+    clearTimeout(tunnel.statusTimer);
+    tunnel.statusTimer = null;
+    socket.emit('tunnel:status', info(tunnel));
+  };
+
+  // Byte counters change constantly; coalesce those updates.
+  const scheduleStatus = (tunnel) => {
+    if (!tunnel.statusTimer) {
+      tunnel.statusTimer = setTimeout(() => emitStatus(tunnel), STATUS_INTERVAL);
+    }
+  };
+
+  const setState = (tunnel, state, error) => {
+    tunnel.state = state;
+    tunnel.error = error;
+    emitStatus(tunnel);
+  };
+
+  // Pipes a local socket and an SSH channel together, counting bytes.
+  const bridge = (tunnel, sock, channel, pending) => {
+    if (sock.destroyed) {
+      channel.close();
+      return;
+    }
+    tunnel.sockets.add(sock);
+    sock.on('data', (chunk) => {
+      tunnel.bytesOut += chunk.length;
+      scheduleStatus(tunnel);
+    });
+    channel.on('data', (chunk) => {
+      tunnel.bytesIn += chunk.length;
+      scheduleStatus(tunnel);
+    });
+    if (pending?.length) {
+      tunnel.bytesOut += pending.length;
+      channel.write(pending);
+    }
+    sock.pipe(channel).pipe(sock);
+
+    let closed = false;
+    const teardown = () => {
+      if (closed) return;
+      closed = true;
+      sock.destroy();
+      channel.close();
+      tunnel.sockets.delete(sock);
+      scheduleStatus(tunnel);
+    };
+    sock.on('error', teardown);
+    sock.on('close', teardown);
+    channel.on('error', teardown);
+    channel.on('close', teardown);
+    scheduleStatus(tunnel);
+  };
+
+  const forwardOut = (sock, host, port) => new Promise((resolve, reject) => {
+    if (!client) {
+      reject(new Error('Not connected'));
+      return;
+    }
+    client.forwardOut(sock.remoteAddress || '127.0.0.1', sock.remotePort || 0, host, port, (err, channel) => (
+      err ? reject(err) : resolve(channel)
+    ));
+  });
+
+  const handleLocal = async (tunnel, sock) => {
+    sock.on('error', () => {});
+    try {
+      const channel = await forwardOut(sock, tunnel.spec.destHost, tunnel.spec.destPort);
+      bridge(tunnel, sock, channel);
+    } catch (err) {
+      console.error(`[tunnel] ${tunnel.spec.destHost}:${tunnel.spec.destPort}: ${err.message}`);
+      sock.destroy();
+    }
+  };
+
+  const handleSocks = async (tunnel, sock) => {
+    sock.on('error', () => {});
+    const reader = createReader(sock);
+    let destination;
+    try {
+      destination = await socksHandshake(reader, sock);
+    } catch (err) {
+      if (err.reply != null && !sock.destroyed) sock.end(socksReply(err.reply));
+      else sock.destroy();
+      return;
+    }
+    const pending = reader.release();
+    try {
+      const channel = await forwardOut(sock, destination.host, destination.port);
+      sock.write(socksReply(SOCKS_REPLY.succeeded));
+      bridge(tunnel, sock, channel, pending);
+    } catch (err) {
+      console.error(`[tunnel] SOCKS ${destination.host}:${destination.port}: ${err.message}`);
+      sock.end(socksReply(SOCKS_REPLY.hostUnreachable));
+    }
+  };
+
+  const start = (tunnel) => {
+    if (!client || tunnel.state === 'active' || tunnel.state === 'starting') return;
+    const { type, bindHost, bindPort } = tunnel.spec;
+    setState(tunnel, 'starting');
+    // Stopping (or removing) the tunnel before it is listening replaces this,
+    // so a late callback knows it is no longer wanted
+    const attempt = {};
+    tunnel.attempt = attempt;
+
+    if (type === 'remote') {
+      const owner = client;
+      client.forwardIn(bindHost, bindPort, (err, boundPort) => {
+        if (owner !== client) return;
+        if (tunnel.attempt !== attempt || tunnel.state !== 'starting') {
+          // Stopped meanwhile: close the listener the server just opened
+          if (!err) owner.unforwardIn(bindHost, boundPort || bindPort, () => {});
+          return;
+        }
+        if (err) {
+          setState(tunnel, 'error', `Server refused to listen on ${bindHost}:${bindPort}: ${err.message}`);
+          return;
+        }
+        tunnel.boundPort = boundPort || bindPort;
+        setState(tunnel, 'active');
+      });
+      return;
+    }
+
+    const server = net.createServer((sock) => {
+      if (type === 'dynamic') handleSocks(tunnel, sock);
+      else handleLocal(tunnel, sock);
+    });
+    tunnel.server = server;
+    server.on('error', (err) => {
+      tunnel.server = null;
+      setState(tunnel, 'error', err.message);
+    });
+    server.listen(bindPort, bindHost, () => {
+      // stop() already closed this server
+      if (tunnel.server !== server) return;
+      tunnel.boundPort = server.address().port;
+      setState(tunnel, 'active');
+    });
+  };
+
+  const stop = (tunnel, state = 'stopped') => {
+    tunnel.attempt = null;
+    if (tunnel.server) {
+      tunnel.server.close();
+      tunnel.server = null;
+    }
+    if (tunnel.spec.type === 'remote' && tunnel.state === 'active' && client) {
+      client.unforwardIn(tunnel.spec.bindHost, tunnel.boundPort, () => {});
+    }
+    for (const sock of tunnel.sockets) sock.destroy();
+    tunnel.sockets.clear();
+    tunnel.boundPort = undefined;
+    if (state !== 'removed') setState(tunnel, state);
+  };
+
+  // Incoming connections for every remote forward on this client.
+  const onTcpConnection = (details, accept, reject) => {
+    const tunnel = [...tunnels.values()].find((t) => (
+      t.spec.type === 'remote' && t.state === 'active' && t.boundPort === details.destPort
+    ));
+    if (!tunnel) {
+      reject();
+      return;
+    }
+    const channel = accept();
+    const sock = net.connect(tunnel.spec.destPort, tunnel.spec.destHost);
+    bridge(tunnel, sock, channel);
+  };
+
+  const add = (rawSpec) => {
+    const spec = normalizeSpec(rawSpec);
+    const existing = [...tunnels.values()].find((t) => sameSpec(t.spec, spec));
+    if (existing) return existing;
+
+    const tunnel = {
+      id: `f${nextTunnelId++}`,
+      spec,
+      state: 'stopped',
+      sockets: new Set(),
+      bytesIn: 0,
+      bytesOut: 0,
+    };
+    tunnels.set(tunnel.id, tunnel);
+    if (client) start(tunnel);
+    else emitStatus(tunnel);
+    return tunnel;
+  };
+
+  /* ── Socket events ───────────────────────────────────── */
+
+  const handle = (event, fn) => {
+    socket.on(event, async (payload = {}, ack = () => {}) => {
+      try {
+        ack(await fn(payload));
+      } catch (err) {
+        ack({ error: err.message });
+      }
+    });
+  };
+
+  handle('tunnel:list', async () => ({ tunnels: [...tunnels.values()].map(info) }));
+
+  handle('tunnel:add', async (spec) => ({ tunnel: info(add(spec)) }));
+
+  handle('tunnel:remove', async ({ id }) => {
+    const tunnel = tunnels.get(id);
+    if (!tunnel) throw new Error('No such tunnel');
+    stop(tunnel, 'removed');
+    clearTimeout(tunnel.statusTimer);
+    tunnels.delete(id);
+    socket.emit('tunnel:status', { id, state: 'removed' });
+    return { ok: true };
+  });
+
+  handle('tunnel:restart', async ({ id }) => {
+    const tunnel = tunnels.get(id);
+    if (!tunnel) throw new Error('No such tunnel');
+    stop(tunnel);
+    start(tunnel);
+    return { tunnel: info(tunnel) };
+  });
+
+  return {
+    // Adds saved tunnels (e.g. from the host entry); invalid specs are
+    // logged and skipped.
+    addAll: (specs = []) => {
+      for (const spec of specs) {
+        try {
+          add(spec);
+        } catch (err) {
+          console.warn(`[tunnel] skipped saved tunnel: ${err.message}`);
+        }
+      }
+    },
+    // Re-sends every tunnel's state, e.g. to a renderer that reattached.
+    resync: () => {
+      for (const tunnel of tunnels.values()) emitStatus(tunnel);
+    },
+    // Starts every tunnel on a newly authenticated client.
+    attach: (newClient) => {
+      client = newClient;
+      client.on('tcp connection', onTcpConnection);
+      for (const tunnel of tunnels.values()) start(tunnel);
+    },
+    // The client went away; tunnels stay registered but stop listening.
+    detach: () => {
+      client = null;
+      for (const tunnel of tunnels.values()) stop(tunnel);
+    },
+    close: () => {
+      client = null;
+      for (const tunnel of tunnels.values()) {
+        stop(tunnel, 'removed');
+        clearTimeout(tunnel.statusTimer);
+      }
+      tunnels.clear();
+    },
+  };
+}
+
+module.exports = { registerTunnelHandlers };
@@ -0,0 +1,26 @@
+# juni-cli-proton shell integration for bash (4.4+)
+#
+# Marks prompts, commands and exit codes with OSC 133 and reports the
+# working directory with OSC 7. Add to the end of ~/.bashrc:
+#
+#   source ~/.config/juni/juni.bash
+
+[[ $- == *i* ]] || return 0
+[[ -n $__JUNI_SHELL_INTEGRATION ]] && return 0
+__JUNI_SHELL_INTEGRATION=1
+
+__juni_prompt() {
+  local exit_code=$?
+  # D closes the last command; the terminal ignores it after an empty line
+  printf '\033]133;D;%s\007' "$exit_code"
+  printf '\033]7;file://%s%s\007' "$HOSTNAME" "${PWD// /%20}"
+  # Prompt frameworks may rebuild PS1, so wrap it again when needed
+  if [[ $PS1 != *'133;A'* ]]; then
+    PS1='\[\033]133;A\007\]'"$PS1"'\[\033]133;B\007\]'
+  fi
+  return $exit_code
+}
+
+# PS0 is printed after a command line is read, right before it runs
+PS0=$'\e]133;C\a'"${PS0:-}"
+PROMPT_COMMAND="__juni_prompt${PROMPT_COMMAND:+; $PROMPT_COMMAND}"
@@ -0,0 +1,30 @@
+# juni-cli-proton shell integration for fish
+#
+# Marks prompts, commands and exit codes with OSC 133 and reports the
+# working directory with OSC 7. Add to ~/.config/fish/config.fish:
+#
+#   source ~/.config/juni/juni.fish
+
+status is-interactive; or exit
+set -q __JUNI_SHELL_INTEGRATION; and exit
+set -g __JUNI_SHELL_INTEGRATION 1
+
+function __juni_preexec --on-event fish_preexec
+    printf '\e]133;C\a'
+end
+
+function __juni_postexec --on-event fish_postexec
+    printf '\e]133;D;%s\a' $status
+end
+
+function __juni_cwd --on-event fish_prompt
+    printf '\e]7;file://%s%s\a' (hostname) (string replace -a ' ' '%20' -- $PWD)
+end
+
+# Wrap the prompt with A (start) and B (end, where input begins)
+functions -c fish_prompt __juni_original_prompt
+function fish_prompt
+    printf '\e]133;A\a'
+    __juni_original_prompt
+    printf '\e]133;B\a'
+end